@@ -1,4 +1,10 @@
 // Trip Budget Manager Web App - Complete JavaScript Implementation
+
+// Receipt limits (the server checks them too)
+const MAX_RECEIPTS = 5;
+const MAX_RECEIPT_MB = 5;
+const RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
 class TripBudgetManager {
     constructor() {
         this.tripData = {
@@ -17,12 +23,22 @@ class TripBudgetManager {
         const stored = JSON.parse(localStorage.getItem('tripSession')) || null;
         this.currentUser = stored ? stored.user : null;
         this.tripCode = stored ? stored.tripCode : null;
+        // Signed session from /api/join or trip setup - it identifies us on every request
+        this.sessionToken = stored ? stored.token || null : null;
+
+        // Version of tripData, sent back as If-Match so the server can reject stale changes
+        this.tripVersion = null;
 
         this.expectedContribution = 0;
         this.init();
     }
 
     async init() {
+        // Sessions saved before logins had tokens can't be used any more
+        if (this.currentUser && !this.sessionToken) {
+            this.endSession('Please log in again with your name.');
+        }
+
         // Check if user is already logged in/joined
         if (this.currentUser) {
             await this.loadFromStorage();
@@ -36,10 +52,26 @@ class TripBudgetManager {
             this.showLandingPage();
         }
 
+        // Opened from an invite link (/?invite=...)
+        const inviteToken = new URLSearchParams(window.location.search).get('invite');
+        if (inviteToken) {
+            if (this.currentUser) {
+                this.showNotification('You are already logged in. Log out to use the invite link.', 'info');
+            } else {
+                await this.loadInvite(inviteToken);
+            }
+        }
+
         this.setupEventListeners();
 
-        // Poll for updates every 5 seconds (increased from 2s to prevent form interruptions)
-        setInterval(() => this.loadFromStorage(), 5000);
+        // Changes arrive over the event stream (see connectEvents). Polling and activity
+        // pings only run while the stream is down or the browser has no EventSource.
+        setInterval(() => {
+            if (!this.liveUpdates) this.loadFromStorage();
+        }, 5000);
+        setInterval(() => {
+            if (!this.liveUpdates) this.pingActivity();
+        }, 60000);
 
         // Set default datetime
         const now = new Date();
@@ -56,17 +88,13 @@ class TripBudgetManager {
         try {
             // Fetch trip by tripCode if available
             const url = this.tripCode ? `/api/trip/${this.tripCode}` : '/api/trip';
-            const response = await fetch(url);
+            const response = await fetch(url, { headers: this.authHeaders() });
             const data = await response.json();
-
-            // Update member's lastActive timestamp if logged in
-            if (this.currentUser && this.currentUser.id && this.tripCode) {
-                fetch('/api/members/activity', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ tripCode: this.tripCode, memberId: this.currentUser.id })
-                }).catch(err => console.log('Activity update failed:', err));
+            if (response.status === 401 || response.status === 403) {
+                this.endSession(data.message);
+                return;
             }
+            this.tripVersion = this.parseVersion(response.headers.get('ETag'));
 
             // Only update if data has changed to avoid UI flickering and input reset
             if (JSON.stringify(data) !== JSON.stringify(this.tripData)) {
@@ -83,10 +111,7 @@ class TripBudgetManager {
                     const me = this.tripData.members.find(m => m.name === this.currentUser.name);
                     if (me) {
                         this.currentUser.id = me.id;
-                        // Re-verify admin role
-                        if (this.tripData.members.length > 0 && this.tripData.members[0].id === me.id) {
-                            this.currentUser.role = 'admin';
-                        }
+                        this.currentUser.role = me.role || 'member';
                         this.saveSession();
                         console.log('Session auto-repaired: ID added to currentUser');
                     }
@@ -104,11 +129,102 @@ class TripBudgetManager {
         if (this.currentUser || this.tripCode) {
             localStorage.setItem('tripSession', JSON.stringify({
                 user: this.currentUser,
-                tripCode: this.tripCode
+                tripCode: this.tripCode,
+                token: this.sessionToken
             }));
         }
     }
 
+    authHeaders() {
+        return this.sessionToken ? { 'Authorization': `Bearer ${this.sessionToken}` } : {};
+    }
+
+    // Owners and co-admins manage the trip (see server/roles.js)
+    isAdmin() {
+        return Boolean(this.currentUser) && ['owner', 'co-admin'].includes(this.currentUser.role);
+    }
+
+    isOwner() {
+        return Boolean(this.currentUser) && this.currentUser.role === 'owner';
+    }
+
+    // Our role can change while we're logged in (promoted, demoted, trip handed over)
+    syncRole() {
+        if (!this.currentUser || !this.tripData.members) return;
+        const me = this.tripData.members.find(m => m.id === this.currentUser.id);
+        if (me && me.role && me.role !== this.currentUser.role) {
+            this.currentUser.role = me.role;
+            this.saveSession();
+        }
+    }
+
+    // Log out locally (expired or rejected session) and offer the join form for the same trip
+    endSession(message) {
+        const tripCode = this.tripCode;
+        this.disconnectEvents();
+        localStorage.removeItem('tripSession');
+        this.currentUser = null;
+        this.sessionToken = null;
+        this.tripCode = null;
+        this.tripVersion = null;
+        this.showLandingPage();
+        const joinCode = document.getElementById('joinCode');
+        if (joinCode && tripCode) joinCode.value = tripCode;
+        if (message) this.showNotification(message, 'info');
+    }
+
+    // Trip version from an ETag header such as "12"
+    parseVersion(etag) {
+        if (!etag) return null;
+        const version = parseInt(etag.replace(/^W\//, '').replace(/"/g, ''), 10);
+        return isNaN(version) ? null : version;
+    }
+
+    // fetch() for requests that change the trip. Sends the version we last saw as If-Match.
+    // On 409 the latest trip is shown and the user can choose to apply the change again.
+    async apiFetch(url, options = {}) {
+        const send = () => {
+            const headers = { 'Content-Type': 'application/json', ...(options.headers || {}), ...this.authHeaders() };
+            if (this.tripVersion !== null) headers['If-Match'] = `"${this.tripVersion}"`;
+            return fetch(url, { ...options, headers });
+        };
+
+        let response = await send();
+
+        if (response.status === 401) {
+            const result = await response.clone().json().catch(() => ({}));
+            this.endSession(result.message || 'Your session has expired. Please log in again.');
+            return response;
+        }
+
+        // Not allowed for our role - the server says which role is needed
+        if (response.status === 403) {
+            const result = await response.clone().json().catch(() => ({}));
+            this.showNotification(result.message || 'You are not allowed to do this', 'error');
+            return response;
+        }
+
+        // Stale write - the server sends the latest trip. Other 409s are left to the caller.
+        const conflict = response.status === 409 ? await response.clone().json().catch(() => ({})) : null;
+        if (conflict && conflict.data) {
+            this.tripData = conflict.data;
+            this.tripVersion = this.parseVersion(response.headers.get('ETag'));
+            this.updateUI();
+
+            const reapply = confirm('Someone else changed this trip just now.\n\n' +
+                'The latest data has been loaded. Apply your change again on top of it?');
+            if (!reapply) {
+                this.showNotification('Your change was not saved', 'info');
+                return response;
+            }
+            response = await send();
+        }
+
+        const version = this.parseVersion(response.headers.get('ETag'));
+        if (response.ok && version !== null) this.tripVersion = version;
+        return response;
+    }
+
     async saveToStorage() {
         // In this new architecture, we don't save entire state from client.
         // We send specific updates to API.
@@ -152,11 +268,27 @@ class TripBudgetManager {
             memberNamesForm.addEventListener('submit', (e) => this.handleMemberNamesSubmit(e));
         }
 
+        // Invite link form
+        const inviteForm = document.getElementById('inviteForm');
+        if (inviteForm) {
+            inviteForm.addEventListener('submit', (e) => this.handleInviteSubmit(e));
+        }
+
+        // Backup file chosen (landing page or export dialog)
+        const backupFile = document.getElementById('backupFile');
+        if (backupFile) {
+            backupFile.addEventListener('change', () => this.restoreBackup(backupFile.files[0]));
+        }
+
         // Filter change
         const filterCategory = document.getElementById('filterCategory');
         if (filterCategory) {
             filterCategory.addEventListener('change', () => this.displayExpenses());
         }
+        const filterDate = document.getElementById('filterDate');
+        if (filterDate) {
+            filterDate.addEventListener('change', () => this.displayExpenses());
+        }
 
         // Close modals on outside click
         document.querySelectorAll('.modal').forEach(modal => {
@@ -172,6 +304,24 @@ class TripBudgetManager {
         if (editMemberForm) {
             editMemberForm.addEventListener('submit', (e) => this.handleEditMemberSubmit(e));
         }
+
+        // Payment Form
+        const paymentForm = document.getElementById('paymentForm');
+        if (paymentForm) {
+            paymentForm.addEventListener('submit', (e) => this.handlePaymentSubmit(e));
+        }
+
+        // Categories Form
+        const categoriesForm = document.getElementById('categoriesForm');
+        if (categoriesForm) {
+            categoriesForm.addEventListener('submit', (e) => this.handleCategoriesSubmit(e));
+        }
+
+        // Exchange Rates Form
+        const exchangeRatesForm = document.getElementById('exchangeRatesForm');
+        if (exchangeRatesForm) {
+            exchangeRatesForm.addEventListener('submit', (e) => this.handleExchangeRatesSubmit(e));
+        }
     }
 
     // --- Navigation & Views ---
@@ -201,6 +351,80 @@ class TripBudgetManager {
         document.getElementById('memberNamesSection').style.display = 'none';
         document.getElementById('appSection').style.display = 'block';
         this.updateUI();
+        this.connectEvents();
+    }
+
+    // Tell the server we're here (shown as the online dot on member cards)
+    pingActivity() {
+        if (!this.currentUser || !this.currentUser.id || !this.tripCode) return;
+        fetch('/api/members/activity', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+            body: JSON.stringify({ tripCode: this.tripCode })
+        }).catch(err => console.log('Activity update failed:', err));
+    }
+
+    // --- Live Updates ---
+    // One Server-Sent Events stream per open trip. The browser reconnects by itself; while
+    // it is down, liveUpdates is false and init() falls back to polling.
+    connectEvents() {
+        if (!window.EventSource || !this.tripCode || !this.sessionToken) return;
+        const url = `/api/trip/${this.tripCode}/events?token=${encodeURIComponent(this.sessionToken)}`;
+        if (this.events && this.events.url.endsWith(url) && this.events.readyState !== EventSource.CLOSED) return;
+
+        this.disconnectEvents();
+        const events = new EventSource(url);
+        events.onopen = () => {
+            this.liveUpdates = true;
+            // Catch up on anything missed while disconnected
+            this.loadFromStorage();
+        };
+        events.onerror = () => {
+            this.liveUpdates = false;
+        };
+
+        const toasts = {
+            'expense-added': (e) => `${e.actorName || 'Someone'} added ${e.title || 'an expense'}`,
+            'member-joined': (e) => `${e.name} joined the trip`,
+            'member-left': (e) => `${e.name} left the trip`,
+            'approval-requested': (e) => (this.isAdmin() ? `${e.actorName || 'Someone'} sent a request for approval` : null),
+            'approval-decided': (e) => `${e.actorName || 'An admin'} answered a request`
+        };
+        Object.entries(toasts).forEach(([type, describe]) => {
+            events.addEventListener(type, (message) => {
+                const event = JSON.parse(message.data);
+                if (!this.currentUser || event.actorId === this.currentUser.id) return;
+                const text = describe(event);
+                if (text) this.showNotification(text, 'info');
+            });
+        });
+        events.addEventListener('trip-updated', (message) => {
+            const { version } = JSON.parse(message.data);
+            if (this.tripVersion === null || version > this.tripVersion) this.loadFromStorage();
+        });
+        events.addEventListener('presence', (message) => {
+            const { memberId, online, lastActive } = JSON.parse(message.data);
+            const member = (this.tripData.members || []).find(m => m.id === memberId);
+            if (!member) return;
+            member.online = online;
+            member.lastActive = lastActive;
+            this.displayMembers();
+        });
+        // Opened on too many devices - this page goes back to polling rather than reconnecting
+        events.addEventListener('stream-replaced', () => {
+            this.disconnectEvents();
+        });
+        events.addEventListener('trip-deleted', () => {
+            this.disconnectEvents();
+            this.endSession('This trip has been deleted by its owner.');
+        });
+        this.events = events;
+    }
+
+    disconnectEvents() {
+        if (this.events) this.events.close();
+        this.events = null;
+        this.liveUpdates = false;
     }
 
     backToSetup() {
@@ -211,7 +435,7 @@ class TripBudgetManager {
 
     // --- Handlers ---
 
-    async handleJoinTrip(e, pin = null) {
+    async handleJoinTrip(e, secret = null) {
         if (e && e.preventDefault) e.preventDefault();
         const code = document.getElementById('joinCode').value.trim().toUpperCase();
         const name = document.getElementById('joinName').value.trim();
@@ -220,10 +444,14 @@ class TripBudgetManager {
             this.showNotification('Please enter both code and name', 'error');
             return;
         }
+        if (this.inviteToken && this.inviteToken.startsWith(`${code}-`)) {
+            await this.redeemInvite(name);
+            return;
+        }
 
         try {
             const body = { code, name };
-            if (pin) body.pin = pin;
+            if (secret) body.secret = secret;
 
             const response = await fetch('/api/join', {
                 method: 'POST',
@@ -233,13 +461,19 @@ class TripBudgetManager {
             const result = await response.json();
 
             if (response.ok) {
-                if (result.status === 'require_pin') {
-                    // Prompt for PIN
-                    const enteredPin = prompt('Enter Admin PIN to login:');
-                    if (enteredPin) {
-                        this.handleJoinTrip(null, enteredPin);
+                // Ask for the admin PIN or the member's PIN/passphrase, or have them choose one
+                const questions = {
+                    require_pin: 'Enter Admin PIN to login:',
+                    require_secret: 'Enter your PIN or passphrase:',
+                    set_secret: 'Choose a PIN or passphrase (at least 4 characters).\n' +
+                        'You will need it to log in to this trip from now on.'
+                };
+                if (questions[result.status]) {
+                    const entered = prompt(questions[result.status]);
+                    if (entered) {
+                        this.handleJoinTrip(null, entered);
                     } else {
-                        this.showNotification('PIN required for Admin login', 'error');
+                        this.showNotification(result.message || 'A PIN or passphrase is required', 'error');
                     }
                     return;
                 }
@@ -249,12 +483,13 @@ class TripBudgetManager {
                     // We don't log them in yet, just notify
                 } else {
                     // Already a member or auto-approved
-                    this.currentUser = { name: name, role: 'member' }; // Default to member
+                    this.currentUser = { name: name, role: 'member' };
 
-                    // Save tripCode from response
+                    // Save tripCode and session from response
                     if (result.tripCode) {
                         this.tripCode = result.tripCode;
                     }
+                    this.sessionToken = result.token || null;
 
                     // Find member ID
                     if (result.data && result.data.members) {
@@ -262,15 +497,13 @@ class TripBudgetManager {
                         if (member) {
                             this.currentUser.id = member.id;
                             this.currentUser.name = member.name; // Use official name from DB
-                            // Check if this user is actually the admin (first member)
-                            if (result.data.members.length > 0 && result.data.members[0].id === member.id) {
-                                this.currentUser.role = 'admin';
-                            }
+                            this.currentUser.role = member.role || 'member';
                         }
                     }
 
                     this.saveSession(); // Save user + tripCode
                     this.tripData = result.data;
+                    this.tripVersion = this.parseVersion(response.headers.get('ETag'));
                     this.showAppSection();
                     this.showNotification(result.message || `Welcome ${name}!`, 'success');
                 }
@@ -283,11 +516,79 @@ class TripBudgetManager {
         }
     }
 
+    // Fill in the join form from an invite link
+    async loadInvite(token) {
+        try {
+            const response = await fetch(`/api/invites/${encodeURIComponent(token)}`);
+            const result = await response.json();
+            if (!response.ok) {
+                this.showNotification(result.message || 'This invite link is not valid', 'error');
+                return;
+            }
+
+            const { invite } = result;
+            this.inviteToken = token;
+            document.getElementById('joinCode').value = invite.tripCode;
+            const nameInput = document.getElementById('joinName');
+            if (invite.memberName) {
+                nameInput.value = invite.memberName;
+                nameInput.readOnly = true;
+            }
+            this.showNotification(`You're invited to ${invite.tripName}! ` +
+                (invite.memberName ? 'Press Join to set up your login.' : 'Enter your name and press Join.'), 'info');
+        } catch (error) {
+            console.error('Invite error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // Join with the invite link we were opened with - no approval needed
+    async redeemInvite(name) {
+        const secret = prompt('Choose a PIN or passphrase (at least 4 characters).\n' +
+            'You will need it to log in to this trip from now on.');
+        if (!secret) {
+            this.showNotification('A PIN or passphrase is required', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/invites/${encodeURIComponent(this.inviteToken)}/redeem`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, secret })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.showNotification(result.message || 'Failed to join', 'error');
+                return;
+            }
+
+            // The link is used up for us; don't offer it again on reload
+            this.inviteToken = null;
+            document.getElementById('joinName').readOnly = false;
+            window.history.replaceState(null, '', window.location.pathname);
+
+            this.tripCode = result.tripCode;
+            this.sessionToken = result.token;
+            this.currentUser = { id: result.member.id, name: result.member.name, role: result.member.role };
+            this.saveSession();
+            this.tripData = result.data;
+            this.tripVersion = this.parseVersion(response.headers.get('ETag'));
+            this.showAppSection();
+            this.showNotification(result.message, 'success');
+        } catch (error) {
+            console.error('Invite error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
     async handleSetupSubmit(e) {
         e.preventDefault();
         const formData = new FormData(e.target);
         const tripName = formData.get('tripName').trim();
-        let budgetAmount = parseFloat(formData.get('budgetAmount'));
+        // No trip yet, so the currency details come from the picker itself
+        const currencyOption = document.getElementById('baseCurrency').selectedOptions[0];
+        let budgetAmount = Math.round(parseFloat(formData.get('budgetAmount')) * Number(currencyOption.dataset.minorUnits));
         const memberCount = parseInt(formData.get('memberCount'));
         const tripDateTime = formData.get('tripDateTime');
         const adminName = formData.get('adminName').trim();
@@ -303,30 +604,6 @@ class TripBudgetManager {
             return;
         }
 
-        const expectedContribution = budgetAmount / memberCount;
-
-        // Create initial members array - only Admin
-        const members = [];
-
-        // Add Admin (You) - the only initial member
-        members.push({
-            id: Date.now().toString(),
-            name: adminName,
-            expectedContribution: expectedContribution,
-            actualContribution: 0,
-            remainingContribution: expectedContribution,
-            balance: 0
-        });
-
-        // Other members will join using the trip code
-
-        // Set current user as Admin
-        this.currentUser = {
-            id: members[0].id,
-            name: adminName,
-            role: 'admin'
-        };
-
         try {
             // 1. Setup Trip (with clearData flag to reset old data atomically)
             const tripResponse = await fetch('/api/trip', {
@@ -337,31 +614,30 @@ class TripBudgetManager {
                     budget: budgetAmount,
                     memberCount: memberCount,
                     tripDate: tripDateTime,
+                    endDate: formData.get('tripEndDate'),
+                    dailyAllowance: Math.round(parseFloat(formData.get('dailyAllowance')) * Number(currencyOption.dataset.minorUnits)) || 0,
+                    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
                     adminPin: formData.get('adminPin'),
+                    adminName,
+                    baseCurrency: currencyOption.value,
                     clearData: true // Clear old data before setup
                 })
             });
 
             const tripResult = await tripResponse.json();
-
-            // Save tripCode from response
-            if (tripResult.tripCode) {
-                this.tripCode = tripResult.tripCode;
+            if (!tripResponse.ok) {
+                this.showNotification(tripResult.message || 'Error setting up trip', 'error');
+                return;
             }
 
+            // 2. The server adds us as the first member (Admin) and logs us in
+            this.tripCode = tripResult.tripCode;
+            this.tripVersion = this.parseVersion(tripResponse.headers.get('ETag'));
+            this.sessionToken = tripResult.token;
+            this.currentUser = { id: tripResult.member.id, name: tripResult.member.name, role: tripResult.member.role };
             this.saveSession(); // Save user + tripCode
 
-            // 2. Add Admin Member (with tripCode)
-            if (members.length > 0 && this.tripCode) {
-                await fetch('/api/members', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ tripCode: this.tripCode, ...members[0] })
-                });
-            }
-
-            // 3. Wait a moment for data to propagate, then load and show dashboard
-            await new Promise(resolve => setTimeout(resolve, 500));
+            // 3. Load and show dashboard
             await this.loadFromStorage();
             this.showAppSection();
             this.showNotification('Trip created successfully!', 'success');
@@ -384,10 +660,13 @@ class TripBudgetManager {
     async handleExpenseSubmit(e) {
         e.preventDefault();
         const title = document.getElementById('expenseTitle').value.trim();
-        const amount = parseFloat(document.getElementById('expenseAmount').value);
+        const currency = expenseCurrency();
+        const amount = this.toMinor(document.getElementById('expenseAmount').value, currency);
         const category = document.getElementById('expenseCategory').value;
         const paidBy = document.getElementById('paidBy').value;
         const description = document.getElementById('expenseDescription').value.trim();
+        const spentAtInput = document.getElementById('expenseSpentAt');
+        const spentAt = spentAtInput.dataset.touched && spentAtInput.value ? new Date(spentAtInput.value) : new Date();
 
         // Collect selected members for splitting
         const allCheckbox = document.getElementById('splitAllMembers');
@@ -406,23 +685,56 @@ class TripBudgetManager {
             this.showNotification('Please fill all required fields and select members', 'error');
             return;
         }
+        if (isNaN(spentAt.getTime())) {
+            this.showNotification('Please enter when this was spent', 'error');
+            return;
+        }
+
+        const receiptFiles = Array.from(document.getElementById('expenseReceipts').files);
+        const receiptError = this.checkReceiptFiles(receiptFiles);
+        if (receiptError) {
+            this.showNotification(receiptError, 'error');
+            return;
+        }
+
+        const splitMode = document.getElementById('splitMode').value;
+        const splitDetails = getSplitDetails(splitMode, splitBetween);
+        const bill = splitMode === 'items' ? getItemizedBill() : null;
+        const splitError = bill ? this.checkBill(bill) : this.checkSplit(splitMode, splitDetails, amount, currency);
+        if (splitError) {
+            this.showNotification(splitError, 'error');
+            return;
+        }
 
         const expense = {
-            title, amount, category, paidBy, splitBetween, description,
+            title, amount, currency, category, paidBy, splitBetween, description, splitMode,
+            spentAt: spentAt.toISOString(),
             timestamp: new Date().toISOString()
         };
+        if (bill) {
+            Object.assign(expense, bill);
+            expense.amount = this.billTotal(bill);
+            expense.splitBetween = [...new Set(bill.items.flatMap(item => item.members))];
+        } else if (splitMode !== 'equal') {
+            expense.splitDetails = splitDetails;
+        }
 
         try {
+            if (receiptFiles.length > 0) {
+                expense.receipts = await this.uploadReceipts(receiptFiles);
+                if (!expense.receipts) return;
+            }
+
             let url = '/api/expenses';
             let msg = 'Expense added successfully!';
 
             // If Member, send request instead
-            if (this.currentUser.role !== 'admin') {
+            if (!this.isAdmin()) {
                 url = '/api/expenses/request';
                 msg = 'Expense request sent to Admin for approval';
             }
 
-            const response = await fetch(url, {
+            const response = await this.apiFetch(url, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ tripCode: this.tripCode, ...expense })
@@ -431,10 +743,16 @@ class TripBudgetManager {
             if (response.ok) {
                 this.showNotification(msg, 'success');
                 document.getElementById('expenseForm').reset();
+                this.resetSpentAt();
                 // Reset to "All Members" after form reset
                 if (allCheckbox) allCheckbox.checked = true;
                 if (typeof updateSplitLabel === 'function') updateSplitLabel();
+                document.getElementById('itemRows').innerHTML = '';
+                if (typeof handleSplitModeChange === 'function') handleSplitModeChange();
                 await this.loadFromStorage();
+            } else {
+                const result = await response.json();
+                this.showNotification(result.message || 'Failed to add expense', 'error');
             }
         } catch (error) {
             console.error('Expense error:', error);
@@ -445,30 +763,34 @@ class TripBudgetManager {
     async handleMemberSubmit(e) {
         e.preventDefault();
         const name = document.getElementById('memberName').value.trim();
-        const contribution = parseFloat(document.getElementById('memberContribution').value) || 0;
+        const currency = document.getElementById('memberContributionCurrency').value || null;
+        const contribution = this.toMinor(document.getElementById('memberContribution').value, currency) || 0;
 
         if (!name) return;
 
         // Calculate expected
         const newMemberCount = this.tripData.members.length + 1;
-        const expected = this.tripData.budget / newMemberCount;
+        const expected = Math.floor(this.tripData.budget / newMemberCount);
 
         const member = {
             name: name,
             expectedContribution: expected,
-            actualContribution: contribution,
-            remainingContribution: expected - contribution,
-            balance: contribution
+            actualContribution: contribution
         };
 
         try {
             // Only Admin can add members directly
-            if (this.currentUser.role === 'admin') {
-                await fetch('/api/members', {
+            if (this.isAdmin()) {
+                const response = await this.apiFetch('/api/members', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ tripCode: this.tripCode, ...member })
+                    body: JSON.stringify({ tripCode: this.tripCode, currency, ...member })
                 });
+                if (!response.ok) {
+                    const result = await response.json();
+                    this.showNotification(result.message || `Could not add ${name}`, 'error');
+                    return;
+                }
                 this.showNotification(`${name} added successfully`, 'success');
             } else {
                 // Members can request to add someone (or themselves?)
@@ -495,7 +817,7 @@ class TripBudgetManager {
     async handleApproval(type, id, action, details = null) {
         const endpoint = type === 'expense' ? '/api/expenses/approve' : '/api/members/approve';
         try {
-            await fetch(endpoint, {
+            await this.apiFetch(endpoint, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ tripCode: this.tripCode, id, action, memberDetails: details })
@@ -512,6 +834,7 @@ class TripBudgetManager {
     updateUI() {
         if (!this.tripData.tripName) return;
 
+        this.syncRole();
         this.updateDashboard();
         this.updateBudgetOverview();
         this.updateBudgetAlerts();
@@ -523,10 +846,16 @@ class TripBudgetManager {
         }
         this.updatePendingApprovals();
         this.updateSettlements(); // New
+        this.updateCurrencySelects();
+        this.updateCurrencyLabels();
+        this.updateCategorySelect();
+        this.updateDailyPanel();
+        const spentAtInput = document.getElementById('expenseSpentAt');
+        if (spentAtInput && !spentAtInput.dataset.touched) this.resetSpentAt();
 
 
         // Role-based UI visibility
-        const isAdmin = this.currentUser && this.currentUser.role === 'admin';
+        const isAdmin = this.isAdmin();
 
         // Show/Hide Trip Code
         const codeContainer = document.getElementById('tripCodeContainer');
@@ -536,9 +865,17 @@ class TripBudgetManager {
         const approvalSection = document.getElementById('approvalSection');
         if (approvalSection) approvalSection.style.display = isAdmin ? 'block' : 'none';
 
+        // Show/Hide Import Button
+        const importBtn = document.getElementById('importExpensesBtn');
+        if (importBtn) importBtn.style.display = isAdmin ? 'inline-flex' : 'none';
+
+        // Viewers can only look
+        const expenseFormCard = document.querySelector('.expense-form-card');
+        if (expenseFormCard) expenseFormCard.style.display = this.currentUser && this.currentUser.role === 'viewer' ? 'none' : '';
+
         // Show/Hide Reset Button
         const resetBtn = document.getElementById('resetAppBtn');
-        if (resetBtn) resetBtn.style.display = isAdmin ? 'flex' : 'none';
+        if (resetBtn) resetBtn.style.display = this.isOwner() ? 'flex' : 'none';
 
         // Show/Hide Logout Button (visible to all logged-in users)
         const logoutBtn = document.getElementById('logoutBtn');
@@ -551,7 +888,7 @@ class TripBudgetManager {
         if (!section || !list) return;
 
         // Only show if Admin
-        if (this.currentUser.role !== 'admin') {
+        if (!this.isAdmin()) {
             section.style.display = 'none';
             return;
         }
@@ -559,7 +896,7 @@ class TripBudgetManager {
         // Find members who are owed money (personal > 0 OR overpaid > 0)
         const creditors = this.tripData.members.filter(m => {
             const overpaid = Math.max(m.actualContribution - m.expectedContribution, 0);
-            return m.personal > 0 || overpaid > 0.01; // Use 0.01 tolerance for float
+            return m.personal > 0 || overpaid > 0;
         });
 
         if (creditors.length === 0) {
@@ -579,10 +916,10 @@ class TripBudgetManager {
 
             // Case 1: Personal Expenses (Owed to member)
             if (m.personal > 0) {
-                metaHtml += `<div>Personal Expenses: ₹${m.personal}</div>`;
+                metaHtml += `<div>Personal Expenses: ${this.formatMoney(m.personal)}</div>`;
                 actionHtml += `
                     <button class="google-button primary small" onclick="tripManager.handleSettlement('${m.id}', ${m.personal})">
-                        Settle Personal (Pay ₹${m.personal})
+                        Settle Personal (Pay ${this.formatMoney(m.personal)})
                     </button>
                 `;
             }
@@ -590,10 +927,10 @@ class TripBudgetManager {
             // Case 2: Overpaid Contribution (Refund to member)
             const overpaid = Math.max(m.actualContribution - m.expectedContribution, 0);
             if (overpaid > 0) {
-                metaHtml += `<div>Overpaid Contribution: ₹${Math.round(overpaid * 100) / 100}</div>`;
+                metaHtml += `<div>Overpaid Contribution: ${this.formatMoney(overpaid)}</div>`;
                 actionHtml += `
                     <button class="google-button secondary small" onclick="tripManager.handleRefund('${m.id}', ${overpaid})" style="margin-top: 5px;">
-                        Refund Overpayment (Pay ₹${Math.round(overpaid * 100) / 100})
+                        Refund Overpayment (Pay ${this.formatMoney(overpaid)})
                     </button>
                 `;
             }
@@ -612,10 +949,10 @@ class TripBudgetManager {
     }
 
     async handleRefund(memberId, amount) {
-        if (!confirm(`Confirm refund of ₹${Math.round(amount * 100) / 100} to this member?\n\nThis will reduce their 'Paid' amount.`)) return;
+        if (!confirm(`Confirm refund of ${this.formatMoney(amount)} to this member?\n\nThis will reduce their 'Paid' amount.`)) return;
 
         try {
-            const response = await fetch('/api/members/refund', {
+            const response = await this.apiFetch('/api/members/refund', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ tripCode: this.tripCode, id: memberId, amount })
@@ -634,10 +971,10 @@ class TripBudgetManager {
     }
 
     async handleSettlement(memberId, amount) {
-        if (!confirm(`Confirm settlement of ₹${amount} to this member?\n\nThis will reset their Personal amount to 0.`)) return;
+        if (!confirm(`Confirm settlement of ${this.formatMoney(amount)} to this member?\n\nThis will reset their Personal amount to 0.`)) return;
 
         try {
-            const response = await fetch('/api/members/reimburse', {
+            const response = await this.apiFetch('/api/members/reimburse', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ tripCode: this.tripCode, id: memberId, amount })
@@ -667,9 +1004,15 @@ class TripBudgetManager {
 
         if (this.tripData.tripDate) {
             const date = new Date(this.tripData.tripDate);
-            document.getElementById('tripDateDisplay').textContent = date.toLocaleDateString('en-US', {
+            let text = date.toLocaleDateString('en-US', {
                 year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
             });
+            if (this.tripData.endDate && this.tripData.endDate !== this.tripData.startDate) {
+                text += ` – ${new Date(`${this.tripData.endDate}T00:00:00`).toLocaleDateString('en-US', {
+                    year: 'numeric', month: 'short', day: 'numeric'
+                })}`;
+            }
+            document.getElementById('tripDateDisplay').textContent = text;
         }
         document.getElementById('memberCountDisplayMain').textContent = `${this.tripData.members.length} Members`;
     }
@@ -690,7 +1033,7 @@ class TripBudgetManager {
         }
 
         // Only show if Admin
-        if (this.currentUser.role !== 'admin') {
+        if (!this.isAdmin()) {
             section.style.display = 'none';
             return;
         }
@@ -705,7 +1048,7 @@ class TripBudgetManager {
             item.innerHTML = `
                 <div class="pending-info">
                     <div class="pending-title">Budget Increase Request</div>
-                    <div class="pending-meta">${r.memberName} wants to add ₹${r.amount}</div>
+                    <div class="pending-meta">${r.memberName} wants to add ${this.formatMoney(r.amount)}</div>
                     <div class="pending-meta" style="font-size: 0.8rem;">Reason: ${r.reason}</div>
                 </div>
                 <div class="pending-actions">
@@ -726,7 +1069,7 @@ class TripBudgetManager {
             item.className = 'pending-item';
             item.innerHTML = `
                 <div class="pending-info">
-                    <div class="pending-title">Contribution Request: ${c.memberName} (₹${c.amount})</div>
+                    <div class="pending-title">Contribution Request: ${c.memberName} (${this.formatRecorded(c)})</div>
                     <div class="pending-meta">Wants to add contribution</div>
                 </div>
                 <div class="pending-actions">
@@ -768,8 +1111,9 @@ class TripBudgetManager {
             item.className = 'pending-item';
             item.innerHTML = `
                 <div class="pending-info">
-                    <div class="pending-title">Expense Request: ${e.title} (₹${e.amount})</div>
-                    <div class="pending-meta">Category: ${e.category} | By: ${this.getMemberName(e.paidBy)}</div>
+                    <div class="pending-title">Expense Request: ${e.title} (${this.formatRecorded(e)})</div>
+                    <div class="pending-meta">Category: ${this.categoryInfo(e.category).name} | By: ${this.getMemberName(e.paidBy)}</div>
+                    ${this.renderReceipts(e)}
                 </div>
                 <div class="pending-actions">
                     <button class="icon-button" onclick="tripManager.handleApproval('expense', '${e.id}', 'reject')" title="Reject">
@@ -787,21 +1131,27 @@ class TripBudgetManager {
     // Add contribution for a member
     async addContribution(memberId, remaining) {
         const input = document.getElementById(`contrib-${memberId}`);
-        const amount = parseFloat(input.value);
+        const currencySelect = document.getElementById(`contrib-currency-${memberId}`);
+        const currency = currencySelect ? currencySelect.value : null;
+        const amount = this.toMinor(input.value, currency);
 
         if (!amount || amount <= 0) {
             this.showNotification('Please enter a valid amount', 'error');
             return;
         }
 
+        // Compare in base currency - the server converts at the trip's exchange rate
+        const rate = currency && currency !== this.baseCurrency() ? this.tripData.exchangeRates[currency] : 1;
+        const baseAmount = Math.round(this.toMajor(amount, currency) * rate * this.moneyFormat().minorUnits);
+
         // Check for overpayment
-        if (amount > remaining) {
-            const excess = amount - remaining;
+        if (baseAmount > remaining) {
+            const excess = baseAmount - remaining;
             const confirmMsg = `⚠️ Expected amount reached!\n\n` +
-                `Expected: ₹${remaining}\n` +
-                `You're paying: ₹${amount}\n` +
-                `Excess: ₹${excess}\n\n` +
-                `The excess amount (₹${excess}) will be added to Personal Expenses.\n\n` +
+                `Expected: ${this.formatMoney(remaining)}\n` +
+                `You're paying: ${this.formatRecorded({ amount: baseAmount, currency, originalAmount: amount })}\n` +
+                `Excess: ${this.formatMoney(excess)}\n\n` +
+                `The excess amount (${this.formatMoney(excess)}) will be added to Personal Expenses.\n\n` +
                 `Do you want to continue?`;
 
             if (!confirm(confirmMsg)) {
@@ -817,25 +1167,19 @@ class TripBudgetManager {
             let message;
 
             // Admin can add contributions directly
-            if (this.currentUser.role === 'admin') {
-                response = await fetch('/api/members/contribute', {
+            if (this.isAdmin()) {
+                response = await this.apiFetch('/api/members/contribute', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ tripCode: this.tripCode, id: memberId, amount, isAdmin: true })
+                    body: JSON.stringify({ tripCode: this.tripCode, id: memberId, amount, currency })
                 });
                 message = 'Contribution added';
             } else {
-                // Members must request approval
-                const member = this.tripData.members.find(m => m.id === memberId);
-                response = await fetch('/api/contributions/request', {
+                // Members must request approval (always for themselves)
+                response = await this.apiFetch('/api/contributions/request', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        tripCode: this.tripCode,
-                        memberId,
-                        amount,
-                        memberName: member ? member.name : 'Unknown'
-                    })
+                    body: JSON.stringify({ tripCode: this.tripCode, amount, currency })
                 });
                 message = 'Contribution request sent to Admin for approval';
             }
@@ -845,7 +1189,8 @@ class TripBudgetManager {
                 input.value = ''; // Clear input
                 await this.loadFromStorage();
             } else {
-                this.showNotification('Failed to add contribution', 'error');
+                const result = await response.json();
+                this.showNotification(result.message || 'Failed to add contribution', 'error');
             }
         } catch (error) {
             console.error('Contribution error:', error);
@@ -869,7 +1214,7 @@ class TripBudgetManager {
 
     async approveContribution(id, action) {
         try {
-            const response = await fetch('/api/contributions/approve', {
+            const response = await this.apiFetch('/api/contributions/approve', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ tripCode: this.tripCode, id, action })
@@ -893,38 +1238,256 @@ class TripBudgetManager {
         return m ? m.name : 'Unknown';
     }
 
+    // Format description for a currency (default: the trip's base currency), as sent by the server
+    moneyFormat(currency = null) {
+        const currencies = this.tripData.currencies || {};
+        if (currency && currencies[currency]) return { currency, ...currencies[currency] };
+        return this.tripData.money || { currency: 'INR', symbol: '₹', locale: 'en-IN', minorUnits: 100 };
+    }
+
+    baseCurrency() {
+        return this.moneyFormat().currency;
+    }
+
+    // Currencies money can be entered in: the base currency and every one the admin set a rate for
+    tripCurrencies() {
+        const base = this.baseCurrency();
+        return [base, ...Object.keys(this.tripData.exchangeRates || {}).filter(code => code !== base)];
+    }
+
+    // Amounts come from the server in minor units (paise, cents...); format them the way the server describes
+    formatMoney(minor, currency = null) {
+        const money = this.moneyFormat(currency);
+        const amount = minor || 0;
+        const fractionDigits = amount % money.minorUnits === 0 ? 0 : Math.log10(money.minorUnits);
+        const major = (Math.abs(amount) / money.minorUnits).toLocaleString(money.locale, {
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        });
+        return `${amount < 0 ? '-' : ''}${money.symbol}${major}`;
+    }
+
+    // An expense or contribution as it was paid, e.g. "฿1,000 (₹2,350)" for a foreign currency
+    formatRecorded(record) {
+        if (!record.currency || record.currency === this.baseCurrency()) return this.formatMoney(record.amount);
+        return `${this.formatMoney(record.originalAmount, record.currency)} (${this.formatMoney(record.amount)})`;
+    }
+
+    // Rupees (or dollars, baht...) typed into a form -> minor units for the API (NaN if empty)
+    toMinor(value, currency = null) {
+        return Math.round(parseFloat(value) * this.moneyFormat(currency).minorUnits);
+    }
+
+    // Minor units -> the number to put back into a form field
+    toMajor(minor, currency = null) {
+        return minor / this.moneyFormat(currency).minorUnits;
+    }
+
+    // <option>s for a currency picker; only shown when the trip has exchange rates
+    currencyOptions(selected = null) {
+        return this.tripCurrencies().map(code => `
+            <option value="${code}" ${code === (selected || this.baseCurrency()) ? 'selected' : ''}>${code}</option>
+        `).join('');
+    }
+
+    // Refill the currency pickers when the rate table changes, keeping what the user picked
+    updateCurrencySelects() {
+        ['expenseCurrency', 'memberContributionCurrency'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = this.currencyOptions();
+            if (this.tripCurrencies().includes(current)) select.value = current;
+        });
+    }
+
+    // Labels like "Amount (₹)" follow the trip's base currency
+    updateCurrencyLabels(symbol = this.moneyFormat().symbol) {
+        document.querySelectorAll('.currency-symbol').forEach(el => {
+            el.textContent = symbol.trim();
+        });
+    }
+
+    billTotal(bill) {
+        const items = (bill.items || []).reduce((sum, item) => sum + item.price, 0);
+        return items + (bill.tax || 0) + (bill.serviceCharge || 0) + (bill.tip || 0);
+    }
+
+    checkBill(bill) {
+        if (bill.items.length === 0) return 'Add at least one item to the bill';
+        for (const item of bill.items) {
+            if (!item.name) return 'Every item needs a name';
+            if (!(item.price > 0)) return `Enter a price for ${item.name}`;
+            if (item.members.length === 0) return `Choose who had ${item.name}`;
+        }
+        return null;
+    }
+
+    // Client-side version of the server's split validation, for a quicker error message
+    checkSplit(mode, details, amount, currency = null) {
+        if (mode === 'equal') return null;
+
+        const values = Object.values(details);
+        if (values.length === 0 || values.some(v => !(v > 0))) return 'Enter a value above 0 for every member in the split';
+
+        const sum = values.reduce((total, v) => total + v, 0);
+        if (mode === 'percent' && Math.round(sum * 100) !== 10000) {
+            return `Percentages add up to ${Math.round(sum * 100) / 100}%, not 100%`;
+        }
+        if (mode === 'exact' && sum !== amount) {
+            return `Exact amounts add up to ${this.formatMoney(sum, currency)}, not ${this.formatMoney(amount, currency)}`;
+        }
+        return null;
+    }
+
+    categories() {
+        return this.tripData.categories || [];
+    }
+
+    // Name and Material icon of an expense category (deleted categories fall back to their id)
+    categoryInfo(categoryId) {
+        const category = this.categories().find(c => c.id === categoryId);
+        if (category) return category;
+        const name = categoryId ? categoryId.charAt(0).toUpperCase() + categoryId.slice(1) : 'Other';
+        return { id: categoryId, name, icon: 'category', budget: 0 };
+    }
+
+    // Same rule as the server: warn at 80% of a category's cap, alert once it is passed
+    categorySpending() {
+        return this.categories().map(c => {
+            const spent = this.tripData.expenses.filter(e => e.category === c.id).reduce((sum, e) => sum + (e.amount || 0), 0);
+            let status = 'ok';
+            if (c.budget && spent > c.budget) status = 'over';
+            else if (c.budget && spent >= c.budget * 0.8) status = 'warning';
+            return { ...c, spent, status };
+        });
+    }
+
+    updateCategorySelect() {
+        const select = document.getElementById('expenseCategory');
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = '<option value="">Select Category</option>' +
+            this.categories().map(c => `<option value="${c.id}">${c.name}</option>`).join('');
+        if (this.categories().some(c => c.id === current)) select.value = current;
+
+        const filter = document.getElementById('filterCategory');
+        if (filter) {
+            const filtered = filter.value;
+            filter.innerHTML = '<option value="">All Categories</option>' +
+                this.categories().map(c => `<option value="${c.id}">${c.name}</option>`).join('');
+            filter.value = filtered;
+        }
+    }
+
+    // When an expense was spent; older expenses only know when they were entered
+    spentAt(expense) {
+        return expense.spentAt || expense.timestamp;
+    }
+
+    // Day an expense was spent ('YYYY-MM-DD') in the trip's time zone, matching the daily panel
+    expenseDay(expense) {
+        const when = this.spentAt(expense);
+        if (!when) return '';
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.tripData.timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+        }).format(new Date(when));
+    }
+
+    formatDay(day) {
+        return new Date(`${day}T00:00:00`).toLocaleDateString('en-IN', {
+            weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+        });
+    }
+
+    // Value for a datetime-local input, in the browser's time
+    dateTimeInputValue(date) {
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    // The spent-on field follows the clock until someone changes it
+    resetSpentAt() {
+        const input = document.getElementById('expenseSpentAt');
+        if (!input) return;
+        input.value = this.dateTimeInputValue(new Date());
+        delete input.dataset.touched;
+    }
+
+    async changeExpenseDate(expenseId) {
+        const expense = this.tripData.expenses.find(e => e.id === expenseId);
+        if (!expense) return;
+
+        const current = this.spentAt(expense) ? this.dateTimeInputValue(new Date(this.spentAt(expense))).replace('T', ' ') : '';
+        const value = prompt('When was this spent? (YYYY-MM-DD HH:MM)', current);
+        if (value === null) return;
+
+        const spentAt = new Date(value.trim().replace(' ', 'T'));
+        if (isNaN(spentAt.getTime())) {
+            this.showNotification('Please enter a date like 2024-12-31 19:30', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/expenses/${expenseId}/spent-at`, {
+                method: 'POST',
+                body: JSON.stringify({ tripCode: this.tripCode, spentAt: spentAt.toISOString() })
+            });
+
+            if (response.ok) {
+                this.showNotification('Expense date updated', 'success');
+                await this.loadFromStorage();
+            } else {
+                const result = await response.json();
+                this.showNotification(result.message || 'Failed to update expense date', 'error');
+            }
+        } catch (error) {
+            console.error('Expense date error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    describeSplit(expense) {
+        const labels = { shares: 'By shares', percent: 'By percentage', exact: 'Exact amounts', items: 'Itemized bill' };
+        return labels[expense.splitMode] || 'Equally';
+    }
+
     // Create a member card element
     createMemberCard(member, index) {
         const card = document.createElement('div');
         card.className = 'member-card';
-        // Values (rounded to 2 decimals)
-        // Values (rounded to 2 decimals)
-        const expected = Math.round(member.expectedContribution * 100) / 100;
+        // Values (in paise)
+        const expected = member.expectedContribution || 0;
 
         // Cap displayed 'Paid' at 'Expected' amount
         const rawPaid = member.actualContribution || 0;
-        const cappedPaid = Math.min(rawPaid, expected);
+        const paid = Math.min(rawPaid, expected);
         const overflowPaid = Math.max(rawPaid - expected, 0);
 
-        const paid = Math.round(cappedPaid * 100) / 100;
-        const remaining = Math.round(member.remainingContribution * 100) / 100;
-        const balance = Math.round(member.balance * 100) / 100;
+        const remaining = member.remainingContribution || 0;
+        const balance = member.balance || 0;
         const balanceClass = balance >= 0 ? 'positive' : 'negative';
 
         // Add overflow to personal display
         const displayPersonal = (member.personal || 0) + overflowPaid;
 
-        // Check if member is online (lastActive within 5 minutes)
-        const isOnline = member.lastActive && (Date.now() - new Date(member.lastActive).getTime()) < 5 * 60 * 1000;
+        // Online: connected to the trip's event stream, or active within 5 minutes
+        const isOnline = member.online || (member.lastActive && (Date.now() - new Date(member.lastActive).getTime()) < 5 * 60 * 1000);
         const statusColor = isOnline ? '#4CAF50' : '#f44336'; // Green or Red
         const statusTitle = isOnline ? 'Online' : 'Offline';
 
-        // Admin action buttons
-        const actionButtons = this.currentUser && this.currentUser.role === 'admin' ? `
+        // Admin action buttons. Members without a login get an invite link; the owner resets
+        // logins of co-admins, any admin those of members and viewers.
+        const canResetLogin = member.role !== 'owner' && (member.role !== 'co-admin' || this.isOwner());
+        const actionButtons = this.isAdmin() ? `
             <div style="position: absolute; top: 10px; right: 10px; display: flex; gap: 5px;">
+                ${!member.hasLogin && member.role !== 'owner' ? `
                 <button class="icon-button" onclick="tripManager.shareMemberDetails('${member.id}')" title="Share Member Details" style="background: rgba(76, 175, 80, 0.1); color: #4CAF50;">
                     <span class="material-icons">share</span>
-                </button>
+                </button>` : ''}
+                ${member.hasLogin && canResetLogin ? `
+                <button class="icon-button" onclick="tripManager.resetMemberLogin('${member.id}')" title="Reset Login" style="background: rgba(255, 152, 0, 0.1); color: #FF9800;">
+                    <span class="material-icons">lock_reset</span>
+                </button>` : ''}
                 <button class="icon-button" onclick="tripManager.openEditMemberModal('${member.id}')" title="Edit Member" style="background: rgba(33, 150, 243, 0.1); color: var(--primary-color);">
                     <span class="material-icons">edit</span>
                 </button>
@@ -934,6 +1497,21 @@ class TripBudgetManager {
             </div>` : '';
 
         // Trip expenses will only be shown in the share message, not on the card
+        const payments = this.memberPayments(member.id);
+        const isAdmin = this.isAdmin();
+        const paymentsHtml = payments.length > 0 ? `
+            <div class="member-payments">
+                <div class="label">Payments</div>
+                ${payments.map(p => `
+                    <div class="member-payment">
+                        <span>${this.describePayment(p, member.id)}</span>
+                        ${isAdmin ? `
+                        <button class="icon-button small delete-btn" onclick="tripManager.deletePayment('${p.id}')" title="Delete Payment">
+                            <span class="material-icons" style="font-size: 1rem;">delete</span>
+                        </button>` : ''}
+                    </div>
+                `).join('')}
+            </div>` : '';
 
         card.innerHTML = `
             <div class="member-header" style="position: relative; display: flex; flex-direction: column; align-items: center; text-align: center; padding-top: 1rem;">
@@ -942,7 +1520,7 @@ class TripBudgetManager {
                         <span style="width: 10px; height: 10px; border-radius: 50%; background: ${statusColor}; display: inline-block;" title="${statusTitle}"></span>
                         ${member.name}
                     </div>
-                    <div class="member-role" style="font-size: 0.85rem; color: var(--text-secondary); margin-top: 0.25rem;">${member.role === 'admin' ? 'Admin' : 'Member'}</div>
+                    <div class="member-role" style="font-size: 0.85rem; color: var(--text-secondary); margin-top: 0.25rem;">${this.roleLabel(member.role)}${!member.hasLogin && member.role !== 'owner' ? ' · no login yet' : ''}</div>
                 </div>
                 ${actionButtons}
             </div>
@@ -950,39 +1528,53 @@ class TripBudgetManager {
             <div class="member-stats" style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 1rem;">
                 <div class="stat-item">
                     <div class="label">Expected</div>
-                    <div class="amount">₹${expected}</div>
+                    <div class="amount">${this.formatMoney(expected)}</div>
                 </div>
                 <div class="stat-item">
                     <div class="label">Paid</div>
-                    <div class="amount positive">₹${paid}</div>
+                    <div class="amount positive">${this.formatMoney(paid)}</div>
                 </div>
                 <div class="stat-item">
                     <div class="label">Unpaid</div>
-                    <div class="amount negative">₹${remaining}</div>
+                    <div class="amount negative">${this.formatMoney(remaining)}</div>
                 </div>
                 <div class="stat-item">
                     <div class="label">Balance</div>
-                    <div class="amount ${balanceClass}">₹${balance}</div>
+                    <div class="amount ${balanceClass}">${this.formatMoney(balance)}</div>
                 </div>
                 <div class="stat-item" style="grid-column: span 2;">
                     <div class="label">Personal Expenses</div>
-                    <div class="amount">₹${Math.round(displayPersonal * 100) / 100}</div>
+                    <div class="amount">${this.formatMoney(displayPersonal)}</div>
                 </div>
             </div>
+            ${paymentsHtml}
             
             <div class="member-actions" style="margin-top: 1rem; padding-top: 1rem; border-top: 1px solid var(--border-color);">
-                ${(this.currentUser && (this.currentUser.id === member.id || this.currentUser.role === 'admin')) ? `
+                ${(this.currentUser && ((this.currentUser.id === member.id && this.currentUser.role !== 'viewer') || this.isAdmin())) ? `
                 <div class="input-group" style="display: flex; gap: 0.5rem; align-items: center; margin-bottom: 0.5rem;">
                     <input type="number" id="contrib-${member.id}" placeholder="Amount" style="flex: 1; padding: 0.5rem; border: 1px solid var(--border-color); border-radius: 8px;">
+                    ${this.tripCurrencies().length > 1 ? `
+                    <select id="contrib-currency-${member.id}" class="currency-select" title="Currency">${this.currencyOptions()}</select>` : ''}
                     <button class="google-button primary small" onclick="tripManager.addContribution('${member.id}', ${remaining})">
                         Pay
                     </button>
                 </div>
-                ${this.currentUser.role === 'admin' ? `
+                ${this.isAdmin() ? `
                 <button class="google-button secondary small" onclick="tripManager.shareMemberFinancials('${member.id}')" style="width: 100%; display: flex; align-items: center; justify-content: center; gap: 0.5rem;">
                     <span class="material-icons" style="font-size: 1rem;">share</span>
                     Share Financial Details
                 </button>` : ''}` : ''}
+                ${this.isOwner() && member.id !== this.currentUser.id ? `
+                <div class="input-group" style="display: flex; gap: 0.5rem; align-items: center; margin-top: 0.5rem;">
+                    <select onchange="tripManager.changeMemberRole('${member.id}', this.value)" title="Role" style="flex: 1; padding: 0.5rem; border: 1px solid var(--border-color); border-radius: 8px;">
+                        ${['co-admin', 'member', 'viewer'].map(role => `
+                        <option value="${role}" ${member.role === role ? 'selected' : ''}>${this.roleLabel(role)}</option>`).join('')}
+                    </select>
+                    <button class="google-button secondary small" onclick="tripManager.transferOwnership('${member.id}')"
+                        ${member.hasLogin ? 'title="Hand the trip over"' : 'disabled title="They need to join with their invite link first"'}>
+                        Make Owner
+                    </button>
+                </div>` : ''}
             </div>
         `;
         return card;
@@ -993,10 +1585,10 @@ class TripBudgetManager {
         if (!amount || isNaN(amount) || amount <= 0) return;
 
         try {
-            const response = await fetch('/api/budget/request', {
+            const response = await this.apiFetch('/api/budget/request', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ tripCode: this.tripCode, memberId, amount, reason: 'User requested limit increase' })
+                body: JSON.stringify({ tripCode: this.tripCode, amount: this.toMinor(amount), reason: 'User requested limit increase' })
             });
             if (response.ok) {
                 this.showNotification('Request sent to Admin', 'success');
@@ -1010,7 +1602,7 @@ class TripBudgetManager {
 
     async handleBudgetRequest(id, action, amount, memberName) {
         if (action === 'reject') {
-            await fetch(`/api/budget/request/${id}`, {
+            await this.apiFetch(`/api/budget/request/${id}`, {
                 method: 'DELETE',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ tripCode: this.tripCode })
@@ -1021,10 +1613,10 @@ class TripBudgetManager {
         }
 
         if (action === 'approve') {
-            const newBudget = this.tripData.budget + parseFloat(amount);
-            if (confirm(`Approve request from ${memberName}?\nThis will increase Total Budget to ₹${newBudget}`)) {
+            const newBudget = this.tripData.budget + parseInt(amount, 10);
+            if (confirm(`Approve request from ${memberName}?\nThis will increase Total Budget to ${this.formatMoney(newBudget)}`)) {
                 // 1. Update Budget
-                await fetch('/api/trip', {
+                await this.apiFetch('/api/trip', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
@@ -1034,7 +1626,7 @@ class TripBudgetManager {
                     })
                 });
                 // 2. Clear Request
-                await fetch(`/api/budget/request/${id}`, {
+                await this.apiFetch(`/api/budget/request/${id}`, {
                     method: 'DELETE',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ tripCode: this.tripCode })
@@ -1052,10 +1644,10 @@ class TripBudgetManager {
         const totalSpent = this.tripData.expenses.reduce((sum, e) => sum + (e.amount || 0), 0);
         const remaining = totalCollected - totalSpent;
 
-        document.getElementById('totalBudget').textContent = `₹${this.tripData.budget.toLocaleString('en-IN')}`;
-        document.getElementById('totalCollected').textContent = `₹${totalCollected.toLocaleString('en-IN')}`;
-        document.getElementById('totalSpent').textContent = `₹${totalSpent.toLocaleString('en-IN')}`;
-        document.getElementById('remainingAmount').textContent = `₹${remaining.toLocaleString('en-IN')}`;
+        document.getElementById('totalBudget').textContent = this.formatMoney(this.tripData.budget);
+        document.getElementById('totalCollected').textContent = this.formatMoney(totalCollected);
+        document.getElementById('totalSpent').textContent = this.formatMoney(totalSpent);
+        document.getElementById('remainingAmount').textContent = this.formatMoney(remaining);
 
         // Progress
         const pct = this.tripData.budget > 0 ? (totalCollected / this.tripData.budget * 100) : 0;
@@ -1079,18 +1671,33 @@ class TripBudgetManager {
             alert.className = 'alert alert-error';
             alert.innerHTML = `
             <span class="material-icons">warning</span>
-                <span><strong>Over Budget!</strong> Expenses exceed collected amount by ₹${Math.abs(remaining).toLocaleString('en-IN')}</span>
+                <span><strong>Over Budget!</strong> Expenses exceed collected amount by ${this.formatMoney(Math.abs(remaining))}</span>
         `;
             container.appendChild(alert);
-        } else if (remaining < 2000 && remaining > 0) {
+        } else if (remaining < 200000 && remaining > 0) {
             const alert = document.createElement('div');
             alert.className = 'alert alert-warning';
             alert.innerHTML = `
             <span class="material-icons">info</span>
-                <span><strong>Low Balance:</strong> Only ₹${remaining.toLocaleString('en-IN')} remaining.</span>
+                <span><strong>Low Balance:</strong> Only ${this.formatMoney(remaining)} remaining.</span>
         `;
             container.appendChild(alert);
         }
+
+        // Categories close to or past their budget cap
+        this.categorySpending().filter(c => c.status !== 'ok').forEach(c => {
+            const over = c.status === 'over';
+            const detail = over
+                ? `over its budget by ${this.formatMoney(c.spent - c.budget)}`
+                : `${Math.round(c.spent / c.budget * 100)}% of its budget used`;
+            const alert = document.createElement('div');
+            alert.className = `alert ${over ? 'alert-error' : 'alert-warning'}`;
+            alert.innerHTML = `
+            <span class="material-icons">${c.icon}</span>
+                <span><strong>${c.name}</strong> is ${detail} (${this.formatMoney(c.spent)} of ${this.formatMoney(c.budget)}).</span>
+        `;
+            container.appendChild(alert);
+        });
     }
 
     displayMembers() {
@@ -1100,11 +1707,14 @@ class TripBudgetManager {
         const inputValues = {};
         const focusedElementId = document.activeElement ? document.activeElement.id : null;
 
+        const currencyValues = {};
         this.tripData.members.forEach(m => {
             const input = document.getElementById(`contrib-${m.id}`);
             if (input && input.value) {
                 inputValues[m.id] = input.value;
             }
+            const currency = document.getElementById(`contrib-currency-${m.id}`);
+            if (currency) currencyValues[m.id] = currency.value;
         });
 
         grid.innerHTML = '';
@@ -1119,6 +1729,10 @@ class TripBudgetManager {
                 input.value = inputValues[memberId];
             }
         });
+        Object.keys(currencyValues).forEach(memberId => {
+            const select = document.getElementById(`contrib-currency-${memberId}`);
+            if (select && this.tripCurrencies().includes(currencyValues[memberId])) select.value = currencyValues[memberId];
+        });
 
         // Restore focus if it was on an input
         if (focusedElementId && focusedElementId.startsWith('contrib-')) {
@@ -1134,15 +1748,22 @@ class TripBudgetManager {
     async deleteMember(id) {
         if (!confirm('Remove this member?')) return;
         try {
-            const response = await fetch(`/api/members/${id}`, {
+            const response = await this.apiFetch(`/api/members/${id}`, {
                 method: 'DELETE',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ tripCode: this.tripCode })
             });
             if (response.ok) {
-                this.showNotification('Member removed', 'success');
+                this.showNotification('Member removed', 'success', {
+                    label: 'Undo',
+                    onClick: () => this.restoreFromTrash('members', id)
+                });
                 await this.loadFromStorage();
-            } else {
+            } else if (response.status === 409) {
+                // Expenses, payments or requests still refer to them
+                const result = await response.json();
+                alert(`${result.message}\n\n${result.references.map(r => `• ${r.description}`).join('\n')}`);
+            } else if (response.status !== 403) {
                 this.showNotification('Failed to remove member', 'error');
             }
         } catch (error) {
@@ -1151,19 +1772,47 @@ class TripBudgetManager {
         }
     }
 
-    // Share member details (login credentials)
-    shareMemberDetails(memberId) {
+    // Share a one-time invite link for this member (instead of the trip code)
+    async shareMemberDetails(memberId) {
+        const member = this.tripData.members.find(m => m.id === memberId);
+        if (!member) return;
+
+        const created = await this.createInvite({ memberId });
+        if (created) this.shareMemberInvite(memberId, created.token);
+    }
+
+    // Clear a member's PIN or passphrase and log them out everywhere, then share the invite
+    // link the server made for their slot
+    async resetMemberLogin(memberId) {
         const member = this.tripData.members.find(m => m.id === memberId);
         if (!member) return;
+        if (!confirm(`Reset ${member.name}'s login?\n\nTheir PIN or passphrase stops working and they are logged out on every device. ` +
+            'You will get an invite link to send them, so they can choose a new one.')) return;
+
+        try {
+            const response = await this.apiFetch(`/api/trip/${this.tripCode}/members/${memberId}/reset-login`, { method: 'POST' });
+            const result = await response.json();
+            if (response.ok) {
+                this.showNotification(result.message, 'success');
+                this.shareMemberInvite(memberId, result.token);
+                await this.loadFromStorage();
+            } else if (response.status !== 403) {
+                this.showNotification(result.message || 'Failed to reset the login', 'error');
+            }
+        } catch (error) {
+            console.error('Reset login error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
 
+    shareMemberInvite(memberId, token) {
+        const member = this.tripData.members.find(m => m.id === memberId);
         const tripName = this.tripData.tripName || 'Trip';
-        const tripCode = this.tripData.tripCode;
-        const appUrl = 'https://mybudgettrip.onrender.com/';
 
         const message = `Join the *${tripName}* to check dashboard:\n\n` +
-            `Username: ${member.name}\n` +
-            `Password: ${tripCode}\n\n` +
-            `Link: ${appUrl}`;
+            `Username: ${member ? member.name : ''}\n\n` +
+            `Open this link and choose your own PIN or passphrase. It works once and expires in a few days.\n\n` +
+            `Link: ${this.inviteUrl(token)}`;
 
         const encodedMessage = encodeURIComponent(message);
         window.open(`https://wa.me/?text=${encodedMessage}`, '_blank');
@@ -1175,49 +1824,43 @@ class TripBudgetManager {
         if (!member) return;
 
         const tripName = this.tripData.tripName || 'Trip';
-        const expected = Math.round(member.expectedContribution * 100) / 100;
+        const expected = member.expectedContribution || 0;
 
         // Cap 'Paid' at 'Expected' amount
         const rawPaid = member.actualContribution || 0;
-        const cappedPaid = Math.min(rawPaid, expected);
+        const paid = Math.min(rawPaid, expected);
         const overflowPaid = Math.max(rawPaid - expected, 0);
 
-        const paid = Math.round(cappedPaid * 100) / 100;
-        const remaining = Math.round(member.remainingContribution * 100) / 100;
-        const balance = Math.round(member.balance * 100) / 100;
-
         // Add overflow to personal expenses
-        const personal = Math.round(((member.personal || 0) + overflowPaid) * 100) / 100;
+        const personal = (member.personal || 0) + overflowPaid;
 
         let message = `*${tripName}* - Financial Summary\n\n` +
             `Member: ${member.name}\n\n` +
-            `💰 Expected: ₹${expected}\n` +
-            `✅ Paid: ₹${paid}\n` +
-            `❌ Unpaid: ₹${remaining}\n` +
-            `📊 Balance: ₹${balance}\n` +
-            `🛍 Personal Expenses: ₹${personal}`;
-
-        // Add trip expenses breakdown
-        const memberExpenses = this.tripData.expenses.filter(e => {
-            if (e.splitBetween && Array.isArray(e.splitBetween)) {
-                return e.splitBetween.includes(member.id);
-            } else if (e.paidBy) {
-                if (e.paidBy === 'all_members' || e.paidBy === 'pool') {
-                    return true;
-                }
-                return e.paidBy === member.id;
-            }
-            return false;
-        });
+            `💰 Expected: ${this.formatMoney(expected)}\n` +
+            `✅ Paid: ${this.formatMoney(paid)}\n` +
+            `❌ Unpaid: ${this.formatMoney(member.remainingContribution)}\n` +
+            `📊 Balance: ${this.formatMoney(member.balance)}\n` +
+            `🛍 Personal Expenses: ${this.formatMoney(personal)}`;
+
+        const payments = this.memberPayments(member.id);
+        if (payments.length > 0) {
+            message += `\n\n*Payments*\n`;
+            payments.forEach(p => {
+                message += `🤝 ${this.describePayment(p, member.id)}\n`;
+            });
+        }
+
+        // Add trip expenses breakdown - the server sends each expense's shares in paise
+        const memberExpenses = this.tripData.expenses.filter(e => (e.shares || {})[member.id] !== undefined);
 
         // Sort expenses by date (newest first)
-        memberExpenses.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        memberExpenses.sort((a, b) => new Date(this.spentAt(b)) - new Date(this.spentAt(a)));
 
         if (memberExpenses.length > 0) {
             message += `\n\n*Trip Expenses*\n`;
 
             memberExpenses.forEach(e => {
-                const expenseDate = e.timestamp ? new Date(e.timestamp).toLocaleDateString('en-IN', { day: 'numeric', month: 'numeric', year: 'numeric' }) : '';
+                const expenseDate = this.spentAt(e) ? new Date(this.spentAt(e)).toLocaleDateString('en-IN', { day: 'numeric', month: 'numeric', year: 'numeric', timeZone: this.tripData.timeZone }) : '';
 
                 // Determine who paid
                 let paidByText = 'All Members';
@@ -1226,26 +1869,23 @@ class TripBudgetManager {
                     paidByText = payer ? payer.name : 'Unknown';
                 }
 
-                // Calculate member's contribution
-                let splitMembers = [];
-                if (e.splitBetween && Array.isArray(e.splitBetween)) {
-                    splitMembers = e.splitBetween;
-                } else if (e.paidBy) {
-                    if (e.paidBy === 'all_members' || e.paidBy === 'pool') {
-                        splitMembers = this.tripData.members.map(m => m.id);
-                    } else {
-                        splitMembers = [e.paidBy];
-                    }
-                }
-
-                const totalMembers = splitMembers.length;
-                const memberContribution = totalMembers > 0 ? (e.amount / totalMembers) : 0;
-                const formattedContribution = Math.round(memberContribution * 100) / 100;
+                const totalMembers = Object.keys(e.shares).length;
+                const memberContribution = e.shares[member.id];
 
-                message += `\n▪ *${e.title}*: ₹${e.amount}${expenseDate ? ` (${expenseDate})` : ''}\n`;
+                message += `\n▪ *${e.title}*: ${this.formatRecorded(e)}${expenseDate ? ` (${expenseDate})` : ''}\n`;
                 message += `   Paid by: ${paidByText}\n`;
-                message += `   Total member's: ${totalMembers}\n`;
-                message += `   ${member.name}'s contribution: ₹${formattedContribution}\n`;
+                message += `   Total member's: ${totalMembers}${e.splitMode && e.splitMode !== 'equal' ? ` (${this.describeSplit(e)})` : ''}\n`;
+                message += `   ${member.name}'s contribution: ${this.formatMoney(memberContribution)}\n`;
+                if (e.splitMode === 'items') {
+                    const part = (e.itemShares || {})[member.id];
+                    if (part) {
+                        part.items.forEach(item => {
+                            const shared = item.share !== item.price ? ` (share of ${this.formatMoney(item.price, e.currency)})` : '';
+                            message += `     • ${item.name}: ${this.formatMoney(item.share, e.currency)}${shared}\n`;
+                        });
+                        if (part.charges) message += `     • Tax, service & tip: ${this.formatMoney(part.charges, e.currency)}\n`;
+                    }
+                }
                 if (e.description) {
                     message += `   Description: ${e.description}\n`;
                 }
@@ -1268,18 +1908,16 @@ class TripBudgetManager {
         let message = `*${tripName}* - All Members Financial Summary\n\n`;
 
         this.tripData.members.forEach((member, index) => {
-            const expected = Math.round(member.expectedContribution * 100) / 100;
-            const paid = Math.round(member.actualContribution * 100) / 100;
-            const remaining = Math.round(member.remainingContribution * 100) / 100;
-            const balance = Math.round(member.balance * 100) / 100;
-            const personal = Math.round((member.personal || 0) * 100) / 100;
-
             message += `${index + 1}. *${member.name}*\n`;
-            message += `   💰 Expected: ₹${expected}\n`;
-            message += `   ✅ Paid: ₹${paid}\n`;
-            message += `   ❌ Unpaid: ₹${remaining}\n`;
-            message += `   📊 Balance: ₹${balance}\n`;
-            message += `   🛍️ Personal: ₹${personal}\n\n`;
+            message += `   💰 Expected: ${this.formatMoney(member.expectedContribution)}\n`;
+            message += `   ✅ Paid: ${this.formatMoney(member.actualContribution)}\n`;
+            message += `   ❌ Unpaid: ${this.formatMoney(member.remainingContribution)}\n`;
+            message += `   📊 Balance: ${this.formatMoney(member.balance)}\n`;
+            message += `   🛍️ Personal: ${this.formatMoney(member.personal)}\n`;
+            if (member.paymentsSent || member.paymentsReceived) {
+                message += `   🤝 Payments: sent ${this.formatMoney(member.paymentsSent)}, received ${this.formatMoney(member.paymentsReceived)}\n`;
+            }
+            message += `\n`;
         });
 
         const encodedMessage = encodeURIComponent(message);
@@ -1290,13 +1928,16 @@ class TripBudgetManager {
     async deleteExpense(id) {
         if (!confirm('Delete this expense?')) return;
         try {
-            const response = await fetch(`/api/expenses/${id}`, {
+            const response = await this.apiFetch(`/api/expenses/${id}`, {
                 method: 'DELETE',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ tripCode: this.tripCode })
             });
             if (response.ok) {
-                this.showNotification('Expense deleted', 'success');
+                this.showNotification('Expense deleted', 'success', {
+                    label: 'Undo',
+                    onClick: () => this.restoreFromTrash('expenses', id)
+                });
                 await this.loadFromStorage();
             } else {
                 this.showNotification('Failed to delete expense', 'error');
@@ -1311,34 +1952,50 @@ class TripBudgetManager {
         const list = document.getElementById('expensesList');
         list.innerHTML = '';
 
-        // Sort expenses by date (newest first)
-        const sortedExpenses = [...this.tripData.expenses].sort((a, b) =>
-            new Date(b.timestamp || 0) - new Date(a.timestamp || 0)
-        );
+        const filterCategory = document.getElementById('filterCategory');
+        const filterDate = document.getElementById('filterDate');
+        const category = filterCategory ? filterCategory.value : '';
+        const day = filterDate ? filterDate.value : '';
+
+        // Sort expenses by when they were spent (newest first)
+        const sortedExpenses = this.tripData.expenses
+            .filter(e => (!category || e.category === category) && (!day || this.expenseDay(e) === day))
+            .sort((a, b) => new Date(this.spentAt(b) || 0) - new Date(this.spentAt(a) || 0));
 
         if (sortedExpenses.length === 0) {
-            list.innerHTML = '<div class="no-data" style="text-align:center; padding: 2rem; color: var(--text-secondary);">No expenses added yet.</div>';
+            const message = category || day ? 'No expenses match the filters.' : 'No expenses added yet.';
+            list.innerHTML = `<div class="no-data" style="text-align:center; padding: 2rem; color: var(--text-secondary);">${message}</div>`;
             return;
         }
 
-        const getCategoryIcon = (cat) => {
-            const icons = {
-                food: 'fastfood',
-                transport: 'directions_car',
-                accommodation: 'hotel',
-                entertainment: 'movie',
-                shopping: 'shopping_bag',
-                other: 'category'
-            };
-            return icons[cat] || 'category';
-        };
+        // Each day gets a header with that day's total
+        const dayTotals = {};
+        sortedExpenses.forEach(e => {
+            const expenseDay = this.expenseDay(e);
+            dayTotals[expenseDay] = (dayTotals[expenseDay] || 0) + (e.amount || 0);
+        });
 
+        let currentDay = null;
         sortedExpenses.forEach(e => {
-            const date = e.timestamp ? new Date(e.timestamp).toLocaleString('en-IN', {
-                month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            const expenseDay = this.expenseDay(e);
+            if (expenseDay !== currentDay) {
+                currentDay = expenseDay;
+                const header = document.createElement('div');
+                header.className = 'expense-day-header';
+                header.innerHTML = `
+                    <span>${expenseDay ? this.formatDay(expenseDay) : 'No date'}</span>
+                    <span class="day-total">${this.formatMoney(dayTotals[expenseDay])}</span>`;
+                list.appendChild(header);
+            }
+
+            const date = this.spentAt(e) ? new Date(this.spentAt(e)).toLocaleTimeString('en-IN', {
+                hour: '2-digit', minute: '2-digit', timeZone: this.tripData.timeZone
             }) : '';
 
-            const deleteBtn = this.currentUser && this.currentUser.role === 'admin' ? `
+            const deleteBtn = this.isAdmin() ? `
+            <button class="icon-button" onclick="tripManager.changeExpenseDate('${e.id}')" title="Change Date">
+                <span class="material-icons">edit_calendar</span>
+            </button>
             <button class="icon-button delete-btn" onclick="tripManager.deleteExpense('${e.id}')" title="Delete Expense">
                 <span class="material-icons">delete</span>
             </button>` : '';
@@ -1348,10 +2005,10 @@ class TripBudgetManager {
             item.innerHTML = `
             <div class="expense-header">
                     <div class="expense-title">
-                        <span class="material-icons" style="color: var(--primary-color)">${getCategoryIcon(e.category)}</span>
+                        <span class="material-icons" style="color: var(--primary-color)">${this.categoryInfo(e.category).icon}</span>
                         ${e.title || 'Untitled Expense'}
                     </div>
-                    <div class="expense-amount">₹${e.amount.toLocaleString('en-IN')}</div>
+                    <div class="expense-amount">${this.formatRecorded(e)}</div>
                 </div>
             <div class="expense-meta">
                 <div class="expense-meta-item">
@@ -1360,23 +2017,89 @@ class TripBudgetManager {
                 </div>
                 <div class="expense-meta-item">
                     <span class="material-icons">category</span>
-                    ${e.category.charAt(0).toUpperCase() + e.category.slice(1)}
+                    ${this.categoryInfo(e.category).name}
                 </div>
                 ${date ? `
                     <div class="expense-meta-item">
                         <span class="material-icons">schedule</span>
                         ${date}
                     </div>` : ''}
+                ${e.splitMode && e.splitMode !== 'equal' ? `
+                    <div class="expense-meta-item">
+                        <span class="material-icons">call_split</span>
+                        ${this.describeSplit(e)}
+                    </div>` : ''}
                 <div class="expense-actions">
                     ${deleteBtn}
                 </div>
             </div>
+                ${e.splitMode === 'items' ? this.renderBillItems(e) : ''}
                 ${e.description ? `<div class="expense-description">${e.description}</div>` : ''}
+                ${this.renderReceipts(e)}
         `;
             list.appendChild(item);
         });
     }
 
+    // --- Receipts ---
+    // Same limits as the server, checked before anything is uploaded
+    checkReceiptFiles(files) {
+        if (files.length > MAX_RECEIPTS) return `Attach at most ${MAX_RECEIPTS} receipts`;
+        const wrongType = files.find(f => !RECEIPT_TYPES.includes(f.type));
+        if (wrongType) return `${wrongType.name} is not a JPEG, PNG or WebP image`;
+        const tooBig = files.find(f => f.size > MAX_RECEIPT_MB * 1024 * 1024);
+        if (tooBig) return `${tooBig.name} is larger than ${MAX_RECEIPT_MB} MB`;
+        return null;
+    }
+
+    // Upload receipt images one by one. Returns their ids, or null if one failed.
+    async uploadReceipts(files) {
+        const receiptIds = [];
+        for (const file of files) {
+            const response = await fetch(`/api/trip/${this.tripCode}/receipts`, {
+                method: 'POST',
+                headers: { 'Content-Type': file.type, ...this.authHeaders() },
+                body: file
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.showNotification(result.message || `Failed to upload ${file.name}`, 'error');
+                return null;
+            }
+            receiptIds.push(result.receiptId);
+        }
+        return receiptIds;
+    }
+
+    receiptUrl(receiptId) {
+        return `/api/trip/${this.tripCode}/receipts/${receiptId}?token=${encodeURIComponent(this.sessionToken || '')}`;
+    }
+
+    // Thumbnails that open the full image
+    renderReceipts(expense) {
+        if (!expense.receipts || expense.receipts.length === 0) return '';
+        return `
+            <div class="receipt-thumbs">
+                ${expense.receipts.map(id => `
+                    <a href="${this.receiptUrl(id)}" target="_blank" rel="noopener" title="Open receipt">
+                        <img src="${this.receiptUrl(id)}" alt="Receipt" loading="lazy">
+                    </a>`).join('')}
+            </div>`;
+    }
+
+    renderBillItems(expense) {
+        const names = (ids) => ids.map(id => this.getMemberName(id)).join(', ');
+        const charges = [['Tax', expense.tax], ['Service', expense.serviceCharge], ['Tip', expense.tip]]
+            .filter(([, amount]) => amount > 0)
+            .map(([label, amount]) => `${label} ${this.formatMoney(amount, expense.currency)}`);
+
+        return `
+            <ul class="expense-items">
+                ${(expense.items || []).map(item => `<li>${item.name} - ${this.formatMoney(item.price, expense.currency)} (${names(item.members)})</li>`).join('')}
+                ${charges.length ? `<li>${charges.join(' · ')}</li>` : ''}
+            </ul>`;
+    }
+
     updateMemberSelect() {
         const select = document.getElementById('paidBy');
         if (!select) return;
@@ -1402,93 +2125,6 @@ class TripBudgetManager {
     hideMemberModal() { document.getElementById('memberModal').style.display = 'none'; }
     showMemberModal() { document.getElementById('memberModal').style.display = 'flex'; }
     hideEditMemberModal() { document.getElementById('editMemberModal').style.display = 'none'; }
-    hideEditTripModal() { document.getElementById('editTripModal').style.display = 'none'; }
-    editTripDetails() {
-        if (this.currentUser.role !== 'admin') {
-            this.showNotification('Only Admin can edit trip details', 'error');
-            return;
-        }
-        document.getElementById('editTripModal').style.display = 'flex';
-        document.getElementById('editTripName').value = this.tripData.tripName;
-        document.getElementById('editBudgetAmount').value = this.tripData.budget;
-        document.getElementById('editMemberCount').value = this.tripData.memberCount;
-        document.getElementById('editTripDateTime').value = this.tripData.tripDate;
-
-        // Reset budget type to Total
-        document.getElementById('editBudgetType').value = 'total';
-        this.toggleEditBudgetInput();
-    }
-
-    async handleEditTripSubmit(e) {
-        e.preventDefault();
-        const tripName = document.getElementById('editTripName').value.trim();
-        let budget = parseFloat(document.getElementById('editBudgetAmount').value);
-        const memberCount = parseInt(document.getElementById('editMemberCount').value);
-        const tripDate = document.getElementById('editTripDateTime').value;
-        const budgetType = document.getElementById('editBudgetType').value;
-
-        // Calculate total budget if per-person is selected
-        if (budgetType === 'person') {
-            budget = budget * memberCount;
-        }
-
-        if (!tripName || !budget || !memberCount || !tripDate) {
-            this.showNotification('Please fill all fields', 'error');
-            return;
-        }
-
-        try {
-            // Update trip data
-            const updatedTrip = {
-                ...this.tripData,
-                tripName,
-                budget,
-                memberCount,
-                tripDate
-            };
-
-            // Recalculate expected contribution
-            const newExpected = budget / memberCount;
-
-            // Update all members' expected and remaining amounts
-            updatedTrip.members = updatedTrip.members.map(m => {
-                const paid = m.actualContribution || 0;
-                return {
-                    ...m,
-                    expectedContribution: newExpected,
-                    remainingContribution: newExpected - paid
-                };
-            });
-
-            // Send update to server
-            // We use /api/trip to overwrite trip details. 
-            // Note: In a real app, we might want a PATCH endpoint, but /api/trip POST usually resets or updates.
-            // Let's check server.js... /api/trip POST overwrites EVERYTHING.
-            // So we must be careful.
-            // Actually, server.js /api/trip POST takes {tripName, budget, memberCount, tripDate} and RESETS members if we are not careful?
-            // Let's check server.js implementation again.
-            // Wait, I should check server.js before writing this.
-            // But I can't check it inside this tool call.
-            // I'll assume I need to send the FULL updated data or use a different endpoint.
-            // The server.js I viewed earlier (Step 287) showed /api/trip POST:
-            // app.post('/api/trip', (req, res) => { ... writes req.body to data ... })
-            // So it overwrites. I need to send the COMPLETE data including members and expenses.
-
-            await fetch('/api/trip', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ tripCode: this.tripCode, ...updatedTrip })
-            });
-
-            this.showNotification('Trip details updated', 'success');
-            this.hideEditTripModal();
-            await this.loadFromStorage();
-
-        } catch (error) {
-            console.error('Edit trip error:', error);
-            this.showNotification('Error updating trip', 'error');
-        }
-    }
 
     openEditMemberModal(memberId) {
         const member = this.tripData.members.find(m => m.id === memberId);
@@ -1496,14 +2132,12 @@ class TripBudgetManager {
 
         document.getElementById('editMemberId').value = member.id;
         document.getElementById('editMemberName').value = member.name;
-        document.getElementById('editExpected').value = member.expectedContribution;
-        document.getElementById('editPaid').value = member.actualContribution;
-        document.getElementById('editPersonal').value = member.personal;
-        document.getElementById('editBalance').value = member.balance || 0;
+        document.getElementById('editExpected').value = this.toMajor(member.expectedContribution);
+        document.getElementById('editPaid').value = this.toMajor(member.actualContribution);
+        document.getElementById('editPersonal').value = this.toMajor(member.personal);
+        document.getElementById('editBalance').value = this.toMajor(member.balance || 0);
 
         document.getElementById('customExpected').checked = member.customExpected || false;
-        document.getElementById('customPersonal').checked = member.customPersonal || false;
-        document.getElementById('customBalance').checked = member.customBalance || false;
 
         document.getElementById('editMemberModal').style.display = 'flex';
     }
@@ -1512,23 +2146,21 @@ class TripBudgetManager {
         e.preventDefault();
         const id = document.getElementById('editMemberId').value;
         const name = document.getElementById('editMemberName').value.trim();
-        const expectedContribution = parseFloat(document.getElementById('editExpected').value);
-        const actualContribution = parseFloat(document.getElementById('editPaid').value);
-        const personal = parseFloat(document.getElementById('editPersonal').value);
-        const balance = parseFloat(document.getElementById('editBalance').value);
+        const expectedContribution = this.toMinor(document.getElementById('editExpected').value);
+        const actualContribution = this.toMinor(document.getElementById('editPaid').value);
+        const personal = this.toMinor(document.getElementById('editPersonal').value);
+        const balance = this.toMinor(document.getElementById('editBalance').value);
         const customExpected = document.getElementById('customExpected').checked;
-        const customPersonal = document.getElementById('customPersonal').checked;
-        const customBalance = document.getElementById('customBalance').checked;
 
         if (!name) {
             this.showNotification('Please enter a member name', 'error');
             return;
         }
 
-        console.log('Updating member:', { id, name, expectedContribution, actualContribution, personal, balance, customExpected, customPersonal, customBalance });
+        console.log('Updating member:', { id, name, expectedContribution, actualContribution, personal, balance, customExpected });
 
         try {
-            const response = await fetch('/api/members/update', {
+            const response = await this.apiFetch('/api/members/update', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -1539,9 +2171,7 @@ class TripBudgetManager {
                     actualContribution,
                     personal,
                     balance,
-                    customExpected,
-                    customPersonal,
-                    customBalance
+                    customExpected
                 })
             });
 
@@ -1614,7 +2244,7 @@ class TripBudgetManager {
                     month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
                 }) : '';
 
-                const deleteBtn = this.currentUser && this.currentUser.role === 'admin' ? `
+                const deleteBtn = this.isAdmin() ? `
             <button class="icon-button delete-btn" onclick="tripManager.deleteExpense('${e.id}')" title="Delete Expense">
                 <span class="material-icons">delete</span>
             </button>` : '';
@@ -1624,10 +2254,10 @@ class TripBudgetManager {
                 item.innerHTML = `
             <div class="expense-header">
                     <div class="expense-title">
-                        <span class="material-icons" style="color: var(--primary-color)">${getCategoryIcon(e.category)}</span>
+                        <span class="material-icons" style="color: var(--primary-color)">${this.categoryInfo(e.category).icon}</span>
                         ${e.title || 'Untitled Expense'}
                     </div>
-                    <div class="expense-amount">₹${e.amount.toLocaleString('en-IN')}</div>
+                    <div class="expense-amount">${this.formatRecorded(e)}</div>
                 </div>
             <div class="expense-meta">
                 <div class="expense-meta-item">
@@ -1636,7 +2266,7 @@ class TripBudgetManager {
                 </div>
                 <div class="expense-meta-item">
                     <span class="material-icons">category</span>
-                    ${e.category.charAt(0).toUpperCase() + e.category.slice(1)}
+                    ${this.categoryInfo(e.category).name}
                 </div>
                 ${date ? `
                     <div class="expense-meta-item">
@@ -1681,15 +2311,22 @@ class TripBudgetManager {
     showMemberModal() { document.getElementById('memberModal').style.display = 'flex'; }
     hideEditTripModal() { document.getElementById('editTripModal').style.display = 'none'; }
     editTripDetails() {
-        if (this.currentUser.role !== 'admin') {
+        if (!this.isAdmin()) {
             this.showNotification('Only Admin can edit trip details', 'error');
             return;
         }
         document.getElementById('editTripModal').style.display = 'flex';
         document.getElementById('editTripName').value = this.tripData.tripName;
-        document.getElementById('editBudgetAmount').value = this.tripData.budget;
+        document.getElementById('editBaseCurrency').innerHTML = Object.keys(this.tripData.currencies || {})
+            .map(code => `<option value="${code}">${code}</option>`).join('');
+        document.getElementById('editBaseCurrency').value = this.baseCurrency();
+        document.getElementById('editBudgetAmount').value = this.toMajor(this.tripData.budget);
         document.getElementById('editMemberCount').value = this.tripData.memberCount;
         document.getElementById('editTripDateTime').value = this.tripData.tripDate;
+        document.getElementById('editTripEndDate').value = this.tripData.endDate || '';
+        document.getElementById('editDailyAllowance').value = this.tripData.dailyAllowance ? this.toMajor(this.tripData.dailyAllowance) : '';
+        document.getElementById('editAllowJoinRequests').checked = Boolean(this.tripData.allowJoinRequests);
+        document.getElementById('changeAdminPinGroup').style.display = this.isOwner() ? 'block' : 'none';
 
         // Reset budget type to Total
         document.getElementById('editBudgetType').value = 'total';
@@ -1699,9 +2336,13 @@ class TripBudgetManager {
     async handleEditTripSubmit(e) {
         e.preventDefault();
         const tripName = document.getElementById('editTripName').value.trim();
-        let budget = parseFloat(document.getElementById('editBudgetAmount').value);
+        const baseCurrency = document.getElementById('editBaseCurrency').value || this.baseCurrency();
+        let budget = this.toMinor(document.getElementById('editBudgetAmount').value, baseCurrency);
         const memberCount = parseInt(document.getElementById('editMemberCount').value);
         const tripDate = document.getElementById('editTripDateTime').value;
+        const endDate = document.getElementById('editTripEndDate').value;
+        const dailyAllowance = this.toMinor(document.getElementById('editDailyAllowance').value, baseCurrency) || 0;
+        const allowJoinRequests = document.getElementById('editAllowJoinRequests').checked;
         const budgetType = document.getElementById('editBudgetType').value;
 
         // Calculate total budget if per-person is selected
@@ -1721,7 +2362,11 @@ class TripBudgetManager {
                 tripName,
                 budget,
                 memberCount,
-                tripDate
+                tripDate,
+                endDate,
+                dailyAllowance,
+                allowJoinRequests,
+                baseCurrency
             };
 
             // Recalculate expected contribution
@@ -1751,11 +2396,16 @@ class TripBudgetManager {
             // app.post('/api/trip', (req, res) => { ... writes req.body to data ... })
             // So it overwrites. I need to send the COMPLETE data including members and expenses.
 
-            await fetch('/api/trip', {
+            const response = await this.apiFetch('/api/trip', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ tripCode: this.tripCode, ...updatedTrip })
             });
+            if (!response.ok) {
+                const result = await response.json();
+                this.showNotification(result.message || 'Error updating trip', 'error');
+                return;
+            }
 
             this.showNotification('Trip details updated', 'success');
             this.hideEditTripModal();
@@ -1767,12 +2417,926 @@ class TripBudgetManager {
         }
     }
 
+    roleLabel(role) {
+        const labels = { owner: 'Owner', 'co-admin': 'Co-admin', member: 'Member', viewer: 'Viewer' };
+        return labels[role] || 'Member';
+    }
+
+    async changeMemberRole(memberId, role) {
+        try {
+            const response = await this.apiFetch(`/api/trip/${this.tripCode}/members/${memberId}/role`, {
+                method: 'POST',
+                body: JSON.stringify({ role })
+            });
+            const result = await response.json();
+            if (response.ok) {
+                this.showNotification(result.message, 'success');
+            } else if (response.status !== 403) {
+                this.showNotification(result.message || 'Failed to change the role', 'error');
+            }
+            await this.loadFromStorage();
+        } catch (error) {
+            console.error('Role change error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // The old owner stays on as a co-admin
+    async transferOwnership(memberId) {
+        const member = this.tripData.members.find(m => m.id === memberId);
+        if (!member) return;
+        if (!confirm(`Hand this trip over to ${member.name}?\n\nThey become the owner and you become a co-admin. ` +
+            'If you log in with the Admin PIN, it becomes your own PIN.')) return;
+
+        try {
+            const response = await this.apiFetch(`/api/trip/${this.tripCode}/owner`, {
+                method: 'POST',
+                body: JSON.stringify({ memberId })
+            });
+            const result = await response.json();
+            if (response.ok) {
+                this.showNotification(result.message, 'success');
+                await this.loadFromStorage();
+            } else if (response.status !== 403) {
+                this.showNotification(result.message || 'Failed to hand the trip over', 'error');
+            }
+        } catch (error) {
+            console.error('Ownership transfer error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // The server checks the current PIN; too many wrong ones lock the trip out for a while
+    async changeAdminPin() {
+        // A restored trip has no PIN yet, so there is no current one to ask for
+        const currentPin = this.tripData.hasAdminPin ? prompt('Enter the current Admin PIN:') : '';
+        if (currentPin === null) return;
+        const newPin = prompt('Choose a new Admin PIN (at least 4 characters):');
+        if (newPin === null) return;
+        if (prompt('Enter the new Admin PIN again:') !== newPin) {
+            this.showNotification('The new PINs do not match', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/trip/${this.tripCode}/admin-pin`, {
+                method: 'POST',
+                body: JSON.stringify({ currentPin, newPin })
+            });
+            const result = await response.json();
+            if (response.ok) {
+                this.showNotification('Admin PIN changed', 'success');
+            } else {
+                this.showNotification(result.message || 'Failed to change the Admin PIN', 'error');
+            }
+        } catch (error) {
+            console.error('Admin PIN error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // --- Direct Payments ---
+    memberPayments(memberId) {
+        return (this.tripData.payments || [])
+            .filter(p => p.from === memberId || p.to === memberId)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    // From one member's point of view, e.g. "Paid Priya ₹500 · Cash · 12 Oct"
+    describePayment(payment, memberId) {
+        const methods = { cash: 'Cash', upi: 'UPI', bank: 'Bank transfer', card: 'Card', other: 'Other' };
+        const direction = payment.from === memberId
+            ? `Paid ${this.getMemberName(payment.to)}`
+            : `Received from ${this.getMemberName(payment.from)}`;
+        const date = new Date(payment.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        const note = payment.note ? ` · ${payment.note}` : '';
+        return `${direction} ${this.formatMoney(payment.amount)} · ${methods[payment.method] || payment.method} · ${date}${note}`;
+    }
+
+    showPaymentModal(prefill = {}) {
+        const options = this.tripData.members.map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+        document.getElementById('paymentFrom').innerHTML = options;
+        document.getElementById('paymentTo').innerHTML = options;
+        document.getElementById('paymentForm').reset();
+
+        const others = this.tripData.members.filter(m => m.id !== (this.currentUser && this.currentUser.id));
+        document.getElementById('paymentFrom').value = prefill.from || (this.currentUser && this.currentUser.id) || '';
+        document.getElementById('paymentTo').value = prefill.to || (others[0] ? others[0].id : '');
+        if (prefill.amount) document.getElementById('paymentAmount').value = this.toMajor(prefill.amount);
+        document.getElementById('paymentDate').value = new Date().toISOString().slice(0, 10);
+
+        document.getElementById('paymentModal').style.display = 'flex';
+    }
+
+    hidePaymentModal() { document.getElementById('paymentModal').style.display = 'none'; }
+
+    async handlePaymentSubmit(e) {
+        e.preventDefault();
+        const payment = {
+            from: document.getElementById('paymentFrom').value,
+            to: document.getElementById('paymentTo').value,
+            amount: this.toMinor(document.getElementById('paymentAmount').value),
+            method: document.getElementById('paymentMethod').value,
+            date: document.getElementById('paymentDate').value,
+            note: document.getElementById('paymentNote').value.trim()
+        };
+
+        if (payment.from === payment.to) {
+            this.showNotification('Choose two different members', 'error');
+            return;
+        }
+        if (!(payment.amount > 0)) {
+            this.showNotification('Please enter a valid amount', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/payments', {
+                method: 'POST',
+                body: JSON.stringify({ tripCode: this.tripCode, ...payment })
+            });
+            const result = await response.json();
+            if (response.ok) {
+                this.hidePaymentModal();
+                this.showNotification('Payment recorded', 'success');
+                await this.loadFromStorage();
+                if (document.getElementById('settlementModal').style.display === 'flex') this.loadSettlementPlan();
+            } else {
+                this.showNotification(result.message || 'Failed to record payment', 'error');
+            }
+        } catch (error) {
+            console.error('Payment error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    async deletePayment(id) {
+        if (!confirm('Delete this payment?')) return;
+        try {
+            const response = await this.apiFetch(`/api/payments/${id}`, {
+                method: 'DELETE',
+                body: JSON.stringify({ tripCode: this.tripCode })
+            });
+            if (response.ok) {
+                this.showNotification('Payment deleted', 'success', {
+                    label: 'Undo',
+                    onClick: () => this.restoreFromTrash('payments', id)
+                });
+                await this.loadFromStorage();
+            } else {
+                this.showNotification('Failed to delete payment', 'error');
+            }
+        } catch (error) {
+            console.error('Delete error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // --- Daily Burn Rate ---
+    // The report comes from the server; only fetch it again when the trip has changed
+    async updateDailyPanel() {
+        const panel = document.getElementById('dailyPanel');
+        if (!panel || !this.tripCode || this.dailyReportVersion === this.tripVersion) return;
+        this.dailyReportVersion = this.tripVersion;
+
+        try {
+            const response = await fetch(`/api/trip/${this.tripCode}/daily`, { headers: this.authHeaders() });
+            if (!response.ok) return;
+            this.renderDailyPanel(await response.json());
+        } catch (error) {
+            console.error('Daily report error:', error);
+            this.dailyReportVersion = null;
+        }
+    }
+
+    renderDailyPanel(report) {
+        const panel = document.getElementById('dailyPanel');
+        const { summary, formatted } = report;
+        if (summary.tripDays === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+        panel.style.display = 'block';
+
+        const dayLabel = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        document.getElementById('dailyRange').textContent = summary.elapsedDays > 0
+            ? `· Day ${summary.elapsedDays} of ${summary.tripDays}`
+            : `· Starts ${dayLabel(summary.startDate)}`;
+
+        const today = report.days.find(d => d.isToday);
+        const todayEl = document.getElementById('dailyToday');
+        todayEl.textContent = this.formatMoney(today ? today.spent : 0);
+        todayEl.classList.toggle('over', Boolean(today && today.allowance !== null && today.spent > today.allowance));
+        document.getElementById('dailyTodayPlan').textContent = today && today.allowance !== null
+            ? `Spent today of ${this.formatMoney(today.allowance)} planned`
+            : 'Spent today';
+
+        document.getElementById('dailyAverage').textContent = formatted.averageDaily;
+        document.getElementById('dailyAveragePlan').textContent = `Average per day · ${formatted.spent} of ${formatted.plannedToDate} planned so far`;
+
+        const projectedEl = document.getElementById('dailyProjected');
+        projectedEl.textContent = formatted.projectedTotal;
+        projectedEl.classList.toggle('over', summary.projectedDifference > 0);
+        document.getElementById('dailyProjectedPlan').textContent = summary.projectedDifference > 0
+            ? `Projected total · ${this.formatMoney(summary.projectedDifference)} over the ${formatted.plannedTotal} plan`
+            : `Projected total · within the ${formatted.plannedTotal} plan`;
+
+        document.getElementById('dailyBars').innerHTML = report.days.map(d => {
+            const scale = d.allowance || Math.max(...report.days.map(x => x.spent), 1);
+            const width = Math.min(d.spent / scale * 100, 100);
+            const over = d.allowance !== null && d.spent > d.allowance;
+            const classes = ['daily-bar', d.isToday ? 'today' : '', d.inTrip ? '' : 'outside', over ? 'over' : ''].join(' ');
+            return `
+                <div class="${classes}" title="${d.inTrip ? '' : 'Outside the trip dates'}">
+                    <span>${dayLabel(d.date)}</span>
+                    <div class="progress-bar"><div class="progress-fill" style="width: ${width}%"></div></div>
+                    <span class="amount">${this.formatMoney(d.spent)}${d.allowance !== null ? ` / ${this.formatMoney(d.allowance)}` : ''}</span>
+                </div>`;
+        }).join('');
+    }
+
+    // --- Categories ---
+    async showCategories() {
+        const isAdmin = this.isAdmin();
+        const rows = document.getElementById('categoryRows');
+        rows.innerHTML = '';
+
+        // Spending comes from the server so the modal shows the same numbers as the report
+        let spending = [];
+        try {
+            const response = await fetch(`/api/trip/${this.tripCode}/category-spending`, { headers: this.authHeaders() });
+            if (response.ok) spending = (await response.json()).categories;
+        } catch (error) {
+            console.error('Category spending error:', error);
+        }
+        this.categories().forEach(c => this.addCategoryRow(c, spending.find(s => s.id === c.id)));
+
+        document.querySelectorAll('#categoryRows input, #categoryRows select, #categoryRows button')
+            .forEach(el => { el.disabled = !isAdmin; });
+        document.getElementById('addCategoryBtn').style.display = isAdmin ? '' : 'none';
+        document.getElementById('saveCategoriesBtn').style.display = isAdmin ? '' : 'none';
+
+        document.getElementById('categoriesModal').style.display = 'flex';
+    }
+
+    hideCategoriesModal() { document.getElementById('categoriesModal').style.display = 'none'; }
+
+    // One editable category: icon, name, budget cap and what has been spent so far
+    addCategoryRow(category = {}, spending = null) {
+        const icons = [
+            'fastfood', 'restaurant', 'local_cafe', 'local_bar', 'directions_car', 'flight', 'train',
+            'local_gas_station', 'hotel', 'movie', 'local_activity', 'hiking', 'beach_access', 'spa',
+            'shopping_bag', 'local_grocery_store', 'card_giftcard', 'medical_services', 'category'
+        ];
+        const selected = category.icon || 'category';
+        const row = document.createElement('div');
+        row.className = 'category-row';
+        if (category.id) row.dataset.id = category.id;
+        row.innerHTML = `
+            <span class="material-icons category-icon-preview">${selected}</span>
+            <select class="category-icon" title="Icon" onchange="this.previousElementSibling.textContent = this.value">
+                ${icons.map(icon => `<option value="${icon}" ${icon === selected ? 'selected' : ''}>${icon.replace(/_/g, ' ')}</option>`).join('')}
+            </select>
+            <input type="text" class="category-name" value="${category.name || ''}" placeholder="Name">
+            <input type="number" class="category-budget" value="${category.budget ? this.toMajor(category.budget) : ''}" min="0" step="0.01"
+                placeholder="No cap">
+            <button type="button" class="icon-button small" onclick="this.closest('.category-row').remove()" title="Remove">
+                <span class="material-icons">close</span>
+            </button>
+            ${spending ? `<div class="category-spent ${spending.status}">Spent ${spending.formattedSpent}${spending.formattedBudget ? ` of ${spending.formattedBudget}` : ''}</div>` : ''}
+        `;
+        document.getElementById('categoryRows').appendChild(row);
+    }
+
+    async handleCategoriesSubmit(e) {
+        e.preventDefault();
+        const categories = Array.from(document.querySelectorAll('#categoryRows .category-row')).map(row => ({
+            id: row.dataset.id,
+            icon: row.querySelector('.category-icon').value,
+            name: row.querySelector('.category-name').value.trim(),
+            budget: this.toMinor(row.querySelector('.category-budget').value) || 0
+        }));
+
+        if (categories.some(c => !c.name)) {
+            this.showNotification('Every category needs a name', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/trip/${this.tripCode}/categories`, {
+                method: 'POST',
+                body: JSON.stringify({ categories })
+            });
+            const result = await response.json();
+            if (response.ok) {
+                this.hideCategoriesModal();
+                this.showNotification('Categories updated', 'success');
+                await this.loadFromStorage();
+            } else {
+                this.showNotification(result.message || 'Failed to update categories', 'error');
+            }
+        } catch (error) {
+            console.error('Categories error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // --- Exchange Rates ---
+    showExchangeRates() {
+        const isAdmin = this.isAdmin();
+        document.getElementById('ratesBaseCurrency').textContent = this.baseCurrency();
+        document.getElementById('exchangeRateRows').innerHTML = '';
+        Object.entries(this.tripData.exchangeRates || {}).forEach(([code, rate]) => this.addExchangeRateRow(code, rate));
+        if (isAdmin && Object.keys(this.tripData.exchangeRates || {}).length === 0) this.addExchangeRateRow();
+
+        // Members can look up the rates, only the admin edits them
+        document.querySelectorAll('#exchangeRateRows input, #exchangeRateRows select, #exchangeRateRows button')
+            .forEach(el => { el.disabled = !isAdmin; });
+        document.getElementById('addExchangeRateBtn').style.display = isAdmin ? '' : 'none';
+        document.getElementById('saveExchangeRatesBtn').style.display = isAdmin ? '' : 'none';
+
+        document.getElementById('exchangeRatesModal').style.display = 'flex';
+    }
+
+    // --- Import ---
+    showImportModal() {
+        this.importCsv = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importSummary').textContent = '';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('confirmImportBtn').disabled = true;
+        document.getElementById('importModal').style.display = 'flex';
+    }
+
+    hideImportModal() { document.getElementById('importModal').style.display = 'none'; }
+
+    postImport(commit) {
+        return this.apiFetch(`/api/trip/${this.tripCode}/import${commit ? '?commit=true' : ''}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/csv' },
+            body: this.importCsv
+        });
+    }
+
+    // Read the chosen file and show what the server would import
+    async previewImport() {
+        const file = document.getElementById('importFile').files[0];
+        const summary = document.getElementById('importSummary');
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        document.getElementById('importPreview').innerHTML = '';
+        confirmBtn.disabled = true;
+        if (!file) return;
+
+        try {
+            this.importCsv = await file.text();
+            const response = await this.postImport(false);
+            const result = await response.json();
+            if (!response.ok) {
+                summary.textContent = result.message || 'Could not read the file';
+                return;
+            }
+            this.renderImportPreview(result);
+            confirmBtn.disabled = result.counts.expenses + result.counts.payments === 0;
+        } catch (error) {
+            console.error('Import preview error:', error);
+            summary.textContent = 'Error connecting to server';
+        }
+    }
+
+    renderImportPreview(result) {
+        const { expenses, payments, skipped } = result.counts;
+        const parts = [`${expenses} expense${expenses === 1 ? '' : 's'}`];
+        if (payments > 0) parts.push(`${payments} payment${payments === 1 ? '' : 's'}`);
+        let text = `Ready to import ${parts.join(' and ')}`;
+        if (skipped > 0) text += ` · ${skipped} row${skipped === 1 ? '' : 's'} with errors will be skipped`;
+        if (result.newMembers.length > 0) text += ` · New members: ${result.newMembers.join(', ')}`;
+        document.getElementById('importSummary').textContent = text;
+
+        document.getElementById('importPreview').innerHTML = `
+            <table>
+                <tr><th>Line</th><th>Date</th><th>Title</th><th>Amount</th><th>Paid by</th><th>Split between</th><th>Category</th></tr>
+                ${result.rows.map(r => `
+                    <tr class="${r.errors.length > 0 ? 'invalid' : ''}">
+                        <td>${r.line}</td>
+                        <td>${r.date || ''}</td>
+                        <td>
+                            ${r.kind === 'payment' ? '🤝 ' : ''}${r.title || ''}
+                            ${r.errors.map(e => `<div class="row-errors">${e}</div>`).join('')}
+                            ${r.warnings.map(w => `<div class="row-warnings">${w}</div>`).join('')}
+                        </td>
+                        <td>${r.amount || ''}</td>
+                        <td>${r.paidBy || ''}</td>
+                        <td>${r.splitBetween || ''}</td>
+                        <td>${r.kind === 'payment' ? 'Payment' : (r.category || '')}</td>
+                    </tr>`).join('')}
+            </table>`;
+    }
+
+    async confirmImport() {
+        if (!this.importCsv) return;
+        try {
+            const response = await this.postImport(true);
+            const result = await response.json();
+            if (response.ok) {
+                this.showNotification(result.message, 'success');
+                this.hideImportModal();
+                await this.loadFromStorage();
+            } else {
+                this.showNotification(result.message || 'Import failed', 'error');
+            }
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // --- Export ---
+    downloadReport() {
+        if (!this.tripCode) {
+            this.showNotification('Open a trip to download its report', 'error');
+            return;
+        }
+        window.location.href = `/api/trip/${this.tripCode}/report.pdf?token=${encodeURIComponent(this.sessionToken)}`;
+    }
+
+    showExportModal() {
+        if (!this.tripCode) {
+            this.showNotification('Open a trip to export its data', 'error');
+            return;
+        }
+        ['expenses', 'members', 'payments'].forEach(type => {
+            const link = document.getElementById(`export${type[0].toUpperCase()}${type.slice(1)}Link`);
+            link.href = `/api/trip/${this.tripCode}/export.csv?type=${type}&token=${encodeURIComponent(this.sessionToken)}`;
+        });
+        const isAdmin = this.isAdmin();
+        document.getElementById('backupOptions').style.display = isAdmin ? 'block' : 'none';
+        if (isAdmin) {
+            document.getElementById('backupDownloadLink').href =
+                `/api/trip/${this.tripCode}/archive?token=${encodeURIComponent(this.sessionToken)}`;
+            // Replacing the trip with a backup is up to its owner
+            document.getElementById('backupRestoreBtn').style.display = this.isOwner() ? 'inline-flex' : 'none';
+        }
+        document.getElementById('exportModal').style.display = 'flex';
+    }
+
+    hideExportModal() { document.getElementById('exportModal').style.display = 'none'; }
+
+    // --- Backup ---
+    pickBackup() {
+        const input = document.getElementById('backupFile');
+        input.value = '';
+        input.click();
+    }
+
+    // Restore a backup file. The owner inside a trip replaces that trip (after confirming);
+    // from the landing page it becomes a new trip with a new code.
+    async restoreBackup(file) {
+        if (!file) return;
+        const text = await file.text();
+        const replacing = Boolean(this.tripCode && this.isOwner());
+
+        // Sent as a file, not JSON - backups are bigger than the API's JSON limit
+        const post = (query, version = null) => {
+            const headers = { 'Content-Type': 'application/octet-stream', ...this.authHeaders() };
+            if (version !== null) headers['If-Match'] = `"${version}"`;
+            return fetch(`/api/restore?${query}`, { method: 'POST', headers, body: text });
+        };
+
+        try {
+            const query = replacing ? `tripCode=${this.tripCode}` : '';
+            let response = await post(query);
+            let result = await response.json();
+
+            if (response.status === 409 && replacing) {
+                const { existing, backup } = result;
+                const warning = !result.sameTrip
+                    ? `\n\nThis backup is of a different trip ("${backup.tripName}", ${backup.tripCode}).`
+                    : (result.newerChanges ? '\n\nThe trip has changes made after this backup. They will be lost.' : '');
+                const replace = confirm(`Replace "${existing.tripName}" (${existing.members} members, ${existing.expenses} expenses) ` +
+                    `with the backup (${backup.members} members, ${backup.expenses} expenses)?${warning}`);
+                if (!replace) return;
+                response = await post(`${query}&replace=true`, existing.version);
+                result = await response.json();
+            }
+
+            if (!response.ok) {
+                this.showNotification(result.message || 'Could not restore the backup', 'error');
+                return;
+            }
+
+            if (result.replaced) {
+                this.hideExportModal();
+                if (result.token) {
+                    // The backup names another owner - we carry on as them, with the same Admin PIN
+                    this.sessionToken = result.token;
+                    this.currentUser = { id: result.member.id, name: result.member.name, role: result.member.role };
+                    this.saveSession();
+                    this.connectEvents();
+                    alert(`${result.message}.\n\nThe backup's owner is ${result.member.name}, so you are now logged in as them. ` +
+                        `Log in as ${result.member.name} with the Admin PIN from now on.`);
+                } else if (!result.data.members.some(m => m.id === this.currentUser.id)) {
+                    alert(`${result.message}. You are not a member of the restored trip, so you have been logged out.`);
+                    localStorage.removeItem('tripSession');
+                    location.reload();
+                    return;
+                }
+                this.tripData = result.data;
+                this.tripVersion = this.parseVersion(response.headers.get('ETag'));
+                this.updateUI();
+                this.showNotification(result.message, 'success');
+            } else {
+                // The backup has no PINs or passphrases in it, so we carry on as the new trip's owner
+                this.tripCode = result.tripCode;
+                this.sessionToken = result.token;
+                this.currentUser = { id: result.member.id, name: result.member.name, role: result.member.role };
+                this.saveSession();
+                this.tripData = result.data;
+                this.tripVersion = this.parseVersion(response.headers.get('ETag'));
+                this.showAppSection();
+                alert(`${result.message}.\n\nBackups don't contain PINs or passphrases. Set an Admin PIN now (Edit Trip > Change Admin PIN) ` +
+                    'and send the other members invite links so they can choose new ones.');
+            }
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showNotification('Could not restore the backup', 'error');
+        }
+    }
+
+    hideExchangeRatesModal() { document.getElementById('exchangeRatesModal').style.display = 'none'; }
+
+    // One row of the rate table: "1 THB = [2.35] INR"
+    addExchangeRateRow(code = '', rate = '') {
+        const base = this.baseCurrency();
+        const options = Object.keys(this.tripData.currencies || {}).filter(c => c !== base)
+            .map(c => `<option value="${c}" ${c === code ? 'selected' : ''}>${c}</option>`).join('');
+        const row = document.createElement('div');
+        row.className = 'exchange-rate-row';
+        row.innerHTML = `
+            <span>1</span>
+            <select class="rate-currency">${options}</select>
+            <span>=</span>
+            <input type="number" class="rate-value" value="${rate}" min="0" step="any" placeholder="Rate">
+            <span>${base}</span>
+            <button type="button" class="icon-button small" onclick="this.closest('.exchange-rate-row').remove()" title="Remove">
+                <span class="material-icons">close</span>
+            </button>
+        `;
+        document.getElementById('exchangeRateRows').appendChild(row);
+    }
+
+    async handleExchangeRatesSubmit(e) {
+        e.preventDefault();
+        const rates = {};
+        for (const row of document.querySelectorAll('#exchangeRateRows .exchange-rate-row')) {
+            const code = row.querySelector('.rate-currency').value;
+            const rate = parseFloat(row.querySelector('.rate-value').value);
+            if (!(rate > 0)) {
+                this.showNotification(`Enter a rate above 0 for ${code}`, 'error');
+                return;
+            }
+            rates[code] = rate;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/trip/${this.tripCode}/exchange-rates`, {
+                method: 'POST',
+                body: JSON.stringify({ rates })
+            });
+            const result = await response.json();
+            if (response.ok) {
+                this.hideExchangeRatesModal();
+                this.showNotification('Exchange rates updated', 'success');
+                await this.loadFromStorage();
+            } else {
+                this.showNotification(result.message || 'Failed to update exchange rates', 'error');
+            }
+        } catch (error) {
+            console.error('Exchange rates error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // --- Settlement Plan ---
+    showSettlementPlan() {
+        document.getElementById('settlementModal').style.display = 'flex';
+        this.loadSettlementPlan();
+    }
+
+    hideSettlementModal() { document.getElementById('settlementModal').style.display = 'none'; }
+
+    async loadSettlementPlan() {
+        const list = document.getElementById('settlementPlanList');
+        try {
+            const response = await fetch(`/api/trip/${this.tripCode}/settlement-plan`, { headers: this.authHeaders() });
+            const plan = await response.json();
+            if (!response.ok) {
+                this.showNotification(plan.message || 'Failed to load settlement plan', 'error');
+                return;
+            }
+
+            if (plan.transfers.length === 0) {
+                list.innerHTML = '<div class="no-data" style="color: var(--text-secondary);">Everyone is settled up. 🎉</div>';
+                return;
+            }
+
+            list.innerHTML = '';
+            plan.transfers.forEach(t => {
+                // Ticks are notes for the payer and receiver; Record is what moves the balances
+                const canTick = this.isAdmin() || [t.from, t.to].includes(this.currentUser.id);
+                const item = document.createElement('label');
+                item.className = `pending-item settlement-transfer ${t.done ? 'done' : ''}`;
+                item.innerHTML = `
+                    <input type="checkbox" ${t.done ? 'checked' : ''} ${canTick ? '' : 'disabled'}>
+                    <div class="pending-info">
+                        <div class="pending-title">${t.fromName} pays ${t.toName} ${t.formattedAmount}</div>
+                        ${t.done ? `<div class="pending-meta">Ticked as paid${t.doneBy ? ` by ${this.getMemberName(t.doneBy)}` : ''} · not recorded yet</div>` : ''}
+                    </div>
+                    <button type="button" class="google-button secondary small" title="Record this as a payment">Record</button>
+                `;
+                item.querySelector('input').onchange = (e) => this.toggleSettlementTransfer(t.id, e.target.checked);
+                item.querySelector('button').onclick = (e) => {
+                    e.preventDefault();
+                    this.showPaymentModal({ from: t.from, to: t.to, amount: t.amount });
+                };
+                list.appendChild(item);
+            });
+
+            if (plan.settled) {
+                list.insertAdjacentHTML('beforeend', '<div class="no-data" style="color: var(--text-secondary);">All transfers ticked. Record them as payments to settle the balances.</div>');
+            }
+        } catch (error) {
+            console.error('Settlement plan error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    async toggleSettlementTransfer(transferId, done) {
+        try {
+            const response = await this.apiFetch(`/api/trip/${this.tripCode}/settlement-plan/check`, {
+                method: 'POST',
+                body: JSON.stringify({ transferId, done })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.showNotification(result.message || 'Failed to update checklist', 'error');
+            } else if (done) {
+                this.showNotification(result.message, 'info');
+            }
+        } catch (error) {
+            console.error('Settlement checklist error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+        await this.loadSettlementPlan();
+    }
+
+    // --- Invite Links ---
+    inviteUrl(token) {
+        return `${window.location.origin}/?invite=${encodeURIComponent(token)}`;
+    }
+
+    showInvitesModal() {
+        if (!this.isAdmin()) {
+            this.showNotification('Only Admin can invite people', 'error');
+            return;
+        }
+        // Member slots are for members and viewers; admins log in with their own PIN
+        const memberSelect = document.getElementById('inviteMember');
+        memberSelect.innerHTML = '<option value="">Anyone (joins as a new member)</option>';
+        // Slots are for members who haven't set up a login yet
+        this.tripData.members.filter(m => !['owner', 'co-admin'].includes(m.role) && !m.hasLogin).forEach(m => {
+            const opt = document.createElement('option');
+            opt.value = m.id;
+            opt.textContent = m.name;
+            memberSelect.appendChild(opt);
+        });
+
+        document.getElementById('invitesModal').style.display = 'flex';
+        this.loadInvites();
+    }
+
+    hideInvitesModal() { document.getElementById('invitesModal').style.display = 'none'; }
+
+    async loadInvites() {
+        const list = document.getElementById('invitesList');
+        try {
+            const response = await fetch(`/api/trip/${this.tripCode}/invites`, { headers: this.authHeaders() });
+            const result = await response.json();
+            if (!response.ok) {
+                this.showNotification(result.message || 'Failed to load invites', 'error');
+                return;
+            }
+
+            if (result.invites.length === 0) {
+                list.innerHTML = '<div class="no-data" style="color: var(--text-secondary);">No invite links yet.</div>';
+                return;
+            }
+
+            const statusLabels = { active: 'Active', revoked: 'Revoked', expired: 'Expired', used: 'Used up' };
+            const when = (iso) => new Date(iso).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+            list.innerHTML = result.invites.map(invite => `
+                <div class="timeline-item">
+                    <div class="timeline-header" style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem;">
+                        <span>
+                            <strong>${invite.memberName ? `For ${invite.memberName}` : 'Open invite'}</strong>
+                            · ${statusLabels[invite.status]} · used ${invite.uses}/${invite.maxUses}
+                        </span>
+                        ${invite.status === 'active' ? `
+                        <button class="icon-button small delete-btn" onclick="tripManager.revokeInvite('${invite.id}')" title="Revoke">
+                            <span class="material-icons" style="font-size: 1rem;">link_off</span>
+                        </button>` : ''}
+                    </div>
+                    <small style="color: var(--text-secondary);">
+                        By ${invite.createdByName || 'an admin'} on ${when(invite.createdAt)} · ${invite.status === 'active' ? 'expires' : 'valid until'} ${when(invite.expiresAt)}
+                    </small>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Invites error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // Returns { token, invite } or null
+    async createInvite(options) {
+        try {
+            const response = await this.apiFetch(`/api/trip/${this.tripCode}/invites`, {
+                method: 'POST',
+                body: JSON.stringify(options)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                if (response.status !== 403) this.showNotification(result.message || 'Failed to create the invite', 'error');
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.error('Invite error:', error);
+            this.showNotification('Error connecting to server', 'error');
+            return null;
+        }
+    }
+
+    async handleInviteSubmit(e) {
+        e.preventDefault();
+        const memberId = document.getElementById('inviteMember').value;
+        const created = await this.createInvite({
+            expiresInHours: parseInt(document.getElementById('inviteExpiry').value),
+            maxUses: parseInt(document.getElementById('inviteMaxUses').value) || 1,
+            memberId: memberId || undefined
+        });
+        if (!created) return;
+
+        this.loadInvites();
+        if (memberId) {
+            this.shareMemberInvite(memberId, created.token);
+        } else {
+            this.shareTripInvite(created.token);
+        }
+    }
+
+    async revokeInvite(inviteId) {
+        if (!confirm('Revoke this invite link? Nobody will be able to join with it any more.')) return;
+        try {
+            const response = await this.apiFetch(`/api/trip/${this.tripCode}/invites/${inviteId}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (response.ok) {
+                this.showNotification('Invite revoked', 'success');
+            } else if (response.status !== 403) {
+                this.showNotification(result.message || 'Failed to revoke the invite', 'error');
+            }
+        } catch (error) {
+            console.error('Invite error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+        this.loadInvites();
+    }
+
+    // --- Audit Timeline ---
+    showAuditTimeline() {
+        const actorSelect = document.getElementById('auditActorFilter');
+        const current = actorSelect.value;
+        actorSelect.innerHTML = '<option value="">Anyone</option>';
+        this.tripData.members.forEach(m => {
+            const opt = document.createElement('option');
+            opt.value = m.id;
+            opt.textContent = m.name;
+            actorSelect.appendChild(opt);
+        });
+        actorSelect.value = current;
+
+        document.getElementById('auditModal').style.display = 'flex';
+        this.loadAuditTimeline();
+    }
+
+    hideAuditModal() { document.getElementById('auditModal').style.display = 'none'; }
+
+    async loadAuditTimeline() {
+        const timeline = document.getElementById('auditTimeline');
+        const params = new URLSearchParams({ limit: 100 });
+        const entity = document.getElementById('auditEntityFilter').value;
+        const actor = document.getElementById('auditActorFilter').value;
+        if (entity) params.set('entity', entity);
+        if (actor) params.set('actor', actor);
+
+        try {
+            const response = await fetch(`/api/trip/${this.tripCode}/audit?${params}`, { headers: this.authHeaders() });
+            const result = await response.json();
+            if (!response.ok) {
+                this.showNotification(result.message || 'Failed to load history', 'error');
+                return;
+            }
+
+            if (result.entries.length === 0) {
+                timeline.innerHTML = '<div class="no-data" style="color: var(--text-secondary);">No changes recorded yet.</div>';
+                return;
+            }
+
+            timeline.innerHTML = '';
+            result.entries.forEach(entry => {
+                const changes = entry.changes.filter(c => !entity || c.entity === entity);
+                const when = new Date(entry.timestamp).toLocaleString('en-IN', {
+                    day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+                });
+
+                const item = document.createElement('div');
+                item.className = 'timeline-item';
+                item.innerHTML = `
+                    <div class="timeline-header">
+                        <strong>${entry.actorName || 'Someone'}</strong> · ${entry.route} · ${when}
+                    </div>
+                    <ul class="timeline-changes">
+                        ${changes.map(c => `<li>${this.describeAuditChange(c)}</li>`).join('') || '<li>No visible changes</li>'}
+                    </ul>
+                `;
+                timeline.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Audit log error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
+    }
+
+    // One line per changed entity, e.g. "Updated member Bo: actualContribution 0 → 500"
+    describeAuditChange(change) {
+        const item = change.after || change.before || {};
+
+        if (change.entity === 'ledger') {
+            const who = item.memberId ? ` (${this.getMemberName(item.memberId)})` : '';
+            return `Ledger ${item.type.replace('_', ' ')}: ${this.formatRecorded(item)}${who}${item.note ? ` - ${item.note}` : ''}`;
+        }
+
+        const label = item.name || item.title || item.memberName || change.id;
+        if (change.action !== 'updated') {
+            return `${change.action.charAt(0).toUpperCase() + change.action.slice(1)} ${change.entity} <b>${label}</b>`;
+        }
+
+        const fields = Object.keys(change.after).map(field => {
+            const format = (v) => (v === undefined || v === null ? '-' : (typeof v === 'object' ? JSON.stringify(v) : v));
+            return `${field} ${format(change.before[field])} → ${format(change.after[field])}`;
+        });
+        return `Updated ${change.entity} <b>${label}</b>: ${fields.join(', ')}`;
+    }
+
     // --- Utils ---
-    showNotification(msg, type) {
+    // Optional action adds a button to the toast, e.g. { label: 'Undo', onClick: () => ... }
+    showNotification(msg, type, action = null) {
         const notif = document.getElementById('notification');
         notif.textContent = msg;
+
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.onclick = () => {
+                notif.className = 'notification';
+                action.onClick();
+            };
+            notif.appendChild(button);
+        }
+
         notif.className = `notification show ${type}`;
-        setTimeout(() => notif.className = 'notification', 3000);
+        clearTimeout(this.notificationTimer);
+        this.notificationTimer = setTimeout(() => notif.className = 'notification', action ? 6000 : 3000);
+    }
+
+    // Bring a deleted expense or member back from the trash
+    async restoreFromTrash(kind, id) {
+        try {
+            const response = await this.apiFetch(`/api/${kind}/${id}/restore`, {
+                method: 'POST',
+                body: JSON.stringify({ tripCode: this.tripCode })
+            });
+            const result = await response.json();
+            if (response.ok) {
+                this.showNotification(result.message, 'success');
+                await this.loadFromStorage();
+            } else {
+                this.showNotification(result.message || 'Failed to restore', 'error');
+            }
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showNotification('Error connecting to server', 'error');
+        }
     }
 
     copyTripCode() {
@@ -1787,11 +3351,13 @@ class TripBudgetManager {
         const label = document.getElementById('budgetLabel');
         const input = document.getElementById('budgetAmount');
 
+        const symbol = document.getElementById('baseCurrency').selectedOptions[0].dataset.symbol;
+
         if (type === 'total') {
-            label.innerHTML = '<span class="material-icons">currency_rupee</span> Total Budget (₹)';
+            label.innerHTML = `<span class="material-icons">payments</span> Total Budget (${symbol})`;
             input.placeholder = '30000';
         } else {
-            label.innerHTML = '<span class="material-icons">person</span> Amount Per Person (₹)';
+            label.innerHTML = `<span class="material-icons">person</span> Amount Per Person (${symbol})`;
             input.placeholder = '5000';
         }
     }
@@ -1800,26 +3366,32 @@ class TripBudgetManager {
         const type = document.getElementById('editBudgetType').value;
         const label = document.getElementById('editBudgetLabel');
         const input = document.getElementById('editBudgetAmount');
+        const symbol = this.moneyFormat(document.getElementById('editBaseCurrency').value || null).symbol.trim();
 
         if (type === 'total') {
-            label.textContent = 'Total Budget (₹)';
+            label.textContent = `Total Budget (${symbol})`;
             // If switching back to total, we might want to show the total budget again
             // But for simplicity, we let the user enter what they want.
             // Or we could calculate it if we had the previous value.
             // Let's just update label.
         } else {
-            label.textContent = 'Amount Per Person (₹)';
+            label.textContent = `Amount Per Person (${symbol})`;
         }
     }
 
-    async shareTripDetails() {
-        const code = this.tripData.tripCode;
-        const adminName = this.tripData.members.length > 0 ? this.tripData.members[0].name : 'Admin';
+    // Sharing the trip means sending an invite link - the admin picks its expiry and uses
+    shareTripDetails() {
+        this.showInvitesModal();
+    }
+
+    async shareTripInvite(token) {
+        const owner = this.tripData.members.find(m => m.role === 'owner');
+        const adminName = owner ? owner.name : 'Admin';
         const tripName = this.tripData.tripName || 'trip';
-        const url = window.location.origin;
+        const url = this.inviteUrl(token);
         const text = `🗺️ Ready to make trip planning fun, simple, and stress-free?
 With Trip Budget Manager, you can manage shared expenses, stay organized, and enjoy more time exploring!
-Join ${adminName}'s ${tripName} using the code ➝ ${code} 😎💳
+Join ${adminName}'s ${tripName} 😎💳
 🔗 Jump in: ${url}
 
 Let's go make moments that matter! 🌅💫`;
@@ -1860,25 +3432,16 @@ Let's go make moments that matter! 🌅💫`;
 
         // Sort expenses by date (newest first)
         const sortedExpenses = [...this.tripData.expenses].sort((a, b) =>
-            new Date(b.timestamp) - new Date(a.timestamp)
+            new Date(this.spentAt(b) || 0) - new Date(this.spentAt(a) || 0)
         );
 
         sortedExpenses.forEach(exp => {
-            const date = new Date(exp.timestamp).toLocaleDateString();
-            message += `▪️ *${exp.title}*: ₹${exp.amount} (${date})\n`;
+            const date = this.spentAt(exp) ? new Date(this.spentAt(exp)).toLocaleDateString('en-IN', { timeZone: this.tripData.timeZone }) : '';
+            message += `▪️ *${exp.title}*: ${this.formatRecorded(exp)} (${date})\n`;
             message += `   Paid by: ${this.getMemberName(exp.paidBy)}\n`;
 
             // Show split between members
-            let splitMembers = [];
-            if (exp.splitBetween && Array.isArray(exp.splitBetween)) {
-                splitMembers = exp.splitBetween.map(id => this.getMemberName(id));
-            } else if (exp.paidBy) {
-                if (exp.paidBy === 'all_members' || exp.paidBy === 'pool') {
-                    splitMembers = ['All Members'];
-                } else {
-                    splitMembers = [this.getMemberName(exp.paidBy)];
-                }
-            }
+            const splitMembers = Object.keys(exp.shares || {}).map(id => this.getMemberName(id));
 
             if (splitMembers.length > 0) {
                 message += `   Split between: ${splitMembers.join(', ')}\n`;
@@ -1901,16 +3464,16 @@ Let's go make moments that matter! 🌅💫`;
 const tripManager = new TripBudgetManager();
 
 // Global functions for HTML onclick attributes
-window.exportToPDF = () => alert('PDF Export feature coming soon!');
-window.exportData = () => alert('Data Export feature coming soon!');
+window.exportToPDF = () => tripManager.downloadReport();
+window.exportData = () => tripManager.showExportModal();
 window.resetApp = async () => {
     const user = tripManager.currentUser;
-    if (!user || user.role !== 'admin') {
-        alert('Only Admin can reset the app.');
+    if (!user || user.role !== 'owner') {
+        alert('Only the trip owner can reset the app.');
         return;
     }
     if (confirm('Are you sure? This will delete all data.')) {
-        await fetch('/api/reset', {
+        await tripManager.apiFetch('/api/reset', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ tripCode: tripManager.tripCode })
@@ -1923,6 +3486,8 @@ window.showSetupForm = () => tripManager.showSetupForm();
 window.backToSetup = () => tripManager.backToSetup();
 window.editTripDetails = () => tripManager.editTripDetails();
 window.hideEditTripModal = () => tripManager.hideEditTripModal();
+window.hideInvitesModal = () => tripManager.hideInvitesModal();
+window.changeAdminPin = () => tripManager.changeAdminPin();
 window.showMemberModal = () => tripManager.showMemberModal();
 window.hideMemberModal = () => tripManager.hideMemberModal();
 window.toggleExpensesVisibility = () => {
@@ -1938,6 +3503,11 @@ window.toggleMembersVisibility = () => {
     grid.classList.toggle('hidden');
 };
 window.copyTripCode = () => tripManager.copyTripCode();
+window.showAuditTimeline = () => tripManager.showAuditTimeline();
+window.showSettlementPlan = () => tripManager.showSettlementPlan();
+window.showExchangeRates = () => tripManager.showExchangeRates();
+window.showCategories = () => tripManager.showCategories();
+window.showPaymentModal = () => tripManager.showPaymentModal();
 window.shareTripDetails = () => tripManager.shareTripDetails();
 window.shareExpensesToWhatsApp = () => tripManager.shareExpensesToWhatsApp();
 
@@ -1990,17 +3560,6 @@ function logout() {
 // Initialize Dark Mode
 checkDarkMode();
 
-// Auto-refresh page every 5 minutes to keep data synchronized
-// This ensures all users see the latest updates from other members
-const AUTO_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes in milliseconds
-
-setInterval(() => {
-    console.log('Auto-refreshing page to sync latest data...');
-    location.reload();
-}, AUTO_REFRESH_INTERVAL);
-
-console.log('✅ Auto-refresh enabled: Page will reload every 5 minutes');
-
 // Multi-select dropdown functions
 function toggleSplitDropdown() {
     const options = document.getElementById('splitBetweenOptions');
@@ -2047,6 +3606,7 @@ function updateSplitLabel() {
     const allCheckbox = document.getElementById('splitAllMembers');
     const memberCheckboxes = document.querySelectorAll('#splitMembersList input[type="checkbox"]');
     const label = document.getElementById('splitBetweenLabel');
+    updateSplitSummary();
 
     if (allCheckbox.checked) {
         label.textContent = 'All Members';
@@ -2066,7 +3626,7 @@ function populateSplitMembers(members) {
     const container = document.getElementById('splitMembersList');
     if (!container) return;
 
-    // Save current checkbox states before clearing
+    // Save current checkbox states and split values before clearing
     const checkedStates = {};
     const checkboxes = container.querySelectorAll('input[type="checkbox"]');
     checkboxes.forEach(cb => {
@@ -2074,6 +3634,10 @@ function populateSplitMembers(members) {
             checkedStates[cb.value] = true;
         }
     });
+    const splitValues = {};
+    container.querySelectorAll('.split-value').forEach(input => {
+        splitValues[input.dataset.member] = input.value;
+    });
 
     container.innerHTML = '';
     members.forEach(member => {
@@ -2083,9 +3647,129 @@ function populateSplitMembers(members) {
         label.innerHTML = `
             <input type="checkbox" value="${member.id}" ${isChecked} onchange="handleMemberSplitChange()">
             <span>${member.name}</span>
+            <input type="number" class="split-value" data-member="${member.id}" value="${splitValues[member.id] || ''}"
+                min="0" step="any" oninput="updateSplitSummary()" onclick="event.stopPropagation()">
         `;
         container.appendChild(label);
     });
+
+    handleSplitModeChange();
+}
+
+// Show a value box per member for every mode except an equal split
+// Currency the expense form is filled in (amount, exact splits and bill items all use it)
+function expenseCurrency() {
+    const select = document.getElementById('expenseCurrency');
+    return select && select.value ? select.value : tripManager.baseCurrency();
+}
+
+function handleSplitModeChange() {
+    const mode = document.getElementById('splitMode').value;
+    const symbol = tripManager.moneyFormat(expenseCurrency()).symbol.trim();
+    const placeholders = { shares: '1', percent: '%', exact: symbol };
+
+    document.querySelectorAll('#splitMembersList .split-value').forEach(input => {
+        input.style.display = placeholders[mode] ? 'block' : 'none';
+        input.placeholder = placeholders[mode] || '';
+    });
+    document.querySelectorAll('#itemRows .item-price').forEach(input => {
+        input.placeholder = symbol;
+    });
+
+    // Itemized bills: who pays what comes from the items, and the amount from their total
+    const itemized = mode === 'items';
+    document.getElementById('itemizedSection').style.display = itemized ? 'block' : 'none';
+    document.getElementById('splitBetweenContainer').closest('.form-group').style.display = itemized ? 'none' : '';
+    document.getElementById('expenseAmount').readOnly = itemized;
+    if (itemized) {
+        if (document.querySelectorAll('#itemRows .item-row').length === 0) addItemRow();
+        updateItemizedTotal();
+    }
+    updateSplitSummary();
+}
+
+// One line of an itemized bill: dish, price and who had it
+function addItemRow() {
+    const row = document.createElement('div');
+    row.className = 'item-row';
+    row.innerHTML = `
+        <input type="text" class="item-name" placeholder="Item (e.g. Paneer Tikka)">
+        <input type="number" class="item-price" placeholder="${tripManager.moneyFormat(expenseCurrency()).symbol.trim()}" min="0" step="0.01" oninput="updateItemizedTotal()">
+        <button type="button" class="icon-button small" onclick="this.closest('.item-row').remove(); updateItemizedTotal();" title="Remove Item">
+            <span class="material-icons">close</span>
+        </button>
+        <div class="item-members">
+            ${tripManager.tripData.members.map(m => `
+                <label><input type="checkbox" value="${m.id}"> ${m.name}</label>
+            `).join('')}
+        </div>
+    `;
+    document.getElementById('itemRows').appendChild(row);
+}
+
+// Items and charges from the form, in minor units of the expense currency
+function getItemizedBill() {
+    const currency = expenseCurrency();
+    const paise = (id) => tripManager.toMinor(document.getElementById(id).value, currency) || 0;
+    const items = Array.from(document.querySelectorAll('#itemRows .item-row')).map(row => ({
+        name: row.querySelector('.item-name').value.trim(),
+        price: tripManager.toMinor(row.querySelector('.item-price').value, currency) || 0,
+        members: Array.from(row.querySelectorAll('.item-members input:checked')).map(cb => cb.value)
+    })).filter(item => item.name || item.price);
+
+    return { items, tax: paise('billTax'), serviceCharge: paise('billServiceCharge'), tip: paise('billTip') };
+}
+
+function updateItemizedTotal() {
+    const total = tripManager.billTotal(getItemizedBill());
+    document.getElementById('expenseAmount').value = total ? total / tripManager.moneyFormat(expenseCurrency()).minorUnits : '';
+}
+
+// Members currently in the split and their values (shares, percentages or paise)
+function getSplitDetails(mode, splitBetween) {
+    const details = {};
+    if (mode === 'equal') return details;
+
+    splitBetween.forEach(memberId => {
+        const input = document.querySelector(`#splitMembersList .split-value[data-member="${memberId}"]`);
+        const raw = input ? input.value : '';
+        // An empty share box counts as one share
+        if (mode === 'shares' && raw === '') {
+            details[memberId] = 1;
+        } else {
+            details[memberId] = mode === 'exact' ? tripManager.toMinor(raw, expenseCurrency()) : parseFloat(raw);
+        }
+    });
+    return details;
+}
+
+// Running total under the split dropdown, e.g. "Allocated ₹600 of ₹900"
+function updateSplitSummary() {
+    const summary = document.getElementById('splitSummary');
+    if (!summary) return;
+
+    const mode = document.getElementById('splitMode').value;
+    if (mode === 'equal' || mode === 'shares' || mode === 'items') {
+        summary.textContent = '';
+        summary.classList.remove('invalid');
+        return;
+    }
+
+    const allCheckbox = document.getElementById('splitAllMembers');
+    const splitBetween = allCheckbox && allCheckbox.checked
+        ? tripManager.tripData.members.map(m => m.id)
+        : Array.from(document.querySelectorAll('#splitMembersList input[type="checkbox"]:checked')).map(cb => cb.value);
+    const sum = Object.values(getSplitDetails(mode, splitBetween)).reduce((total, v) => total + (v || 0), 0);
+
+    if (mode === 'percent') {
+        summary.textContent = `Allocated ${Math.round(sum * 100) / 100}% of 100%`;
+        summary.classList.toggle('invalid', Math.round(sum * 100) !== 10000);
+    } else {
+        const currency = expenseCurrency();
+        const amount = tripManager.toMinor(document.getElementById('expenseAmount').value, currency) || 0;
+        summary.textContent = `Allocated ${tripManager.formatMoney(sum, currency)} of ${tripManager.formatMoney(amount, currency)}`;
+        summary.classList.toggle('invalid', sum !== amount);
+    }
 }
 
 // Close dropdown when clicking outside
@@ -0,0 +1,173 @@
+// archive.js - Full trip backups: one JSON file with the trip settings, members, expenses,
+// pending queues, ledger, audit log and receipt images.
+//
+// Archives record the trip's schema version, so a backup from an older version of the app
+// is upgraded on restore (see migrations.js). Backups from a newer version are refused.
+//
+// Secrets stay on the server: no admin PIN hash, member credentials or invite token hashes
+// go into an archive, and any found in an uploaded one are dropped. A co-admin can download
+// a backup, so a PIN hash in it could be brute-forced offline, past the login lockout.
+const { ENTRY_TYPES, replayLedger } = require('./ledger');
+const { upgradeTrip, CURRENT_SCHEMA_VERSION } = require('./migrations');
+const { OWNER, ROLES } = require('./roles');
+const { detectReceiptType, isReceiptId, loadReceipt, tripExpenses, usedReceipts } = require('./receipts');
+
+const ARCHIVE_FORMAT = 'trip-budget-archive';
+const ARCHIVE_VERSION = 1;
+const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+
+// Lists every trip has; older archives may be missing some of them
+const TRIP_LISTS = [
+    'members', 'expenses', 'pendingExpenses', 'pendingMembers', 'pendingContributions',
+    'pendingBudgetRequests', 'pendingDeletions', 'payments', 'trash', 'ledger', 'auditLog', 'invites'
+];
+
+// Fields holding PINs, passphrases and invite tokens or their hashes, at any depth (members in
+// the trash and join requests carry credentials too; old backups have a plain adminPin)
+const SECRET_FIELDS = ['adminPin', 'adminPinHash', 'credential', 'tokenHash'];
+
+const withoutSecrets = (value) => JSON.parse(JSON.stringify(value, (key, v) => (SECRET_FIELDS.includes(key) ? undefined : v)));
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// The archive for a trip, ready to be sent as JSON
+const buildArchive = (trip, now = new Date()) => {
+    const { _id, __v, ...data } = withoutSecrets(trip);
+    const receipts = {};
+    usedReceipts(trip).forEach(id => {
+        const buffer = loadReceipt(trip.tripCode, id);
+        if (buffer) receipts[id] = buffer.toString('base64');
+    });
+
+    return {
+        format: ARCHIVE_FORMAT,
+        archiveVersion: ARCHIVE_VERSION,
+        schemaVersion: data.schemaVersion || 0,
+        exportedAt: now.toISOString(),
+        trip: data,
+        receipts
+    };
+};
+
+// First problem with a list of items that need unique ids, or null
+const checkIds = (items, label) => {
+    const seen = new Set();
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (!isObject(item)) return `${label} ${i + 1} is not an object`;
+        if (!item.id || (typeof item.id !== 'string' && typeof item.id !== 'number')) return `${label} ${i + 1} has no id`;
+        if (seen.has(String(item.id))) return `${label} id ${item.id} is used twice`;
+        seen.add(String(item.id));
+    }
+    return null;
+};
+
+// Consistency checks on a trip at the current schema. Returns an error message or null.
+const checkTrip = (trip) => {
+    if (typeof trip.tripName !== 'string') return 'The trip has no name';
+
+    const badIds = checkIds(trip.members, 'Member')
+        || checkIds(trip.expenses, 'Expense')
+        || checkIds(trip.payments, 'Payment')
+        || checkIds(trip.ledger, 'Ledger entry');
+    if (badIds) return badIds;
+
+    const unnamed = trip.members.find(m => typeof m.name !== 'string' || !m.name.trim());
+    if (unnamed) return `Member ${unnamed.id} has no name`;
+
+    const badRole = trip.members.find(m => !ROLES.includes(m.role));
+    if (badRole) return `Member ${badRole.id} has an unknown role: ${badRole.role}`;
+    if (trip.members.length > 0 && trip.members.filter(m => m.role === OWNER).length !== 1) {
+        return 'The trip must have exactly one owner';
+    }
+
+    const ledgerIds = new Set(trip.ledger.map(e => e.id));
+    for (const entry of trip.ledger) {
+        if (!ENTRY_TYPES.includes(entry.type)) return `Ledger entry ${entry.id} has an unknown type: ${entry.type}`;
+        if (entry.amount !== undefined && !Number.isInteger(entry.amount)) return `Ledger entry ${entry.id} has an invalid amount`;
+        if (entry.reverses && !ledgerIds.has(entry.reverses)) return `Ledger entry ${entry.id} reverses an entry that isn't in the backup`;
+    }
+
+    const badAmount = trip.expenses.find(e => !Number.isInteger(e.amount));
+    if (badAmount) return `Expense ${badAmount.id} has an invalid amount`;
+
+    const badReceipt = tripExpenses(trip).find(e => e.receipts !== undefined
+        && (!Array.isArray(e.receipts) || !e.receipts.every(isReceiptId)));
+    if (badReceipt) return `Expense ${badReceipt.id} has invalid receipt ids`;
+
+    return null;
+};
+
+// Check an uploaded archive and turn it into a trip at the current schema, without secrets:
+// nobody can log in to it until the restore route gives it some (see server.js).
+// Returns { error } or { trip, receipts: { id: Buffer }, missingReceipts }.
+const readArchive = (archive) => {
+    if (!isObject(archive) || archive.format !== ARCHIVE_FORMAT) return { error: 'This is not a trip backup file' };
+
+    const newer = 'This backup was made by a newer version of the app. Update this server before restoring it.';
+    if (!Number.isInteger(archive.archiveVersion) || archive.archiveVersion < 1) return { error: 'The backup file is damaged (no archive version)' };
+    if (archive.archiveVersion > ARCHIVE_VERSION) return { error: newer };
+    if (!isObject(archive.trip)) return { error: 'The backup has no trip in it' };
+
+    const { _id, __v, ...trip } = withoutSecrets(archive.trip);
+    const schemaVersion = trip.schemaVersion || 0;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 0) return { error: 'The backup file is damaged (invalid schema version)' };
+    if (schemaVersion > CURRENT_SCHEMA_VERSION) return { error: newer };
+
+    for (const list of TRIP_LISTS) {
+        if (trip[list] === undefined) trip[list] = [];
+        if (!Array.isArray(trip[list])) return { error: `The backup file is damaged (${list} is not a list)` };
+    }
+
+    try {
+        upgradeTrip(trip);
+    } catch (err) {
+        return { error: `The backup could not be upgraded to this version of the app: ${err.message}` };
+    }
+
+    const invalid = checkTrip(trip);
+    if (invalid) return { error: `The backup file is damaged: ${invalid}` };
+
+    // Without their token hashes the backup's invite links can't be used any more
+    const now = new Date().toISOString();
+    trip.invites.forEach(invite => {
+        if (!invite.revokedAt) invite.revokedAt = now;
+    });
+
+    try {
+        replayLedger(trip);
+    } catch (err) {
+        return { error: `The ledger in this backup can't be replayed: ${err.message}` };
+    }
+
+    // Receipts must be the images they claim to be; ones missing from the archive are dropped
+    const files = isObject(archive.receipts) ? archive.receipts : {};
+    const receipts = {};
+    let missingReceipts = 0;
+    for (const id of usedReceipts(trip)) {
+        if (typeof files[id] !== 'string') {
+            missingReceipts++;
+            continue;
+        }
+        const buffer = Buffer.from(files[id], 'base64');
+        if (detectReceiptType(buffer) !== id.split('.').pop()) return { error: `Receipt ${id} in the backup is not a valid image` };
+        receipts[id] = buffer;
+    }
+    tripExpenses(trip).forEach(e => {
+        if (e.receipts) e.receipts = e.receipts.filter(id => receipts[id]);
+    });
+
+    return { trip, receipts, missingReceipts };
+};
+
+// Short description of a trip for conflict messages
+const describeTrip = (trip) => ({
+    tripCode: trip.tripCode,
+    tripName: trip.tripName,
+    version: trip.version || 0,
+    members: (trip.members || []).length,
+    expenses: (trip.expenses || []).length,
+    lastChange: (trip.auditLog || []).length > 0 ? trip.auditLog[trip.auditLog.length - 1].timestamp : null
+});
+
+module.exports = { MAX_ARCHIVE_BYTES, buildArchive, readArchive, describeTrip };
@@ -0,0 +1,88 @@
+// attempts.js - Brute-force protection for PINs and passphrases. Failed attempts are counted
+// per trip code and per client IP; too many inside the window locks that key out for a while.
+// Actions that create trips without logging in (restoring a backup) are rate limited per IP.
+//
+// Counts live in memory, so a restart clears them - the lockout only has to outlast a
+// guessing script, not a deploy.
+const WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_TRIP = 10;
+const MAX_FAILURES_PER_IP = 20;
+const MAX_TRACKED_KEYS = 10000;
+
+// Per IP, whether they succeed or not
+const ACTION_LIMITS = {
+    restore: { max: 5, windowMs: 60 * 60 * 1000 }
+};
+
+// key -> { failures: [timestamps], lockedUntil }
+const entries = new Map();
+// "<action>:<ip>" -> [timestamps]
+const actions = new Map();
+
+const limitFor = (key) => (key.startsWith('trip:') ? MAX_FAILURES_PER_TRIP : MAX_FAILURES_PER_IP);
+
+const keysFor = ({ tripCode, ip }) => [
+    tripCode ? `trip:${String(tripCode).toUpperCase()}` : null,
+    ip ? `ip:${ip}` : null
+].filter(Boolean);
+
+// Forget keys with nothing left to remember, so the map can't grow without bound
+const prune = (now) => {
+    if (entries.size < MAX_TRACKED_KEYS) return;
+    for (const [key, entry] of entries) {
+        if (entry.lockedUntil <= now && entry.failures.every(t => t <= now - WINDOW_MS)) entries.delete(key);
+    }
+};
+
+// Milliseconds until this trip/IP may try again, or 0 if it isn't locked out
+const lockedFor = (who, now = Date.now()) => Math.max(0, ...keysFor(who).map(key => {
+    const entry = entries.get(key);
+    return entry ? entry.lockedUntil - now : 0;
+}));
+
+// Count a wrong PIN or passphrase against the trip and the IP
+const recordFailure = (who, now = Date.now()) => {
+    prune(now);
+    keysFor(who).forEach(key => {
+        const entry = entries.get(key) || { failures: [], lockedUntil: 0 };
+        entry.failures = entry.failures.filter(t => t > now - WINDOW_MS);
+        entry.failures.push(now);
+        if (entry.failures.length >= limitFor(key)) {
+            entry.lockedUntil = now + LOCKOUT_MS;
+            entry.failures = [];
+            console.log(`🚫 Locked out ${key} after too many failed logins`);
+        }
+        entries.set(key, entry);
+    });
+};
+
+// A correct secret clears the IP's count. The trip's count is left to expire, so someone
+// guessing can't reset it by logging in to their own account in between.
+const recordSuccess = ({ ip }) => {
+    if (ip) entries.delete(`ip:${ip}`);
+};
+
+// Count an action for the IP. Returns 0 if it may go ahead, otherwise the milliseconds
+// until it may (and the action isn't counted).
+const takeAction = (action, ip, now = Date.now()) => {
+    const { max, windowMs } = ACTION_LIMITS[action];
+    if (actions.size >= MAX_TRACKED_KEYS) {
+        for (const [key, times] of actions) {
+            if (times.every(t => t <= now - windowMs)) actions.delete(key);
+        }
+    }
+    const key = `${action}:${ip}`;
+    const times = (actions.get(key) || []).filter(t => t > now - windowMs);
+    if (times.length >= max) return times[0] + windowMs - now;
+    times.push(now);
+    actions.set(key, times);
+    return 0;
+};
+
+const lockoutMessage = (ms) => {
+    const minutes = Math.ceil(ms / 60000);
+    return `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
+module.exports = { lockedFor, recordFailure, recordSuccess, takeAction, lockoutMessage };
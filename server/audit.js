@@ -0,0 +1,152 @@
+// audit.js - Per-trip audit log: who changed what, through which route, with before/after values
+
+// Collections that are diffed item by item (matched on id)
+const AUDITED_COLLECTIONS = {
+    members: 'member',
+    expenses: 'expense',
+    payments: 'payment',
+    pendingExpenses: 'pendingExpense',
+    pendingMembers: 'pendingMember',
+    pendingContributions: 'pendingContribution',
+    pendingBudgetRequests: 'pendingBudgetRequest',
+    pendingDeletions: 'pendingDeletion',
+    trash: 'trash',
+    invites: 'invite'
+};
+
+// Trip-level settings worth tracking (the admin PIN hash is deliberately left out)
+const AUDITED_TRIP_FIELDS = [
+    'tripName', 'budget', 'memberCount', 'tripDate', 'startDate', 'endDate', 'dailyAllowance', 'timeZone',
+    'baseCurrency', 'exchangeRates', 'categories', 'settlementChecks', 'allowJoinRequests'
+];
+
+// Fields that change constantly, only mirror other fields, or hold credential/invite hashes
+const IGNORED_FIELDS = ['lastActive', 'remainingContribution', 'credential', 'tokenHash'];
+
+// Entries kept in the trip document. Older ones move to the trip's audit history in storage,
+// so a busy trip doesn't grow without bound (MongoDB documents max out at 16 MB).
+const MAX_AUDIT_ENTRIES = 500;
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Copy for the log, without credential hashes at any depth (e.g. a removed member in the trash)
+const redact = (value) => (value === undefined ? undefined
+    : JSON.parse(JSON.stringify(value, (key, v) => (key === 'credential' ? undefined : v))));
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const withoutIgnored = (item) => {
+    const copy = redact(item);
+    IGNORED_FIELDS.forEach(f => delete copy[f]);
+    return copy;
+};
+
+// Field-level diff of two objects: { before: {changed fields}, after: {changed fields} }
+const diffFields = (before, after) => {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const diff = { before: {}, after: {} };
+    keys.forEach(key => {
+        if (IGNORED_FIELDS.includes(key) || isEqual(before[key], after[key])) return;
+        diff.before[key] = redact(before[key]);
+        diff.after[key] = redact(after[key]);
+    });
+    return Object.keys(diff.after).length > 0 ? diff : null;
+};
+
+// Compare two snapshots of a trip and list the entities that were created, updated or deleted
+const diffTrips = (before, after) => {
+    const changes = [];
+
+    const tripDiff = diffFields(
+        AUDITED_TRIP_FIELDS.reduce((o, f) => ({ ...o, [f]: before[f] }), {}),
+        AUDITED_TRIP_FIELDS.reduce((o, f) => ({ ...o, [f]: after[f] }), {})
+    );
+    if (tripDiff) {
+        changes.push({ entity: 'trip', id: after.tripCode, action: 'updated', ...tripDiff });
+    }
+
+    Object.entries(AUDITED_COLLECTIONS).forEach(([collection, entity]) => {
+        const oldItems = new Map((before[collection] || []).map(item => [item.id, item]));
+        const newItems = new Map((after[collection] || []).map(item => [item.id, item]));
+
+        newItems.forEach((item, id) => {
+            if (!oldItems.has(id)) {
+                changes.push({ entity, id, action: 'created', before: null, after: withoutIgnored(item) });
+                return;
+            }
+            const diff = diffFields(oldItems.get(id), item);
+            if (diff) changes.push({ entity, id, action: 'updated', ...diff });
+        });
+
+        oldItems.forEach((item, id) => {
+            if (!newItems.has(id)) {
+                changes.push({ entity, id, action: 'deleted', before: withoutIgnored(item), after: null });
+            }
+        });
+    });
+
+    // The ledger is append-only, so only new entries are interesting
+    const knownEntries = new Set((before.ledger || []).map(e => e.id));
+    (after.ledger || []).filter(e => !knownEntries.has(e.id)).forEach(e => {
+        changes.push({ entity: 'ledger', id: e.id, action: 'created', before: null, after: clone(e) });
+    });
+
+    return changes;
+};
+
+// Append an audit entry describing the change from `before` to the trip's current state
+const recordAudit = (trip, before, { actorId, route }) => {
+    if (!trip.auditLog) trip.auditLog = [];
+
+    const actor = (trip.members || []).find(m => m.id === actorId)
+        || (before.members || []).find(m => m.id === actorId);
+
+    const entry = {
+        id: Date.now().toString() + Math.random().toString(36).substr(2, 5),
+        timestamp: new Date().toISOString(),
+        actorId: actorId || null,
+        actorName: actor ? actor.name : null,
+        route,
+        changes: diffTrips(before, trip)
+    };
+    trip.auditLog.push(entry);
+    return entry;
+};
+
+// Take the oldest entries out of the trip's log, leaving the newest MAX_AUDIT_ENTRIES.
+// Returns the entries taken out, oldest first.
+const trimAuditLog = (trip) => {
+    const log = trip.auditLog || [];
+    if (log.length <= MAX_AUDIT_ENTRIES) return [];
+    return log.splice(0, log.length - MAX_AUDIT_ENTRIES);
+};
+
+// The whole log: the stored history plus the entries still in the trip, oldest first.
+// An entry can be in both if a save failed after its history was written.
+const mergeAuditLog = (history, recent) => {
+    const byId = new Map();
+    [...(history || []), ...(recent || [])].forEach(entry => byId.set(entry.id, entry));
+    return [...byId.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+// Filter the audit log. Supported filters: actor, entity, entityId, route, since, until, limit.
+// Newest entries come first.
+const queryAudit = (auditLog, { actor, entity, entityId, route, since, until, limit } = {}) => {
+    const sinceTime = since ? new Date(since).getTime() : -Infinity;
+    const untilTime = until ? new Date(until).getTime() : Infinity;
+
+    const results = (auditLog || []).filter(entry => {
+        const time = new Date(entry.timestamp).getTime();
+        if (time < sinceTime || time > untilTime) return false;
+        if (actor && entry.actorId !== actor) return false;
+        if (route && !entry.route.includes(route)) return false;
+        if (entity && !entry.changes.some(c => c.entity === entity)) return false;
+        if (entityId && !entry.changes.some(c => c.id === entityId)) return false;
+        return true;
+    }).reverse();
+
+    const max = parseInt(limit);
+    return max > 0 ? results.slice(0, max) : results;
+};
+
+module.exports = { MAX_AUDIT_ENTRIES, clone, diffTrips, recordAudit, trimAuditLog, mergeAuditLog, queryAudit };
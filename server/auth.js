@@ -0,0 +1,90 @@
+// auth.js - Member credentials (a PIN or passphrase, stored as a salted scrypt hash) and
+// signed session tokens.
+//
+// A token is "<payload>.<signature>": base64url JSON { t: tripCode, m: memberId, g, exp } signed
+// with HMAC-SHA256. The key comes from SESSION_SECRET, or is generated once and kept in
+// server/data/session-secret - without SESSION_SECRET, wiping the disk logs everyone out.
+// g is the member's session generation: bumping it (when an admin resets their login) ends
+// every session they had.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECRET_FILE = path.join(__dirname, 'data', 'session-secret');
+const SESSION_DAYS = 30;
+const MIN_SECRET_LENGTH = 4;
+const MAX_SECRET_LENGTH = 128;
+const HASH_BYTES = 32;
+
+let signingKey = null;
+
+const getSigningKey = () => {
+    if (signingKey) return signingKey;
+    if (process.env.SESSION_SECRET) {
+        signingKey = process.env.SESSION_SECRET;
+    } else if (fs.existsSync(SECRET_FILE)) {
+        signingKey = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+    } else {
+        signingKey = crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(path.dirname(SECRET_FILE), { recursive: true });
+        fs.writeFileSync(SECRET_FILE, signingKey, { mode: 0o600 });
+        console.log('🔑 Generated a session signing key (set SESSION_SECRET to keep sessions across deploys)');
+    }
+    return signingKey;
+};
+
+// Error message for a PIN or passphrase that can't be used, or null
+const checkSecret = (secret) => {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+        return `Choose a PIN or passphrase of at least ${MIN_SECRET_LENGTH} characters`;
+    }
+    if (secret.length > MAX_SECRET_LENGTH) return `PINs and passphrases can be at most ${MAX_SECRET_LENGTH} characters`;
+    return null;
+};
+
+const hashSecret = (secret) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(secret, salt, HASH_BYTES).toString('hex');
+    return { salt, hash };
+};
+
+// Constant-time check of a secret against a stored { salt, hash }
+const verifySecret = (secret, credential) => {
+    if (typeof secret !== 'string' || !credential || !credential.salt || !credential.hash) return false;
+    const expected = Buffer.from(credential.hash, 'hex');
+    const actual = crypto.scryptSync(secret, credential.salt, HASH_BYTES);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const sign = (payload) => crypto.createHmac('sha256', getSigningKey()).update(payload).digest('base64url');
+
+const createSessionToken = (tripCode, memberId, generation = 0, now = Date.now()) => {
+    const payload = Buffer.from(JSON.stringify({
+        t: tripCode,
+        m: memberId,
+        g: generation,
+        exp: now + SESSION_DAYS * 24 * 60 * 60 * 1000
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+};
+
+// { tripCode, memberId, generation } from a valid, unexpired token, otherwise null
+const readSessionToken = (token, now = Date.now()) => {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const { t, m, g, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!t || !m || !(exp > now)) return null;
+        return { tripCode: t, memberId: m, generation: g || 0 };
+    } catch (err) {
+        return null;
+    }
+};
+
+module.exports = { checkSecret, hashSecret, verifySecret, createSessionToken, readSessionToken };
@@ -0,0 +1,90 @@
+// categories.js - Per-trip expense categories, each with a Material icon and an optional
+// budget cap (minor units of the base currency, 0 = no cap).
+
+// What every trip had before categories were configurable. The ids match old expenses.
+const DEFAULT_CATEGORIES = [
+    { id: 'food', name: 'Food', icon: 'fastfood', budget: 0 },
+    { id: 'transport', name: 'Transport', icon: 'directions_car', budget: 0 },
+    { id: 'accommodation', name: 'Accommodation', icon: 'hotel', budget: 0 },
+    { id: 'entertainment', name: 'Entertainment', icon: 'movie', budget: 0 },
+    { id: 'shopping', name: 'Shopping', icon: 'shopping_bag', budget: 0 },
+    { id: 'other', name: 'Other', icon: 'category', budget: 0 }
+];
+
+// A category at or above this share of its cap gets a warning; past the cap it is over budget
+const CATEGORY_WARNING_RATIO = 0.8;
+
+const getCategories = (trip) => trip.categories || DEFAULT_CATEGORIES;
+
+const findCategory = (trip, categoryId) => getCategories(trip).find(c => c.id === categoryId) || null;
+
+// e.g. "Street Food!" -> "street-food"
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+
+// Tidy a submitted category list: trim names, default the icon, give new categories an id
+const normalizeCategories = (categories) => {
+    const ids = new Set();
+    return (Array.isArray(categories) ? categories : []).map(c => {
+        const name = String(c.name || '').trim();
+        let id = c.id ? String(c.id) : slugify(name);
+        if (!c.id) {
+            for (let n = 2; ids.has(id); n++) id = `${slugify(name)}-${n}`;
+        }
+        ids.add(id);
+        return { id, name, icon: String(c.icon || 'category').trim(), budget: Number(c.budget) || 0 };
+    });
+};
+
+// Check a normalized category list. Returns an error message or null.
+const validateCategories = (categories) => {
+    if (categories.length === 0) return 'Keep at least one category';
+    const ids = new Set();
+    for (const c of categories) {
+        if (!c.name) return 'Every category needs a name';
+        if (ids.has(c.id)) return `Duplicate category: ${c.name}`;
+        if (!/^[a-z0-9_]+$/.test(c.icon)) return `Invalid icon for ${c.name}`;
+        if (!Number.isInteger(c.budget) || c.budget < 0) return `Budget for ${c.name} must be whole paise of 0 or more`;
+        ids.add(c.id);
+    }
+    return null;
+};
+
+// 'ok', 'warning' or 'over' for a category's spending against its cap
+const categoryStatus = (spent, budget) => {
+    if (!budget) return 'ok';
+    if (spent > budget) return 'over';
+    return spent >= budget * CATEGORY_WARNING_RATIO ? 'warning' : 'ok';
+};
+
+// Spending per category in trip order. Expenses in a category that no longer exists are
+// listed under their own id so the totals still add up.
+const getCategorySpending = (trip) => {
+    const spent = {};
+    (trip.expenses || []).forEach(e => {
+        spent[e.category] = (spent[e.category] || 0) + (e.amount || 0);
+    });
+
+    const known = getCategories(trip);
+    const orphans = Object.keys(spent).filter(id => !known.some(c => c.id === id))
+        .map(id => ({ id, name: id, icon: 'category', budget: 0 }));
+
+    return [...known, ...orphans].map(c => {
+        const total = spent[c.id] || 0;
+        return {
+            ...c,
+            spent: total,
+            remaining: c.budget ? c.budget - total : null,
+            status: categoryStatus(total, c.budget)
+        };
+    });
+};
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    CATEGORY_WARNING_RATIO,
+    getCategories,
+    findCategory,
+    normalizeCategories,
+    validateCategories,
+    getCategorySpending
+};
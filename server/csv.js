@@ -0,0 +1,172 @@
+// csv.js - Spreadsheet exports of a trip (expenses, members and the payments history), and
+// the CSV parser used by imports. Exported amounts are plain decimals in the trip's base
+// currency; dates are in the trip's time zone.
+const { DEFAULT_CURRENCY, toMajor } = require('./money');
+const { getExpenseShares, getSplitMembers } = require('./splits');
+const { baseAmount } = require('./ledger');
+const { DEFAULT_TIME_ZONE, localDateTime, spentAt } = require('./daily');
+
+const CSV_EXPORTS = ['expenses', 'members', 'payments'];
+
+// Quote cells that need it, and stop text that looks like a formula from running in Excel
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (/^-?\d+(\.\d+)?$/.test(text)) return text;
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The BOM makes Excel read the file as UTF-8 (₹, names with accents...)
+const toCsv = (header, rows) => '\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// Names for member ids, including members who have since been removed
+const memberNames = (trip) => {
+    const names = { pool: 'Pool', all_members: 'All Members' };
+    (trip.trash || []).filter(t => t.type === 'member').forEach(t => { names[t.item.id] = t.item.name; });
+    (trip.members || []).forEach(m => { names[m.id] = m.name; });
+    return (id) => names[id] || id || '';
+};
+
+// One row per expense, with a share column for every member
+const expensesCsv = (trip) => {
+    const base = trip.baseCurrency || DEFAULT_CURRENCY;
+    const timeZone = trip.timeZone || DEFAULT_TIME_ZONE;
+    const nameOf = memberNames(trip);
+    const memberIds = (trip.members || []).map(m => m.id);
+    const categoryNames = (trip.categories || []).reduce((o, c) => ({ ...o, [c.id]: c.name }), {});
+
+    const expenses = [...(trip.expenses || [])].sort((a, b) => new Date(spentAt(a) || 0) - new Date(spentAt(b) || 0));
+    const rows = expenses.map(e => {
+        const shares = getExpenseShares(e, memberIds);
+        return [
+            localDateTime(spentAt(e), timeZone),
+            e.title,
+            categoryNames[e.category] || e.category,
+            toMajor(e.amount, base),
+            e.currency && e.currency !== base ? toMajor(e.originalAmount, e.currency) : '',
+            e.currency && e.currency !== base ? e.currency : '',
+            nameOf(e.paidBy),
+            e.splitMode || 'equal',
+            getSplitMembers(e, memberIds).map(nameOf).join('; '),
+            ...memberIds.map(id => (shares[id] ? toMajor(shares[id], base) : '')),
+            e.description
+        ];
+    });
+
+    return toCsv([
+        'Date', 'Title', 'Category', `Amount (${base})`, 'Original Amount', 'Original Currency',
+        'Paid By', 'Split Mode', 'Split Between',
+        ...(trip.members || []).map(m => `Share: ${m.name}`),
+        'Description'
+    ], rows);
+};
+
+// One row per member with their totals
+const membersCsv = (trip) => {
+    const base = trip.baseCurrency || DEFAULT_CURRENCY;
+    const rows = (trip.members || []).map(m => [
+        m.name,
+        m.role || 'member',
+        toMajor(m.expectedContribution, base),
+        toMajor(m.actualContribution, base),
+        toMajor(m.expenseShare, base),
+        toMajor(m.personal, base),
+        toMajor(m.reimbursed, base),
+        toMajor(m.balance, base)
+    ]);
+    return toCsv([
+        'Name', 'Role', `Expected (${base})`, 'Paid', 'Expense Share', 'Personal', 'Reimbursed', 'Balance'
+    ], rows);
+};
+
+// Every money movement still in effect: contributions, refunds, reimbursements and
+// direct payments between members. Reversed entries are left out.
+const paymentsCsv = (trip) => {
+    const base = trip.baseCurrency || DEFAULT_CURRENCY;
+    const timeZone = trip.timeZone || DEFAULT_TIME_ZONE;
+    const nameOf = memberNames(trip);
+    const payments = (trip.payments || []).reduce((o, p) => ({ ...o, [p.id]: p }), {});
+    const ledger = trip.ledger || [];
+    const reversed = new Set(ledger.filter(e => e.reverses).map(e => e.reverses));
+
+    const rows = ledger
+        .filter(e => ['contribution', 'refund', 'reimbursement', 'payment'].includes(e.type))
+        .filter(e => !e.reverses && !reversed.has(e.id))
+        .map(e => {
+            const payment = payments[e.paymentId] || {};
+            const [from, to] = {
+                contribution: [e.memberId, 'pool'],
+                refund: ['pool', e.memberId],
+                reimbursement: ['pool', e.memberId],
+                payment: [e.from, e.to]
+            }[e.type];
+            return [
+                payment.date || localDateTime(e.timestamp, timeZone),
+                e.type,
+                nameOf(from),
+                nameOf(to),
+                toMajor(baseAmount(trip, e), base),
+                e.currency && e.currency !== base ? toMajor(e.originalAmount, e.currency) : '',
+                e.currency && e.currency !== base ? e.currency : '',
+                payment.method || '',
+                payment.note || e.note || ''
+            ];
+        });
+
+    return toCsv([
+        'Date', 'Type', 'From', 'To', `Amount (${base})`, 'Original Amount', 'Original Currency', 'Method', 'Note'
+    ], rows);
+};
+
+// Rows of cells from CSV text (RFC 4180: quoted cells may hold commas, quotes and newlines).
+// Blank lines are dropped; each row keeps the line it started on for error messages.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(c => c.trim() !== '')) rows.push(Object.assign(row, { line: rowLine }));
+        row = [];
+        cell = '';
+    };
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+const buildCsv = (trip, type) => ({ expenses: expensesCsv, members: membersCsv, payments: paymentsCsv }[type](trip));
+
+module.exports = { CSV_EXPORTS, buildCsv, parseCsv };
@@ -0,0 +1,129 @@
+// daily.js - Day-by-day spending against the trip's plan, and where the current burn rate ends up.
+//
+// Days are calendar days in the trip's time zone, so an expense at 1am in Goa counts for
+// that day and not for the previous UTC day. Day keys are 'YYYY-MM-DD' strings.
+const { splitAmount } = require('./money');
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const isDayKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(`${value}T00:00:00Z`));
+
+// Day a moment falls on in the trip's time zone
+const dayKey = (when, timeZone = DEFAULT_TIME_ZONE) => new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(new Date(when));
+
+const timeParts = (when, timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+}).formatToParts(new Date(when)).reduce((o, p) => ({ ...o, [p.type]: p.value }), {});
+
+// Wall-clock time in the trip's time zone, e.g. "2024-12-31 19:30"
+const localDateTime = (when, timeZone = DEFAULT_TIME_ZONE) => {
+    if (!when || isNaN(new Date(when).getTime())) return '';
+    const p = timeParts(when, timeZone);
+    return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}`;
+};
+
+// The moment a wall-clock time happens in the trip's time zone, e.g. ('2024-12-31', '19:30')
+const zonedTime = (day, time, timeZone = DEFAULT_TIME_ZONE) => {
+    const guess = Date.parse(`${day}T${time}:00Z`);
+    const p = timeParts(guess, timeZone);
+    const offset = Date.parse(`${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:00Z`) - guess;
+    return new Date(guess - offset);
+};
+
+const addDays = (day, count) => new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// When the money was actually spent. Older expenses only have the time they were entered.
+const spentAt = (expense) => expense.spentAt || expense.timestamp;
+
+// Spending per day plus a summary of the burn rate so far:
+//   days     [{ date, spent, allowance, cumulativeSpent, cumulativePlan, inTrip, isToday }]
+//   summary  trip length, days elapsed, spend vs plan to date and the projected total
+// The plan per day is the daily allowance, or the budget spread evenly over the trip.
+const buildDailyReport = (trip, now = new Date()) => {
+    const timeZone = trip.timeZone || DEFAULT_TIME_ZONE;
+    const { startDate, endDate } = trip;
+    const tripDays = isDayKey(startDate) && isDayKey(endDate) ? daysBetween(startDate, endDate) + 1 : 0;
+    const plan = trip.dailyAllowance
+        ? Array(tripDays).fill(trip.dailyAllowance)
+        : splitAmount(trip.budget || 0, tripDays);
+    const today = dayKey(now, timeZone);
+
+    const spentByDay = {};
+    (trip.expenses || []).forEach(e => {
+        const when = spentAt(e);
+        if (!when || isNaN(new Date(when).getTime())) return;
+        const day = dayKey(when, timeZone);
+        spentByDay[day] = (spentByDay[day] || 0) + (e.amount || 0);
+    });
+
+    // Every day of the trip, plus any day outside it that has spending (e.g. bookings made earlier)
+    const tripRange = Array.from({ length: tripDays }, (_, i) => addDays(startDate, i));
+    const dates = [...new Set([...tripRange, ...Object.keys(spentByDay)])].sort();
+
+    let cumulativeSpent = 0;
+    let cumulativePlan = 0;
+    const days = dates.map(date => {
+        const index = tripRange.indexOf(date);
+        const spent = spentByDay[date] || 0;
+        const allowance = index === -1 ? null : plan[index];
+        cumulativeSpent += spent;
+        cumulativePlan += allowance || 0;
+        return { date, spent, allowance, cumulativeSpent, cumulativePlan, inTrip: index !== -1, isToday: date === today };
+    });
+
+    const elapsedDays = tripDays === 0 || today < startDate ? 0 : Math.min(daysBetween(startDate, today) + 1, tripDays);
+    const spent = days.reduce((sum, d) => sum + d.spent, 0);
+    const plannedTotal = plan.reduce((sum, p) => sum + p, 0);
+    const plannedToDate = plan.slice(0, elapsedDays).reduce((sum, p) => sum + p, 0);
+
+    // The burn rate only counts trip days so far; money spent before the trip is already in `spent`
+    const spentOnTripSoFar = tripRange.slice(0, elapsedDays).reduce((sum, day) => sum + (spentByDay[day] || 0), 0);
+    const averageDaily = elapsedDays > 0 ? Math.round(spentOnTripSoFar / elapsedDays) : 0;
+    const projectedTotal = elapsedDays > 0
+        ? spent + Math.round(spentOnTripSoFar * (tripDays - elapsedDays) / elapsedDays)
+        : spent + plannedTotal;
+
+    return {
+        days,
+        summary: {
+            timeZone,
+            startDate: startDate || null,
+            endDate: endDate || null,
+            today,
+            tripDays,
+            elapsedDays,
+            dailyAllowance: trip.dailyAllowance || 0,
+            spent,
+            plannedToDate,
+            plannedTotal,
+            averageDaily,
+            projectedTotal,
+            projectedDifference: projectedTotal - plannedTotal
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    isDayKey,
+    dayKey,
+    localDateTime,
+    zonedTime,
+    spentAt,
+    buildDailyReport
+};
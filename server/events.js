@@ -0,0 +1,124 @@
+// events.js - Live updates: a Server-Sent Events stream per trip, and who is online.
+//
+// Every saved change is pushed to the trip's open streams as a "trip-updated" event with the
+// new version, after typed events clients can tell their user about (expense-added,
+// member-joined, approval-decided, ...). Events say what changed, not the data - clients
+// fetch the trip as usual. Streams and presence live in this process only; clients fall back
+// to polling whenever their stream is down.
+//
+// Each member can have a few streams open (a phone and a laptop, a couple of tabs). Opening
+// another one closes their oldest, after telling it with a "stream-replaced" event.
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAMS_PER_MEMBER = 3;
+
+// tripCode -> Set of { memberId, generation, res }
+const streams = new Map();
+// "<tripCode>:<memberId>" -> ISO time the member was last connected or pinged
+const lastSeen = new Map();
+
+const PENDING_ENTITIES = ['pendingExpense', 'pendingMember', 'pendingContribution', 'pendingBudgetRequest', 'pendingDeletion'];
+
+const send = (res, type, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const tripStreams = (tripCode) => streams.get(tripCode) || new Set();
+
+const isConnected = (tripCode, memberId) => [...tripStreams(tripCode)].some(s => s.memberId === memberId);
+
+const markSeen = (tripCode, memberId, at = new Date()) => {
+    lastSeen.set(`${tripCode}:${memberId}`, at.toISOString());
+};
+
+// { online, lastActive } for a member, or null if we haven't seen them since the server started
+const presenceOf = (tripCode, memberId) => {
+    const seen = lastSeen.get(`${tripCode}:${memberId}`);
+    if (!seen) return null;
+    return { online: isConnected(tripCode, memberId), lastActive: seen };
+};
+
+const broadcast = (tripCode, type, data) => {
+    tripStreams(tripCode).forEach(({ res }) => send(res, type, data));
+};
+
+const announcePresence = (tripCode, memberId) => {
+    broadcast(tripCode, 'presence', { memberId, ...presenceOf(tripCode, memberId) });
+};
+
+// Typed events for the changes in an audit entry
+const changeEvents = (changes) => changes.flatMap(c => {
+    if (c.entity === 'expense' && c.action === 'created') return [{ type: 'expense-added', title: c.after.title }];
+    if (c.entity === 'member' && c.action === 'created') return [{ type: 'member-joined', name: c.after.name }];
+    if (c.entity === 'member' && c.action === 'deleted') return [{ type: 'member-left', name: c.before.name }];
+    if (PENDING_ENTITIES.includes(c.entity) && c.action === 'created') return [{ type: 'approval-requested', kind: c.entity }];
+    if (PENDING_ENTITIES.includes(c.entity) && c.action === 'deleted') return [{ type: 'approval-decided', kind: c.entity }];
+    return [];
+});
+
+// Open a stream for a member: answers with the trip's current version, then keeps the
+// response open until the client goes away.
+// `generation` is the member's session generation (see auth.js) - resetting their login ends it.
+const subscribe = (req, res, tripCode, memberId, generation, version) => {
+    // Sets keep insertion order, so the member's first stream is their oldest
+    const own = [...tripStreams(tripCode)].filter(s => s.memberId === memberId);
+    own.slice(0, Math.max(0, own.length - MAX_STREAMS_PER_MEMBER + 1)).forEach(stream => {
+        send(stream.res, 'stream-replaced', {});
+        closeStream(tripCode, stream);
+    });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    send(res, 'ready', { version });
+
+    const open = streams.get(tripCode) || new Set();
+    const stream = { memberId, generation, res };
+    open.add(stream);
+    streams.set(tripCode, open);
+    markSeen(tripCode, memberId);
+    announcePresence(tripCode, memberId);
+
+    req.on('close', () => closeStream(tripCode, stream));
+};
+
+// Forget a stream and end it if it is still open. Safe to call twice.
+const closeStream = (tripCode, stream) => {
+    const open = tripStreams(tripCode);
+    if (!open.delete(stream)) return;
+    if (open.size === 0) streams.delete(tripCode);
+    stream.res.end();
+    markSeen(tripCode, stream.memberId);
+    announcePresence(tripCode, stream.memberId);
+};
+
+// Push a saved change. `entry` is the audit entry for it, if the route recorded one.
+// Streams of members who are no longer in the trip, or whose login was reset, are closed.
+const publishTripChange = (trip, entry = null) => {
+    const generations = new Map((trip.members || []).map(m => [m.id, m.sessionGeneration || 0]));
+    tripStreams(trip.tripCode).forEach(stream => {
+        if (generations.get(stream.memberId) !== stream.generation) closeStream(trip.tripCode, stream);
+    });
+
+    const base = { version: trip.version || 0, actorId: entry ? entry.actorId : null, actorName: entry ? entry.actorName : null };
+    if (entry) changeEvents(entry.changes).forEach(({ type, ...details }) => broadcast(trip.tripCode, type, { ...base, ...details }));
+    broadcast(trip.tripCode, 'trip-updated', base);
+};
+
+// The trip is gone - tell its clients and close their streams
+const publishTripDeleted = (tripCode) => {
+    broadcast(tripCode, 'trip-deleted', {});
+    tripStreams(tripCode).forEach(stream => closeStream(tripCode, stream));
+};
+
+// Comments keep idle connections from being closed by proxies
+setInterval(() => {
+    streams.forEach(open => open.forEach(({ res }) => res.write(': keep-alive\n\n')));
+}, HEARTBEAT_MS).unref();
+
+module.exports = { subscribe, publishTripChange, publishTripDeleted, markSeen, presenceOf };
@@ -0,0 +1,307 @@
+// importer.js - Turn a CSV from a spreadsheet or Splitwise into expenses and payments for a trip.
+//
+// Two layouts are understood:
+//   splitwise  Date, Description, Category, Cost, Currency, then one column per person holding
+//              what they paid minus their share. "Payment" rows become direct payments.
+//   simple     columns found by name: Date, Title (or Description), Category, Amount (or Cost),
+//              Currency, Paid By, Split Between (names separated by ; or ,) and optional
+//              "Share: <name>" columns with exact shares. Our own expenses export is one of these.
+//
+// Names are matched to members ignoring case; unknown names become new members. Rows only get
+// parsed and mapped here - the server checks them like any other expense before saving.
+const { DEFAULT_CURRENCY, CURRENCIES, isCurrency, formatMoney } = require('./money');
+const { getCategories } = require('./categories');
+const { DEFAULT_TIME_ZONE, localDateTime, zonedTime } = require('./daily');
+const { parseCsv } = require('./csv');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Splitwise's categories (and common spreadsheet ones) mapped to the default category ids
+const CATEGORY_KEYWORDS = [
+    ['food', /food|dining|restaurant|groceries|drink|liquor|cafe|snack/],
+    ['transport', /transport|taxi|cab|bus|train|car|fuel|gas|parking|plane|flight|bike|ferry/],
+    ['accommodation', /accommodation|hotel|hostel|lodging|rent|stay|airbnb/],
+    ['entertainment', /entertainment|movie|game|sport|music|ticket|tour|activity/],
+    ['shopping', /shopping|clothing|gift|souvenir|electronics/]
+];
+
+const normalize = (text) => String(text || '').trim().toLowerCase();
+
+// "₹1,234.50" -> 1234.5; NaN if there is no number
+const parseDecimal = (text) => {
+    const cleaned = String(text || '').replace(/[^0-9.-]/g, '');
+    return cleaned === '' ? NaN : Number(cleaned);
+};
+
+const toMinorUnits = (value, currency) => Math.round(value * CURRENCIES[currency].minorUnits);
+
+// Dates as spreadsheets write them: 2024-12-31, 2024-12-31 19:30, 31/12/2024 (day first) or
+// a full ISO time. Dates without a time are put at noon in the trip's time zone.
+const parseDate = (text, timeZone) => {
+    const value = String(text || '').trim();
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+    const dayFirst = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+    const parts = iso ? [iso[1], iso[2], iso[3], iso[4], iso[5]]
+        : dayFirst ? [dayFirst[3], dayFirst[2].padStart(2, '0'), dayFirst[1].padStart(2, '0'), dayFirst[4], dayFirst[5]]
+            : null;
+
+    if (parts) {
+        const [year, month, day, hour = '12', minute = '00'] = parts;
+        const date = zonedTime(`${year}-${month}-${day}`, `${hour.padStart(2, '0')}:${minute}`, timeZone);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    const date = new Date(value);
+    return value && !isNaN(date.getTime()) ? date : null;
+};
+
+// Index of the first header matching one of the patterns, or -1
+const findColumn = (header, ...patterns) => header.findIndex(h => patterns.some(p => p.test(normalize(h))));
+
+const detectLayout = (header) => {
+    const names = header.map(normalize);
+    if (['date', 'description', 'category', 'cost', 'currency'].every((name, i) => names[i] === name) && names.length > 5) {
+        return 'splitwise';
+    }
+    const hasAmount = findColumn(header, /^amount/, /^cost$/) !== -1;
+    const hasTitle = findColumn(header, /^title$/, /^expense$/, /^description$/) !== -1;
+    return hasAmount && hasTitle ? 'simple' : null;
+};
+
+// Plan an import: parse the CSV and map every row onto the trip. Returns { error } if the file
+// can't be used at all, otherwise { layout, rows, newMembers } where each row is
+// { line, kind: 'expense' | 'payment', record, display, errors, warnings }.
+const planImport = (trip, text) => {
+    const base = trip.baseCurrency || DEFAULT_CURRENCY;
+    const timeZone = trip.timeZone || DEFAULT_TIME_ZONE;
+    const categories = getCategories(trip);
+
+    const [header, ...lines] = parseCsv(String(text || ''));
+    if (!header) return { error: 'The file is empty' };
+    const layout = detectLayout(header);
+    if (!layout) return { error: 'Could not find the columns. Use a Splitwise export, or include at least Title and Amount columns.' };
+    if (lines.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+
+    // Names -> member ids, creating members for names the trip doesn't have yet
+    const members = new Map((trip.members || []).map(m => [normalize(m.name), m.id]));
+    const newMembers = [];
+    const memberId = (name) => {
+        const key = normalize(name);
+        if (!key) return null;
+        if (key === 'pool' || key === 'all members') return 'pool';
+        if (!members.has(key)) {
+            const member = { id: Date.now().toString() + Math.random().toString(36).substr(2, 5), name: String(name).trim() };
+            newMembers.push(member);
+            members.set(key, member.id);
+        }
+        return members.get(key);
+    };
+    const nameOf = (id) => {
+        if (!id) return '';
+        if (id === 'pool') return 'Pool';
+        const member = [...(trip.members || []), ...newMembers].find(m => m.id === id);
+        return member ? member.name : id;
+    };
+
+    const categoryFor = (name, warnings) => {
+        const key = normalize(name);
+        const match = categories.find(c => c.id === key || normalize(c.name) === key)
+            || categories.find(c => CATEGORY_KEYWORDS.some(([id, pattern]) => c.id === id && key && pattern.test(key)));
+        if (match) return match.id;
+        const fallback = categories.find(c => c.id === 'other') || categories[0];
+        if (key) warnings.push(`Category "${name}" not found - filed under ${fallback.name}`);
+        return fallback.id;
+    };
+
+    const currencyFor = (code, errors) => {
+        const currency = String(code || '').trim().toUpperCase() || base;
+        if (!isCurrency(currency)) errors.push(`Unknown currency: ${currency}`);
+        return currency;
+    };
+
+    const dateFor = (text, warnings, errors) => {
+        if (!String(text || '').trim()) {
+            warnings.push('No date - using today');
+            return new Date();
+        }
+        const date = parseDate(text, timeZone);
+        if (!date) errors.push(`Invalid date: ${text}`);
+        return date;
+    };
+
+    const rows = [];
+    if (layout === 'splitwise') {
+        const people = header.slice(5).map((name, i) => ({ name, index: i + 5 }));
+        lines.forEach(cells => {
+            const [date, description, category, cost, code] = cells;
+            if (normalize(description) === 'total balance') return;
+
+            const errors = [];
+            const warnings = [];
+            const currency = currencyFor(code, errors);
+            const amount = parseDecimal(cost);
+            if (!(amount > 0)) errors.push(`Invalid cost: ${cost}`);
+            const spentOn = dateFor(date, warnings, errors);
+            if (errors.length > 0) {
+                rows.push({ line: cells.line, kind: 'expense', errors, warnings, display: { title: description } });
+                return;
+            }
+
+            // What each person paid minus their share, in the row's currency
+            const nets = people.map(p => ({ name: p.name, net: toMinorUnits(parseDecimal(cells[p.index]) || 0, currency) }))
+                .filter(n => n.net !== 0)
+                .map(n => ({ id: memberId(n.name), net: n.net }));
+            const payers = nets.filter(n => n.net > 0);
+            const owers = nets.filter(n => n.net < 0);
+            const total = toMinorUnits(amount, currency);
+
+            if (normalize(category) === 'payment') {
+                if (payers.length !== 1 || owers.length !== 1) errors.push('A payment needs exactly one payer and one receiver');
+                if (currency !== base) errors.push(`Payments can only be imported in ${base}`);
+                const record = errors.length > 0 ? null : {
+                    from: payers[0].id,
+                    to: owers[0].id,
+                    amount: total,
+                    method: 'other',
+                    note: String(description || '').trim(),
+                    date: localDateTime(spentOn, timeZone).slice(0, 10)
+                };
+                rows.push({
+                    line: cells.line,
+                    kind: 'payment',
+                    record,
+                    errors,
+                    warnings,
+                    display: {
+                        date: record ? record.date : '',
+                        title: description,
+                        amount: formatMoney(total, currency),
+                        paidBy: record ? nameOf(record.from) : '',
+                        splitBetween: record ? nameOf(record.to) : ''
+                    }
+                });
+                return;
+            }
+
+            if (payers.length === 0) errors.push('Can\'t tell who paid - nobody has a positive amount');
+            if (payers.length > 1) errors.push('Paid by several people - split it into one row per payer first');
+            const shares = {};
+            if (payers.length === 1) {
+                const payerShare = total - payers[0].net;
+                if (payerShare < 0) errors.push('The payer\'s amount is more than the cost');
+                if (payerShare > 0) shares[payers[0].id] = payerShare;
+            }
+            owers.forEach(n => { shares[n.id] = (shares[n.id] || 0) - n.net; });
+
+            const record = {
+                title: String(description || '').trim(),
+                amount: total,
+                currency,
+                category: categoryFor(category, warnings),
+                paidBy: payers.length === 1 ? payers[0].id : null,
+                splitBetween: Object.keys(shares),
+                splitMode: 'exact',
+                splitDetails: shares,
+                spentAt: spentOn.toISOString()
+            };
+            rows.push({ line: cells.line, kind: 'expense', record, errors, warnings });
+        });
+    } else {
+        const col = {
+            date: findColumn(header, /^date$/, /^spent on$/),
+            title: findColumn(header, /^title$/, /^expense$/),
+            description: findColumn(header, /^description$/, /^notes?$/),
+            category: findColumn(header, /^category$/),
+            amount: findColumn(header, /^amount/, /^cost$/),
+            currency: findColumn(header, /^currency$/),
+            originalAmount: findColumn(header, /^original amount$/),
+            originalCurrency: findColumn(header, /^original currency$/),
+            paidBy: findColumn(header, /^paid by$/, /^payer$/),
+            splitBetween: findColumn(header, /^split between$/, /^split with$/, /^members$/)
+        };
+        if (col.title === -1) {
+            col.title = col.description;
+            col.description = -1;
+        }
+        const shareColumns = header.map((h, index) => ({ match: String(h).match(/^share:\s*(.+)$/i), index }))
+            .filter(c => c.match)
+            .map(c => ({ name: c.match[1], index: c.index }));
+        const cell = (cells, index) => (index === -1 ? '' : String(cells[index] || '').trim());
+
+        lines.forEach(cells => {
+            const errors = [];
+            const warnings = [];
+
+            // Our own export has the base amount plus the original amount for foreign expenses
+            const foreign = cell(cells, col.originalCurrency);
+            const currency = currencyFor(foreign || cell(cells, col.currency), errors);
+            const amountText = foreign ? cell(cells, col.originalAmount) : cell(cells, col.amount);
+            const amount = parseDecimal(amountText);
+            if (!(amount > 0)) errors.push(`Invalid amount: ${amountText}`);
+            const title = cell(cells, col.title);
+            if (!title) errors.push('Missing title');
+            const spentOn = dateFor(cell(cells, col.date), warnings, errors);
+            if (errors.length > 0) {
+                rows.push({ line: cells.line, kind: 'expense', errors, warnings, display: { title } });
+                return;
+            }
+
+            let paidBy = memberId(cell(cells, col.paidBy));
+            if (!paidBy) {
+                warnings.push('No payer - paid from the pool');
+                paidBy = 'pool';
+            }
+
+            const record = {
+                title,
+                amount: toMinorUnits(amount, currency),
+                currency,
+                category: categoryFor(cell(cells, col.category), warnings),
+                paidBy,
+                splitMode: 'equal',
+                description: cell(cells, col.description),
+                spentAt: spentOn.toISOString()
+            };
+
+            // Share columns are in the base currency: exact amounts for base-currency rows,
+            // otherwise the same proportions as shares
+            const shares = {};
+            shareColumns.forEach(c => {
+                const value = parseDecimal(cells[c.index]);
+                if (value > 0) shares[memberId(c.name)] = toMinorUnits(value, base);
+            });
+            if (Object.keys(shares).length > 0) {
+                record.splitMode = currency === base ? 'exact' : 'shares';
+                record.splitDetails = shares;
+                record.splitBetween = Object.keys(shares);
+            } else {
+                const names = cell(cells, col.splitBetween).split(/[;,]/).map(n => n.trim()).filter(Boolean);
+                record.splitBetween = names.map(memberId).filter(id => id && id !== 'pool');
+                if (names.length === 0 || names.some(n => memberId(n) === 'pool')) record.splitAll = true;
+            }
+            rows.push({ line: cells.line, kind: 'expense', record, errors, warnings });
+        });
+    }
+
+    // "Split between everyone" means everyone once all new members are known
+    const everyone = [...(trip.members || []), ...newMembers].map(m => m.id);
+    rows.filter(r => r.record && r.record.splitAll).forEach(r => {
+        delete r.record.splitAll;
+        r.record.splitBetween = everyone;
+    });
+
+    rows.filter(r => r.kind === 'expense' && r.record).forEach(r => {
+        r.display = {
+            date: localDateTime(r.record.spentAt, timeZone),
+            title: r.record.title,
+            amount: formatMoney(r.record.amount, r.record.currency),
+            paidBy: nameOf(r.record.paidBy),
+            splitBetween: r.record.splitBetween.map(nameOf).join(', '),
+            category: (categories.find(c => c.id === r.record.category) || {}).name
+        };
+        if (r.record.currency === base) delete r.record.currency;
+    });
+
+    return { layout, rows, newMembers };
+};
+
+module.exports = { MAX_IMPORT_ROWS, planImport };
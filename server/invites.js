@@ -0,0 +1,82 @@
+// invites.js - Invite links, so admins don't have to hand out the trip code.
+//
+// An invite token is "<tripCode>-<secret>". The trip keeps only a SHA-256 hash of the
+// secret, so the token can't be read back from the trip - it is shown once, when created.
+// Invites expire, can be used a limited number of times and can be revoked. An invite for a
+// member slot lets one person take over a member the admin already added.
+const crypto = require('crypto');
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+const DEFAULT_MAX_USES = 1;
+const MAX_USES = 100;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// { tripCode, secret } from an invite token, or null if it isn't shaped like one
+const parseInviteToken = (token) => {
+    const match = typeof token === 'string' && token.match(/^([A-Z0-9]{6})-([a-f0-9]{32})$/);
+    return match ? { tripCode: match[1], secret: match[2] } : null;
+};
+
+// Error message for invite options that can't be used, or null
+const checkInviteOptions = (trip, { expiresInHours, maxUses, memberId }) => {
+    if (expiresInHours !== undefined && !(Number.isInteger(expiresInHours) && expiresInHours > 0 && expiresInHours <= MAX_EXPIRY_HOURS)) {
+        return `Invites can last from 1 hour to ${MAX_EXPIRY_HOURS / 24} days`;
+    }
+    if (maxUses !== undefined && !(Number.isInteger(maxUses) && maxUses > 0 && maxUses <= MAX_USES)) {
+        return `An invite can be used 1 to ${MAX_USES} times`;
+    }
+    if (memberId && !(trip.members || []).some(m => m.id === memberId)) return 'Member not found';
+    return null;
+};
+
+// Add an invite to the trip. Returns { invite, token }; the token isn't stored anywhere.
+const createInvite = (trip, { expiresInHours = DEFAULT_EXPIRY_HOURS, maxUses = DEFAULT_MAX_USES, memberId }, createdBy, now = new Date()) => {
+    const secret = crypto.randomBytes(16).toString('hex');
+    const invite = {
+        id: Date.now().toString() + Math.random().toString(36).substr(2, 5),
+        tokenHash: hashToken(secret),
+        memberId: memberId || null,
+        createdBy,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + expiresInHours * 60 * 60 * 1000).toISOString(),
+        // A member slot can only be claimed once
+        maxUses: memberId ? 1 : maxUses,
+        uses: 0,
+        revokedAt: null
+    };
+    if (!trip.invites) trip.invites = [];
+    trip.invites.push(invite);
+    return { invite, token: `${trip.tripCode}-${secret}` };
+};
+
+const findInvite = (trip, secret) => {
+    const hash = hashToken(secret);
+    return (trip.invites || []).find(i => i.tokenHash === hash) || null;
+};
+
+// 'active', 'revoked', 'expired' or 'used'
+const inviteStatus = (invite, now = new Date()) => {
+    if (invite.revokedAt) return 'revoked';
+    if (new Date(invite.expiresAt) <= now) return 'expired';
+    if (invite.uses >= invite.maxUses) return 'used';
+    return 'active';
+};
+
+const INACTIVE_MESSAGES = {
+    revoked: 'This invite link has been revoked. Ask the trip admin for a new one.',
+    expired: 'This invite link has expired. Ask the trip admin for a new one.',
+    used: 'This invite link has already been used. Ask the trip admin for a new one.'
+};
+
+// Invite as listed to admins - without the token hash, with its status and slot name
+const describeInvite = (trip, invite, now = new Date()) => {
+    const { tokenHash, ...rest } = invite;
+    const name = (id) => ((trip.members || []).find(m => m.id === id) || {}).name || null;
+    return { ...rest, status: inviteStatus(invite, now), memberName: name(invite.memberId), createdByName: name(invite.createdBy) };
+};
+
+module.exports = {
+    parseInviteToken, checkInviteOptions, createInvite, findInvite, inviteStatus, describeInvite, INACTIVE_MESSAGES
+};
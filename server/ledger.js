@@ -0,0 +1,193 @@
+// ledger.js - Append-only transaction ledger. Member balances are derived by replaying it.
+// All amounts are integer minor units of the trip's base currency (see money.js).
+//
+// Entry types (every entry has id, type, timestamp and an optional note):
+//   contribution  { memberId, amount }                member paid into the pool
+//   refund        { memberId, amount }                pool paid contribution back to member
+//   reimbursement { memberId, amount }                pool paid member back for personal spending
+//   expense       { expenseId, amount, expense }      expense snapshot (paidBy, splitBetween, ...)
+//   adjustment    { memberId, field, amount }         admin correction of 'contribution', 'personal' or 'balance'
+//   budget_change { amount, budget }                  budget delta and the resulting total
+//   payment       { paymentId, from, to, amount }     one member paid another directly, outside the pool
+//
+// Contributions (and expense snapshots) paid in another currency also carry
+// { currency, originalAmount }. Their base amount is worked out again from the trip's
+// exchange rates on every replay, so correcting a rate corrects every balance.
+//
+// Entries are never edited or removed. To undo one, append an entry of the same
+// type with `reverses: <id>` (see reverseEntry).
+
+const { getExpenseShares } = require('./splits');
+const { DEFAULT_CURRENCY, convertAmount } = require('./money');
+
+const ENTRY_TYPES = ['contribution', 'refund', 'reimbursement', 'expense', 'adjustment', 'budget_change', 'payment'];
+const ADJUSTMENT_FIELDS = ['contribution', 'personal', 'balance'];
+
+const newEntryId = () => Date.now().toString() + Math.random().toString(36).substr(2, 5);
+
+// Amount of an entry or expense in the trip's base currency, at the current rates
+const baseAmount = (trip, { amount, currency, originalAmount }) => {
+    if (!currency || typeof originalAmount !== 'number') return amount || 0;
+    return convertAmount(originalAmount, currency, trip.baseCurrency || DEFAULT_CURRENCY, trip.exchangeRates);
+};
+
+// Add an entry to the trip's ledger and return it
+const appendEntry = (trip, entry) => {
+    if (!ENTRY_TYPES.includes(entry.type)) {
+        throw new Error(`Unknown ledger entry type: ${entry.type}`);
+    }
+    if (entry.type === 'adjustment' && !ADJUSTMENT_FIELDS.includes(entry.field)) {
+        throw new Error(`Unknown adjustment field: ${entry.field}`);
+    }
+
+    if (!trip.ledger) trip.ledger = [];
+    const full = {
+        id: newEntryId(),
+        timestamp: new Date().toISOString(),
+        ...entry
+    };
+    trip.ledger.push(full);
+    return full;
+};
+
+// Cancel an earlier entry by appending its mirror image
+const reverseEntry = (trip, entryId, note) => {
+    const original = (trip.ledger || []).find(e => e.id === entryId);
+    if (!original) return null;
+
+    const { id, timestamp, note: originalNote, ...rest } = original;
+    return appendEntry(trip, {
+        ...rest,
+        amount: -(original.amount || 0),
+        ...(typeof original.originalAmount === 'number' && { originalAmount: -original.originalAmount }),
+        reverses: original.id,
+        note: note || `Reversal of ${original.type}`
+    });
+};
+
+// Latest expense entry for an expense that hasn't been reversed yet
+const findActiveExpenseEntry = (trip, expenseId) => {
+    const reversed = new Set((trip.ledger || []).filter(e => e.reverses).map(e => e.reverses));
+    return [...(trip.ledger || [])].reverse()
+        .find(e => e.type === 'expense' && e.expenseId === expenseId && !e.reverses && !reversed.has(e.id)) || null;
+};
+
+const recordExpense = (trip, expense, note) => appendEntry(trip, {
+    type: 'expense',
+    expenseId: expense.id,
+    amount: expense.amount || 0,
+    expense: JSON.parse(JSON.stringify(expense)),
+    timestamp: expense.timestamp || new Date().toISOString(),
+    note
+});
+
+const reverseExpense = (trip, expenseId, note) => {
+    const entry = findActiveExpenseEntry(trip, expenseId);
+    return entry ? reverseEntry(trip, entry.id, note) : null;
+};
+
+// Paying someone back raises your balance and lowers theirs
+const memberBalance = (totals) => {
+    const netPersonal = Math.max(totals.personal - totals.reimbursed, 0);
+    return totals.actualContribution + netPersonal - totals.expenseShare + totals.balanceAdjustment
+        + totals.paymentsSent - totals.paymentsReceived;
+};
+
+// Replay the ledger (optionally only entries up to `until`) into budget, active
+// expenses and per-member totals
+const replayLedger = (trip, { until = null } = {}) => {
+    const cutoff = until ? new Date(until).getTime() : Infinity;
+    const entries = (trip.ledger || []).filter(e => new Date(e.timestamp).getTime() <= cutoff);
+    const memberIds = (trip.members || []).map(m => m.id);
+
+    const members = {};
+    const totalsFor = (memberId) => {
+        if (!members[memberId]) {
+            members[memberId] = {
+                actualContribution: 0,
+                personal: 0,
+                reimbursed: 0,
+                expenseShare: 0,
+                balanceAdjustment: 0,
+                paymentsSent: 0,
+                paymentsReceived: 0
+            };
+        }
+        return members[memberId];
+    };
+    memberIds.forEach(totalsFor);
+
+    let budget = 0;
+    const expenses = new Map();
+
+    entries.forEach(e => {
+        const amount = baseAmount(trip, e);
+        switch (e.type) {
+            case 'contribution':
+                totalsFor(e.memberId).actualContribution += amount;
+                break;
+            case 'refund':
+                totalsFor(e.memberId).actualContribution -= amount;
+                break;
+            case 'reimbursement':
+                totalsFor(e.memberId).reimbursed += amount;
+                break;
+            case 'adjustment': {
+                const totals = totalsFor(e.memberId);
+                if (e.field === 'contribution') totals.actualContribution += amount;
+                if (e.field === 'personal') totals.personal += amount;
+                if (e.field === 'balance') totals.balanceAdjustment += amount;
+                break;
+            }
+            case 'budget_change':
+                budget += amount;
+                break;
+            case 'payment':
+                totalsFor(e.from).paymentsSent += amount;
+                totalsFor(e.to).paymentsReceived += amount;
+                break;
+            case 'expense':
+                if (e.reverses) {
+                    expenses.delete(e.reverses);
+                } else {
+                    expenses.set(e.id, e.expense);
+                }
+                break;
+        }
+    });
+
+    expenses.forEach(snapshot => {
+        const amount = baseAmount(trip, snapshot);
+        const expense = { ...snapshot, amount };
+
+        // Paid from pocket - the pool owes it back to them
+        if (expense.paidBy && expense.paidBy !== 'pool' && expense.paidBy !== 'all_members') {
+            totalsFor(expense.paidBy).personal += amount;
+        }
+
+        Object.entries(getExpenseShares(expense, memberIds)).forEach(([memberId, share]) => {
+            totalsFor(memberId).expenseShare += share;
+        });
+    });
+
+    Object.values(members).forEach(totals => {
+        totals.balance = memberBalance(totals);
+    });
+
+    return {
+        budget,
+        members,
+        expenses: [...expenses.values()].map(e => ({ ...e, amount: baseAmount(trip, e) })),
+        entries
+    };
+};
+
+module.exports = {
+    ENTRY_TYPES,
+    baseAmount,
+    appendEntry,
+    reverseEntry,
+    recordExpense,
+    reverseExpense,
+    replayLedger
+};
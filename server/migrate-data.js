@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const fs = require('fs');
 const path = require('path');
 const Trip = require('./models/Trip');
+const { hashSecret } = require('./auth');
 
 // MongoDB connection string - you'll need to set this
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/trip-budget-manager';
@@ -55,7 +56,7 @@ async function migrateData() {
             budget: oldData.budget || 0,
             memberCount: oldData.memberCount || 0,
             tripDate: oldData.tripDate || '',
-            adminPin: oldData.adminPin || '',
+            adminPinHash: oldData.adminPin ? hashSecret(String(oldData.adminPin)) : undefined,
             members: oldData.members || [],
             expenses: oldData.expenses || [],
             pendingExpenses: oldData.pendingExpenses || [],
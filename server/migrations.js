@@ -0,0 +1,150 @@
+// migrations.js - Upgrade stored trips to the current schema when they are loaded
+const { appendEntry, recordExpense, replayLedger } = require('./ledger');
+const { toMinor } = require('./money');
+const { DEFAULT_CATEGORIES } = require('./categories');
+const { hashSecret } = require('./auth');
+const { OWNER, MEMBER, ROLES } = require('./roles');
+
+// 1: Build the ledger from the old mutable counters and override flags
+const buildLedgerFromCounters = (trip) => {
+    const note = 'Opening balance (migrated)';
+    const members = trip.members || [];
+    trip.ledger = [];
+
+    if (trip.budget) {
+        appendEntry(trip, { type: 'budget_change', amount: trip.budget, budget: trip.budget, note });
+    }
+
+    members.forEach(m => {
+        if (m.actualContribution) {
+            appendEntry(trip, { type: 'contribution', memberId: m.id, amount: m.actualContribution, note });
+        }
+        if (m.reimbursed) {
+            appendEntry(trip, { type: 'reimbursement', memberId: m.id, amount: m.reimbursed, note });
+        }
+    });
+
+    (trip.expenses || []).forEach(e => recordExpense(trip, e, note));
+
+    // Locked values become explicit adjustments on top of what the ledger gives
+    members.forEach(m => {
+        if (m.customPersonal) {
+            const derived = replayLedger(trip).members[m.id];
+            const diff = (m.personal || 0) - derived.personal;
+            if (diff) appendEntry(trip, { type: 'adjustment', memberId: m.id, field: 'personal', amount: diff, note });
+        }
+    });
+    members.forEach(m => {
+        if (m.customBalance) {
+            const derived = replayLedger(trip).members[m.id];
+            const diff = (m.balance || 0) - derived.balance;
+            if (diff) appendEntry(trip, { type: 'adjustment', memberId: m.id, field: 'balance', amount: diff, note });
+        }
+        delete m.customPersonal;
+        delete m.customBalance;
+    });
+};
+
+// 2: Rupee floats -> integer paise
+const AMOUNT_FIELDS = [
+    'amount', 'budget', 'expectedContribution', 'actualContribution', 'remainingContribution',
+    'balance', 'personal', 'reimbursed', 'expenseShare'
+];
+
+const convertAmounts = (obj) => {
+    if (!obj || typeof obj !== 'object') return;
+    AMOUNT_FIELDS.forEach(field => {
+        if (typeof obj[field] === 'number') obj[field] = toMinor(obj[field]);
+    });
+    if (obj.expense) convertAmounts(obj.expense);
+};
+
+const convertToMinorUnits = (trip) => {
+    if (typeof trip.budget === 'number') trip.budget = toMinor(trip.budget);
+
+    ['members', 'expenses', 'pendingExpenses', 'pendingContributions', 'pendingBudgetRequests', 'ledger']
+        .forEach(collection => (trip[collection] || []).forEach(convertAmounts));
+    (trip.trash || []).forEach(t => convertAmounts(t.item));
+    (trip.auditLog || []).forEach(entry => entry.changes.forEach(change => {
+        convertAmounts(change.before);
+        convertAmounts(change.after);
+    }));
+};
+
+// 3: Fixed categories -> the trip's own editable list
+const addDefaultCategories = (trip) => {
+    if (!Array.isArray(trip.categories) || trip.categories.length === 0) {
+        trip.categories = DEFAULT_CATEGORIES.map(c => ({ ...c }));
+    }
+};
+
+// 4: Single trip date -> a start and end date (a one-day trip until the admin says otherwise)
+const addTripDateRange = (trip) => {
+    if (!trip.startDate) trip.startDate = (trip.tripDate || '').slice(0, 10);
+    if (!trip.endDate) trip.endDate = trip.startDate;
+    if (trip.dailyAllowance === undefined) trip.dailyAllowance = 0;
+};
+
+// 5: Expenses get their own spent-on time, separate from when they were entered
+const addExpenseSpentAt = (trip) => {
+    const expenses = [
+        ...(trip.expenses || []),
+        ...(trip.pendingExpenses || []),
+        ...(trip.trash || []).filter(t => t.type === 'expense').map(t => t.item)
+    ];
+    expenses.forEach(e => {
+        if (!e.spentAt && e.timestamp) e.spentAt = e.timestamp;
+    });
+};
+
+// 6: The admin PIN is kept as a salted hash instead of plain text
+const hashAdminPin = (trip) => {
+    if (!trip.adminPinHash) trip.adminPinHash = trip.adminPin ? hashSecret(String(trip.adminPin)) : null;
+    delete trip.adminPin;
+};
+
+// 7: Roles are stored on members - the first member, who used to be the admin, becomes the owner
+const assignRoles = (trip) => {
+    const members = trip.members || [];
+    members.forEach(m => {
+        if (!ROLES.includes(m.role)) m.role = MEMBER;
+    });
+    if (members.length > 0 && !members.some(m => m.role === OWNER)) members[0].role = OWNER;
+};
+
+// 8: Invite links
+const addInvites = (trip) => {
+    if (!trip.invites) trip.invites = [];
+};
+
+// 9: Join requests by trip code - trips from before invite links keep taking them
+const allowJoinRequests = (trip) => {
+    if (trip.allowJoinRequests === undefined) trip.allowJoinRequests = true;
+};
+
+const MIGRATIONS = [
+    buildLedgerFromCounters,
+    convertToMinorUnits,
+    addDefaultCategories,
+    addTripDateRange,
+    addExpenseSpentAt,
+    hashAdminPin,
+    assignRoles,
+    addInvites,
+    allowJoinRequests
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS.length;
+
+// Run any migrations the trip hasn't had yet. Returns true if the trip changed.
+const upgradeTrip = (trip) => {
+    const from = trip.schemaVersion || 0;
+    if (from >= CURRENT_SCHEMA_VERSION) return false;
+
+    MIGRATIONS.slice(from).forEach(migrate => migrate(trip));
+    trip.schemaVersion = CURRENT_SCHEMA_VERSION;
+    console.log(`🔧 Upgraded trip ${trip.tripCode} to schema v${CURRENT_SCHEMA_VERSION}`);
+    return true;
+};
+
+module.exports = { upgradeTrip, CURRENT_SCHEMA_VERSION };
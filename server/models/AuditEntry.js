@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Audit entries moved out of a trip document once its log is long (see audit.js)
+const auditEntrySchema = new mongoose.Schema({
+    tripCode: { type: String, required: true, index: true },
+    id: { type: String, required: true },
+    timestamp: String,
+    actorId: String,
+    actorName: String,
+    route: String,
+    changes: mongoose.Schema.Types.Mixed
+});
+
+auditEntrySchema.index({ tripCode: 1, id: 1 }, { unique: true });
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -1,12 +1,28 @@
 const mongoose = require('mongoose');
 
+// Amounts are integer minor units of the base currency (paise for INR) - see money.js.
+// Foreign-currency records also keep currency and originalAmount.
 const tripSchema = new mongoose.Schema({
     tripCode: { type: String, required: true, unique: true, index: true },
     tripName: { type: String, required: true },
     budget: { type: Number, default: 0 },
     memberCount: { type: Number, default: 0 },
     tripDate: { type: String, default: '' },
-    adminPin: { type: String, default: '' },
+    startDate: { type: String, default: '' },
+    endDate: { type: String, default: '' },
+    dailyAllowance: { type: Number, default: 0 },
+    timeZone: { type: String, default: 'Asia/Kolkata' },
+    allowJoinRequests: { type: Boolean, default: false },
+    adminPinHash: { salt: String, hash: String },
+    baseCurrency: { type: String, default: 'INR' },
+    exchangeRates: { type: mongoose.Schema.Types.Mixed, default: {} },
+    categories: [{
+        id: String,
+        name: String,
+        icon: String,
+        budget: { type: Number, default: 0 }
+    }],
+    version: { type: Number, default: 0 },
     members: [{
         id: String,
         name: String,
@@ -17,42 +33,88 @@ const tripSchema = new mongoose.Schema({
         personal: { type: Number, default: 0 },
         reimbursed: { type: Number, default: 0 },
         customExpected: { type: Boolean, default: false },
-        customPersonal: { type: Boolean, default: false },
-        customBalance: { type: Boolean, default: false },
         lastActive: { type: String, default: '' },
         role: { type: String, default: 'member' },
-        expenseShare: { type: Number, default: 0 }
+        expenseShare: { type: Number, default: 0 },
+        paymentsSent: { type: Number, default: 0 },
+        paymentsReceived: { type: Number, default: 0 },
+        credential: { salt: String, hash: String },
+        credentialSetAt: { type: String, default: null },
+        sessionGeneration: { type: Number, default: 0 }
     }],
     expenses: [{
         id: String,
         title: String,
         amount: Number,
+        currency: String,
+        originalAmount: Number,
         category: String,
         paidBy: String,
         splitBetween: [String],
+        splitMode: { type: String, default: 'equal' },
+        splitDetails: mongoose.Schema.Types.Mixed,
+        items: [{
+            name: String,
+            price: Number,
+            members: [String]
+        }],
+        tax: Number,
+        serviceCharge: Number,
+        tip: Number,
         description: String,
+        receipts: [String],
+        spentAt: String,
+        timestamp: String
+    }],
+    payments: [{
+        id: String,
+        from: String,
+        to: String,
+        amount: Number,
+        method: String,
+        note: String,
+        date: String,
+        recordedBy: String,
         timestamp: String
     }],
     pendingExpenses: [{
         id: String,
         title: String,
         amount: Number,
+        currency: String,
+        originalAmount: Number,
         category: String,
         paidBy: String,
+        splitBetween: [String],
+        splitMode: { type: String, default: 'equal' },
+        splitDetails: mongoose.Schema.Types.Mixed,
+        items: [{
+            name: String,
+            price: Number,
+            members: [String]
+        }],
+        tax: Number,
+        serviceCharge: Number,
+        tip: Number,
         description: String,
+        receipts: [String],
+        spentAt: String,
         timestamp: String,
         status: String
     }],
     pendingMembers: [{
         id: String,
         name: String,
-        status: String
+        status: String,
+        credential: { salt: String, hash: String }
     }],
     pendingContributions: [{
         id: String,
         memberId: String,
         memberName: String,
         amount: Number,
+        currency: String,
+        originalAmount: Number,
         timestamp: String
     }],
     pendingBudgetRequests: [{
@@ -68,7 +130,55 @@ const tripSchema = new mongoose.Schema({
         memberId: String,
         memberName: String,
         timestamp: String
-    }]
+    }],
+    ledger: [{
+        id: String,
+        type: { type: String },
+        timestamp: String,
+        memberId: String,
+        expenseId: String,
+        paymentId: String,
+        from: String,
+        to: String,
+        field: String,
+        amount: Number,
+        currency: String,
+        originalAmount: Number,
+        budget: Number,
+        reverses: String,
+        note: String,
+        expense: mongoose.Schema.Types.Mixed
+    }],
+    trash: [{
+        id: String,
+        type: { type: String },
+        item: mongoose.Schema.Types.Mixed,
+        splits: [mongoose.Schema.Types.Mixed],
+        deletedAt: String,
+        deletedBy: String
+    }],
+    settlementChecks: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Invite links - only a hash of each token is kept (see invites.js)
+    invites: [{
+        id: String,
+        tokenHash: String,
+        memberId: String,
+        createdBy: String,
+        createdAt: String,
+        expiresAt: String,
+        maxUses: Number,
+        uses: { type: Number, default: 0 },
+        revokedAt: String
+    }],
+    auditLog: [{
+        id: String,
+        timestamp: String,
+        actorId: String,
+        actorName: String,
+        route: String,
+        changes: mongoose.Schema.Types.Mixed
+    }],
+    schemaVersion: { type: Number, default: 0 }
 }, {
     timestamps: true
 });
@@ -0,0 +1,112 @@
+// money.js - Amounts are stored, computed and sent over the API as integer minor units
+// (paise for INR, cents for USD...). Only display code turns them back into major units.
+
+const MINOR_UNITS = 100;
+
+const DEFAULT_CURRENCY = 'INR';
+
+// Currencies a trip can use. Sent with trip data so every client formats amounts the
+// same way as the server.
+const CURRENCIES = {
+    INR: { symbol: '₹', locale: 'en-IN', minorUnits: 100 },
+    USD: { symbol: '$', locale: 'en-US', minorUnits: 100 },
+    EUR: { symbol: '€', locale: 'en-IE', minorUnits: 100 },
+    GBP: { symbol: '£', locale: 'en-GB', minorUnits: 100 },
+    THB: { symbol: '฿', locale: 'th-TH', minorUnits: 100 },
+    AED: { symbol: 'AED ', locale: 'en-AE', minorUnits: 100 },
+    SGD: { symbol: 'S$', locale: 'en-SG', minorUnits: 100 },
+    MYR: { symbol: 'RM', locale: 'ms-MY', minorUnits: 100 },
+    IDR: { symbol: 'Rp', locale: 'id-ID', minorUnits: 100 },
+    AUD: { symbol: 'A$', locale: 'en-AU', minorUnits: 100 },
+    NPR: { symbol: 'Rs ', locale: 'en-NP', minorUnits: 100 },
+    LKR: { symbol: 'Rs ', locale: 'en-LK', minorUnits: 100 },
+    JPY: { symbol: '¥', locale: 'ja-JP', minorUnits: 1 }
+};
+
+const isCurrency = (code) => Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+// Format descriptor for a currency, e.g. a trip's base currency
+const moneyFormat = (currency = DEFAULT_CURRENCY) => ({ currency, ...CURRENCIES[currency] });
+
+// Amount in minor units from a request body. Null if missing or not a whole number.
+const parseAmount = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const amount = Number(value);
+    return Number.isInteger(amount) ? amount : null;
+};
+
+// Round half away from zero, so a negated amount always converts to the negated result
+const roundAmount = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+// Convert a rupee value (e.g. an old float amount) to paise
+const toMinor = (major) => roundAmount((parseFloat(major) || 0) * MINOR_UNITS);
+
+// e.g. 150000 -> "₹1,500", 150050 -> "₹1,500.50", -2500 -> "-₹25", (1000, 'USD') -> "$10"
+const formatMoney = (minor, currency = DEFAULT_CURRENCY) => {
+    const format = moneyFormat(isCurrency(currency) ? currency : DEFAULT_CURRENCY);
+    const amount = minor || 0;
+    const fractionDigits = amount % format.minorUnits === 0 ? 0 : Math.log10(format.minorUnits);
+    const major = (Math.abs(amount) / format.minorUnits).toLocaleString(format.locale, {
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    });
+    return `${amount < 0 ? '-' : ''}${format.symbol}${major}`;
+};
+
+// Plain decimal for spreadsheets, e.g. 150050 -> "1500.50", (1000, 'JPY') -> "1000"
+const toMajor = (minor, currency = DEFAULT_CURRENCY) => {
+    const { minorUnits } = moneyFormat(isCurrency(currency) ? currency : DEFAULT_CURRENCY);
+    return ((minor || 0) / minorUnits).toFixed(Math.log10(minorUnits));
+};
+
+// Convert minor units of `from` into minor units of `base`. rates[code] is what one whole
+// unit of `code` is worth in the base currency (e.g. { THB: 2.35 } on an INR trip).
+const convertAmount = (amount, from, base, rates = {}) => {
+    if (!from || from === base) return amount;
+    const rate = Number(rates[from]);
+    if (!(rate > 0)) throw new Error(`No exchange rate set for ${from}`);
+    const major = amount / CURRENCIES[from].minorUnits;
+    return roundAmount(major * rate * CURRENCIES[base].minorUnits);
+};
+
+// Split a total into `count` whole-unit shares that add up exactly. The remainder goes
+// one unit at a time to the first shares, so callers decide who gets it by ordering.
+const splitAmount = (total, count) => {
+    if (count <= 0) return [];
+    const base = Math.trunc(total / count);
+    const remainder = total - base * count;
+    return Array.from({ length: count }, (_, i) => base + (i < Math.abs(remainder) ? Math.sign(remainder) : 0));
+};
+
+// Split a total in proportion to weights, in whole units that add up exactly. Rounding
+// leftovers go one unit at a time to the first shares with a non-zero weight.
+const allocateAmount = (total, weights) => {
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+    if (weightSum <= 0) return splitAmount(total, weights.length);
+
+    const shares = weights.map(w => Math.trunc(total * w / weightSum));
+    let remainder = total - shares.reduce((sum, s) => sum + s, 0);
+    const step = Math.sign(remainder);
+    for (let i = 0; remainder !== 0; i = (i + 1) % shares.length) {
+        if (weights[i] > 0) {
+            shares[i] += step;
+            remainder -= step;
+        }
+    }
+    return shares;
+};
+
+module.exports = {
+    MINOR_UNITS,
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    isCurrency,
+    moneyFormat,
+    parseAmount,
+    toMinor,
+    toMajor,
+    formatMoney,
+    convertAmount,
+    splitAmount,
+    allocateAmount
+};
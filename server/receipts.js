@@ -0,0 +1,152 @@
+// receipts.js - Receipt images on local disk, one folder per trip (server/data/receipts/<TRIPCODE>)
+//
+// Expenses only keep the receipt ids; the files are served through an API route so
+// only people in the trip can see them. Images are uploaded before the expense that uses
+// them is sent, so uploads no expense refers to are deleted after a while (see pruneReceipts),
+// and each trip has a limit on how many receipts it keeps and how much space they take.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RECEIPTS_DIR = path.join(__dirname, 'data', 'receipts');
+const MAX_RECEIPT_BYTES = 5 * 1024 * 1024;
+const MAX_RECEIPTS_PER_EXPENSE = 5;
+const MAX_RECEIPTS_PER_TRIP = 200;
+const MAX_TRIP_RECEIPT_BYTES = 100 * 1024 * 1024;
+const MAX_UNLINKED_RECEIPTS = 20;
+const UNLINKED_RECEIPT_MS = 60 * 60 * 1000;
+
+const RECEIPT_TYPES = {
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp'
+};
+
+const TRIP_CODE_PATTERN = /^[A-Z0-9]+$/;
+const RECEIPT_ID_PATTERN = /^[a-z0-9]+\.(jpg|png|webp)$/;
+
+// Image type from the file's first bytes - the Content-Type header is only the client's word
+const detectReceiptType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+    if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    return null;
+};
+
+// Trip codes and receipt ids end up in paths, so only allow the generated alphabets
+const receiptPath = (tripCode, receiptId) => {
+    if (!TRIP_CODE_PATTERN.test(tripCode || '') || !RECEIPT_ID_PATTERN.test(receiptId || '')) return null;
+    return path.join(RECEIPTS_DIR, tripCode, receiptId);
+};
+
+const receiptExists = (tripCode, receiptId) => {
+    const file = receiptPath(tripCode, receiptId);
+    return Boolean(file) && fs.existsSync(file);
+};
+
+const receiptType = (receiptId) => RECEIPT_TYPES[path.extname(receiptId).slice(1)];
+
+const isReceiptId = (receiptId) => typeof receiptId === 'string' && RECEIPT_ID_PATTERN.test(receiptId);
+
+// Every expense that can have receipts, including ones waiting for approval or in the trash
+const tripExpenses = (trip) => [
+    ...(trip.expenses || []),
+    ...(trip.pendingExpenses || []),
+    ...(trip.trash || []).filter(t => t.type === 'expense' && t.item).map(t => t.item)
+];
+
+// Ids of the receipts the trip's expenses refer to
+const usedReceipts = (trip) => [...new Set(tripExpenses(trip).flatMap(e => e.receipts || []))];
+
+// Receipts stored for a trip: [{ id, bytes, uploadedAt }]
+const listReceipts = (tripCode) => {
+    if (!TRIP_CODE_PATTERN.test(tripCode || '')) return [];
+    const dir = path.join(RECEIPTS_DIR, tripCode);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(isReceiptId).map(id => {
+        const stat = fs.statSync(path.join(dir, id));
+        return { id, bytes: stat.size, uploadedAt: stat.mtimeMs };
+    });
+};
+
+// Delete receipts no expense of the trip refers to: the `released` ones (e.g. from a rejected
+// expense) straight away, other uploads once they are UNLINKED_RECEIPT_MS old.
+// Returns the receipts that are left.
+const pruneReceipts = (trip, released = [], now = Date.now()) => {
+    const used = new Set(usedReceipts(trip));
+    return listReceipts(trip.tripCode).filter(receipt => {
+        if (used.has(receipt.id)) return true;
+        if (!released.includes(receipt.id) && now - receipt.uploadedAt < UNLINKED_RECEIPT_MS) return true;
+        fs.rmSync(receiptPath(trip.tripCode, receipt.id), { force: true });
+        return false;
+    });
+};
+
+// Error message if the trip has no room for another upload of `bytes`, or null
+const checkReceiptQuota = (trip, stored, bytes) => {
+    const used = new Set(usedReceipts(trip));
+    if (stored.length >= MAX_RECEIPTS_PER_TRIP) return `A trip can keep at most ${MAX_RECEIPTS_PER_TRIP} receipts`;
+    if (stored.filter(r => !used.has(r.id)).length >= MAX_UNLINKED_RECEIPTS) {
+        return 'Too many receipts are waiting to be added to an expense. Save your expenses first.';
+    }
+    const total = stored.reduce((sum, r) => sum + r.bytes, 0);
+    if (total + bytes > MAX_TRIP_RECEIPT_BYTES) {
+        return `This trip's receipts already take up ${Math.round(total / (1024 * 1024))} MB of the ${MAX_TRIP_RECEIPT_BYTES / (1024 * 1024)} MB allowed`;
+    }
+    return null;
+};
+
+// Contents of a stored receipt, or null if the file is gone
+const loadReceipt = (tripCode, receiptId) => {
+    const file = receiptPath(tripCode, receiptId);
+    return file && fs.existsSync(file) ? fs.readFileSync(file) : null;
+};
+
+const writeReceipt = (tripCode, receiptId, buffer) => {
+    const file = receiptPath(tripCode, receiptId);
+    if (!file) throw new Error(`Invalid receipt path: ${tripCode}/${receiptId}`);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, buffer);
+};
+
+// Store an uploaded image and return its id
+const saveReceipt = (tripCode, buffer, type) => {
+    const receiptId = `${Date.now().toString(36)}${crypto.randomBytes(6).toString('hex')}.${type}`;
+    writeReceipt(tripCode, receiptId, buffer);
+    return receiptId;
+};
+
+// Check the receipt ids on a submitted expense. Returns an error message or null.
+const validateReceipts = (tripCode, receipts) => {
+    if (receipts === undefined) return null;
+    if (!Array.isArray(receipts)) return 'Invalid receipts';
+    if (receipts.length > MAX_RECEIPTS_PER_EXPENSE) return `At most ${MAX_RECEIPTS_PER_EXPENSE} receipts per expense`;
+    if (receipts.some(id => !receiptExists(tripCode, id))) return 'Receipt not found - upload it again';
+    return null;
+};
+
+// Remove every receipt of a trip (when the trip or its expenses are wiped)
+const deleteTripReceipts = (tripCode) => {
+    if (!TRIP_CODE_PATTERN.test(tripCode || '')) return;
+    fs.rmSync(path.join(RECEIPTS_DIR, tripCode), { recursive: true, force: true });
+};
+
+module.exports = {
+    MAX_RECEIPT_BYTES,
+    MAX_RECEIPTS_PER_EXPENSE,
+    detectReceiptType,
+    receiptPath,
+    receiptType,
+    isReceiptId,
+    usedReceipts,
+    tripExpenses,
+    pruneReceipts,
+    checkReceiptQuota,
+    loadReceipt,
+    writeReceipt,
+    saveReceipt,
+    validateReceipts,
+    deleteTripReceipts
+};
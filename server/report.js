@@ -0,0 +1,173 @@
+// report.js - Printable PDF trip report: summary, members, expenses by category and settlement.
+//
+// Rendered with pdfkit's built-in Helvetica, so nothing is fetched or uploaded. Those fonts
+// have no glyphs for symbols like ₹ or ฿, so amounts are written with the currency code.
+const { PassThrough } = require('stream');
+const PDFDocument = require('pdfkit');
+const { DEFAULT_CURRENCY, CURRENCIES, formatMoney } = require('./money');
+const { getCategorySpending } = require('./categories');
+const { buildSettlementPlan } = require('./settlement');
+const { DEFAULT_TIME_ZONE, spentAt } = require('./daily');
+const { isAdminRole } = require('./roles');
+
+const MARGIN = 50;
+const ROW_HEIGHT = 18;
+const COLORS = { text: '#202124', muted: '#5f6368', line: '#dadce0', header: '#f1f3f4', accent: '#1a73e8', error: '#d93025' };
+
+// e.g. (150000, 'INR') -> "INR 1,500"
+const withCode = (minor, currency) => formatMoney(minor, currency).replace(CURRENCIES[currency].symbol, `${currency} `);
+
+// Start a new page if the next `height` points don't fit on this one
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+};
+
+const heading = (doc, text) => {
+    ensureSpace(doc, ROW_HEIGHT * 3);
+    doc.moveDown(1).font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(text, MARGIN, doc.y);
+    doc.moveDown(0.4);
+};
+
+// One table row. columns: [{ width, align }], cells: strings
+const tableRow = (doc, columns, cells, { bold = false, fill = null, color = COLORS.text } = {}) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    const width = columns.reduce((sum, c) => sum + c.width, 0);
+    if (fill) doc.rect(MARGIN, y, width, ROW_HEIGHT).fill(fill);
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(color);
+    let x = MARGIN;
+    columns.forEach((column, i) => {
+        doc.text(cells[i] || '', x + 4, y + 5, { width: column.width - 8, align: column.align || 'left', lineBreak: false, ellipsis: true });
+        x += column.width;
+    });
+
+    doc.moveTo(MARGIN, y + ROW_HEIGHT).lineTo(MARGIN + width, y + ROW_HEIGHT).lineWidth(0.5).strokeColor(COLORS.line).stroke();
+    doc.x = MARGIN;
+    doc.y = y + ROW_HEIGHT;
+};
+
+const table = (doc, columns, rows) => {
+    tableRow(doc, columns, columns.map(c => c.label), { bold: true, fill: COLORS.header });
+    rows.forEach(row => tableRow(doc, columns, row.cells || row, row.options));
+};
+
+// Write the report for a trip into `out` (e.g. an HTTP response)
+const writeTripReport = (trip, out, now = new Date()) => {
+    const base = trip.baseCurrency || DEFAULT_CURRENCY;
+    const timeZone = trip.timeZone || DEFAULT_TIME_ZONE;
+    const money = (minor) => withCode(minor, base);
+    const date = (when, options = {}) => new Date(when).toLocaleDateString('en-IN', {
+        timeZone, day: 'numeric', month: 'short', year: 'numeric', ...options
+    });
+    const members = trip.members || [];
+    const nameOf = (id) => {
+        if (id === 'pool' || id === 'all_members') return 'Pool';
+        return (members.find(m => m.id === id) || {}).name || 'Former member';
+    };
+
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `${trip.tripName} - Trip Report` } });
+    doc.pipe(out);
+
+    // Title
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.accent).text(trip.tripName || trip.tripCode);
+    const dates = trip.startDate && trip.endDate && trip.endDate !== trip.startDate
+        ? `${date(`${trip.startDate}T12:00:00Z`)} - ${date(`${trip.endDate}T12:00:00Z`)}`
+        : (trip.tripDate ? date(trip.tripDate) : '');
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+        .text([`Trip code ${trip.tripCode}`, dates, `Report generated ${date(now, { hour: '2-digit', minute: '2-digit' })}`]
+            .filter(Boolean).join('  |  '));
+
+    // Summary
+    const collected = members.reduce((sum, m) => sum + Math.min(m.actualContribution || 0, m.expectedContribution || 0), 0);
+    const spent = (trip.expenses || []).reduce((sum, e) => sum + (e.amount || 0), 0);
+    heading(doc, 'Summary');
+    const figure = { width: 120 };
+    table(doc, [{ ...figure, label: 'Budget' }, { ...figure, label: 'Collected' }, { ...figure, label: 'Spent' }, { ...figure, label: 'Remaining' }], [
+        { cells: [money(trip.budget), money(collected), money(spent), money(collected - spent)],
+            options: { color: collected - spent < 0 ? COLORS.error : COLORS.text } }
+    ]);
+
+    // Members
+    heading(doc, 'Members');
+    const amount = { width: 76, align: 'right' };
+    table(doc, [
+        { width: 115, label: 'Name' },
+        { ...amount, label: 'Expected' },
+        { ...amount, label: 'Paid' },
+        { ...amount, label: 'Share' },
+        { ...amount, label: 'Personal' },
+        { ...amount, label: 'Balance' }
+    ], members.map(m => [
+        isAdminRole(m.role) ? `${m.name} (${m.role})` : m.name,
+        money(m.expectedContribution),
+        money(m.actualContribution),
+        money(m.expenseShare),
+        money(m.personal),
+        money(m.balance)
+    ]));
+
+    // Expenses grouped by category, oldest first within each
+    heading(doc, 'Expenses by Category');
+    const byTime = (a, b) => new Date(spentAt(a) || 0) - new Date(spentAt(b) || 0);
+    const categories = getCategorySpending(trip).filter(c => (trip.expenses || []).some(e => e.category === c.id));
+    if (categories.length === 0) {
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No expenses recorded.');
+    }
+    const expenseColumns = [
+        { width: 80, label: 'Date' },
+        { width: 195, label: 'Expense' },
+        { width: 110, label: 'Paid by' },
+        { width: 110, align: 'right', label: 'Amount' }
+    ];
+    categories.forEach(c => {
+        ensureSpace(doc, ROW_HEIGHT * 3);
+        doc.moveDown(0.5).font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+            .text(`${c.name}  -  ${money(c.spent)}${c.budget ? ` of ${money(c.budget)}` : ''}`, MARGIN, doc.y);
+        doc.moveDown(0.2);
+        const rows = (trip.expenses || []).filter(e => e.category === c.id).sort(byTime).map(e => [
+            spentAt(e) ? date(spentAt(e)) : '',
+            e.currency && e.currency !== base ? `${e.title} (${withCode(e.originalAmount, e.currency)})` : e.title,
+            nameOf(e.paidBy),
+            money(e.amount)
+        ]);
+        table(doc, expenseColumns, rows);
+    });
+
+    // Settlement
+    heading(doc, 'Settlement');
+    const { transfers } = buildSettlementPlan(trip);
+    if (transfers.length === 0) {
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text('Everyone is settled up.');
+    } else {
+        const done = transfers.filter(t => t.done).length;
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+            .text(`${done} of ${transfers.length} transfers ticked as paid. Balances change once they are recorded as payments.`);
+        doc.moveDown(0.4);
+        table(doc, [
+            { width: 150, label: 'From' },
+            { width: 150, label: 'To' },
+            { width: 100, align: 'right', label: 'Amount' },
+            { width: 95, label: 'Status' }
+        ], transfers.map(t => [
+            nameOf(t.from),
+            nameOf(t.to),
+            money(t.amount),
+            t.done ? `Ticked${t.doneAt ? ` ${date(t.doneAt)}` : ''}` : 'Pending'
+        ]));
+    }
+
+    doc.end();
+};
+
+// The whole report as a Buffer, so a failure while building it can still be answered with an error
+const renderTripReport = (trip, now = new Date()) => new Promise((resolve, reject) => {
+    const chunks = [];
+    const out = new PassThrough();
+    out.on('data', chunk => chunks.push(chunk));
+    out.on('end', () => resolve(Buffer.concat(chunks)));
+    out.on('error', reject);
+    writeTripReport(trip, out, now);
+});
+
+module.exports = { writeTripReport, renderTripReport };
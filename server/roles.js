@@ -0,0 +1,47 @@
+// roles.js - Who may do what in a trip. Every API route that works on a trip declares the
+// roles allowed to call it (see authorize in server.js). Roles are stored on the members.
+//
+//   owner    - created the trip (or had it handed over): everything co-admins can do, plus
+//              promoting/demoting members, handing the trip over, the admin PIN and resets
+//   co-admin - approves requests, edits the trip, members and money
+//   member   - sees the trip, sends requests for approval and records their own payments
+//   viewer   - can only look
+const OWNER = 'owner';
+const CO_ADMIN = 'co-admin';
+const MEMBER = 'member';
+const VIEWER = 'viewer';
+
+const ROLES = [OWNER, CO_ADMIN, MEMBER, VIEWER];
+
+const ANY_MEMBER = [OWNER, CO_ADMIN, MEMBER, VIEWER];
+const PARTICIPANTS = [OWNER, CO_ADMIN, MEMBER];
+const ADMIN_ONLY = [OWNER, CO_ADMIN];
+const OWNER_ONLY = [OWNER];
+
+// Roles the owner can give to other members (there is only ever one owner)
+const ASSIGNABLE_ROLES = [CO_ADMIN, MEMBER, VIEWER];
+
+const isAdminRole = (role) => ADMIN_ONLY.includes(role);
+
+// Role of a member of the trip, or null if they aren't one
+const roleOf = (trip, member) => {
+    const stored = member && (trip.members || []).find(m => m.id === member.id);
+    if (!stored) return null;
+    return ROLES.includes(stored.role) ? stored.role : MEMBER;
+};
+
+const owner = (trip) => (trip.members || []).find(m => m.role === OWNER) || null;
+
+// The same 403 message for every route that a role may not use
+const forbiddenMessage = (roles) => {
+    if (roles.includes(VIEWER)) return 'Only members of this trip can do this';
+    if (roles.includes(MEMBER)) return 'Viewers can only look at this trip';
+    if (roles.includes(CO_ADMIN)) return 'Only the trip admins can do this';
+    return 'Only the trip owner can do this';
+};
+
+module.exports = {
+    OWNER, CO_ADMIN, MEMBER, VIEWER, ROLES, ASSIGNABLE_ROLES,
+    ANY_MEMBER, PARTICIPANTS, ADMIN_ONLY, OWNER_ONLY,
+    isAdminRole, roleOf, owner, forbiddenMessage
+};
@@ -1,4 +1,4 @@
-// server.js - Trip Budget Manager backend with Hybrid Storage (JSON + MongoDB)
+// server.js - Trip Budget Manager backend with per-trip storage (JSON + MongoDB)
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
@@ -6,29 +6,165 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const mongoose = require('mongoose');
-const Trip = require('./models/Trip');
+const { createStorage, VersionConflictError } = require('./storage');
+const { appendEntry, reverseEntry, recordExpense, reverseExpense, replayLedger, baseAmount } = require('./ledger');
+const { upgradeTrip, CURRENT_SCHEMA_VERSION } = require('./migrations');
+const { clone, recordAudit, trimAuditLog, mergeAuditLog, queryAudit } = require('./audit');
+const {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    isCurrency,
+    moneyFormat,
+    parseAmount,
+    formatMoney,
+    convertAmount,
+    splitAmount,
+    allocateAmount
+} = require('./money');
+const { normalizeSplit, validateSplit, getItemizedBreakdown, getExpenseShares } = require('./splits');
+const { buildSettlementPlan } = require('./settlement');
+const {
+    DEFAULT_CATEGORIES,
+    CATEGORY_WARNING_RATIO,
+    findCategory,
+    normalizeCategories,
+    validateCategories,
+    getCategorySpending
+} = require('./categories');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, isDayKey, buildDailyReport } = require('./daily');
+const {
+    MAX_RECEIPT_BYTES,
+    detectReceiptType,
+    receiptPath,
+    receiptType,
+    saveReceipt,
+    writeReceipt,
+    validateReceipts,
+    pruneReceipts,
+    checkReceiptQuota,
+    deleteTripReceipts
+} = require('./receipts');
+const { CSV_EXPORTS, buildCsv } = require('./csv');
+const { renderTripReport } = require('./report');
+const { planImport } = require('./importer');
+const { checkSecret, hashSecret, verifySecret, createSessionToken, readSessionToken } = require('./auth');
+const { lockedFor, recordFailure, recordSuccess, takeAction, lockoutMessage } = require('./attempts');
+const {
+    OWNER, CO_ADMIN, MEMBER, ASSIGNABLE_ROLES, ANY_MEMBER, PARTICIPANTS, ADMIN_ONLY, OWNER_ONLY,
+    isAdminRole, roleOf, owner, forbiddenMessage
+} = require('./roles');
+const {
+    parseInviteToken, checkInviteOptions, createInvite, findInvite, inviteStatus, describeInvite, INACTIVE_MESSAGES
+} = require('./invites');
+const { subscribe, publishTripChange, publishTripDeleted, markSeen, presenceOf } = require('./events');
+const { MAX_ARCHIVE_BYTES, buildArchive, readArchive, describeTrip } = require('./archive');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DATA_FILE = path.join(__dirname, 'data.json');
+const LEGACY_DATA_FILE = path.join(__dirname, 'data.json');
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/trip-budget-manager';
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'hybrid';
+
+const storage = createStorage({ backend: STORAGE_BACKEND });
+
+// Behind Render's proxy the client's address is in X-Forwarded-For (login lockouts are per IP)
+if (process.env.TRUST_PROXY || process.env.RENDER_EXTERNAL_URL) app.set('trust proxy', 1);
 
 app.use(cors());
 app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, '../client')));
 
+const withoutCredential = ({ credential, ...member }) => member;
+
+// Member as sent to clients: whether they can log in, but not how
+const publicMember = (member) => ({ ...withoutCredential(member), hasLogin: Boolean(member.credential) });
+
+// Expense as sent to clients, with the paise each member owes for it (and who had what on an
+// itemized bill), so the split and rounding rules only live in splits.js
+const withShares = (memberIds) => (expense) => ({
+    ...expense,
+    shares: getExpenseShares(expense, memberIds),
+    ...(expense.splitMode === 'items' ? { itemShares: getItemizedBreakdown(expense, memberIds) } : {})
+});
+
+// Trip as sent to clients - the audit log and invites have their own endpoints, and the
+// admin PIN and member credentials never leave the server. Presence comes from events.js.
+const publicTrip = ({ auditLog, invites, adminPinHash, ...trip }) => ({
+    ...trip,
+    hasAdminPin: Boolean(adminPinHash),
+    members: (trip.members || []).map(m => publicMember({ ...m, ...presenceOf(trip.tripCode, m.id) })),
+    expenses: (trip.expenses || []).map(withShares((trip.members || []).map(m => m.id))),
+    pendingMembers: (trip.pendingMembers || []).map(withoutCredential),
+    trash: (trip.trash || []).map(t => (t.type === 'member' && t.item ? { ...t, item: withoutCredential(t.item) } : t)),
+    money: moneyFormat(trip.baseCurrency || DEFAULT_CURRENCY),
+    currencies: CURRENCIES
+});
+
+// Send the trip version as an ETag with every API response that carries trip data
+app.use('/api', (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (body && body.data && body.data.tripCode) {
+            setTripETag(res, body.data);
+            body = { ...body, data: publicTrip(body.data) };
+        }
+        if (body && body.member) body = { ...body, member: withoutCredential(body.member) };
+        return json(body);
+    };
+    next();
+});
+
+// Session of the caller, from "Authorization: Bearer <token>". Links and <img> tags can't
+// send headers, so GET requests may pass ?token= instead.
+app.use('/api', (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : req.query.token;
+    req.session = readSessionToken(token);
+    next();
+});
+
 // MongoDB connection (non-blocking)
-let mongoConnected = false;
 mongoose.connect(MONGODB_URI).then(() => {
-    console.log('✅ Connected to MongoDB (backup storage)');
-    mongoConnected = true;
-    // Load from MongoDB on startup if JSON is empty
-    loadFromMongoDBOnStartup();
+    console.log('✅ Connected to MongoDB');
 }).catch(err => {
-    console.warn('⚠️  MongoDB connection failed (using JSON only):', err.message);
-    mongoConnected = false;
+    console.warn(`⚠️  MongoDB connection failed (storage: ${storage.name}):`, err.message);
 });
 
+// Shape of a trip with nothing in it
+const emptyTrip = () => ({
+    tripName: "",
+    tripCode: "",
+    budget: 0,
+    memberCount: 0,
+    tripDate: "",
+    startDate: "",
+    endDate: "",
+    dailyAllowance: 0,
+    timeZone: DEFAULT_TIME_ZONE,
+    adminPinHash: null,
+    baseCurrency: DEFAULT_CURRENCY,
+    exchangeRates: {},
+    categories: DEFAULT_CATEGORIES.map(c => ({ ...c })),
+    members: [],
+    expenses: [],
+    pendingExpenses: [],
+    pendingMembers: [],
+    pendingContributions: [],
+    pendingBudgetRequests: [],
+    pendingDeletions: [],
+    payments: [],
+    trash: [],
+    invites: [],
+    // Off: people without an invite link can't ask to join with the trip code
+    allowJoinRequests: false,
+    settlementChecks: {},
+    ledger: [],
+    schemaVersion: CURRENT_SCHEMA_VERSION
+});
+
+// Shape of the codes generateTripCode makes (invite tokens rely on it too)
+const TRIP_CODE_PATTERN = /^[A-Z0-9]{6}$/;
+
 // Helper to generate random 6-character trip code
 const generateTripCode = async () => {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -43,355 +179,819 @@ const generateTripCode = async () => {
             code += chars.charAt(Math.floor(Math.random() * chars.length));
         }
 
-        // Check uniqueness in JSON
-        const data = readData();
-        let jsonUnique = !data.tripCode || data.tripCode !== code;
-
-        // Also check MongoDB if connected
-        let mongoUnique = true;
-        if (mongoConnected) {
-            try {
-                const existingTrip = await Trip.findOne({ tripCode: code });
-                mongoUnique = !existingTrip;
-            } catch (err) {
-                console.warn('MongoDB uniqueness check failed:', err.message);
-            }
+        try {
+            isUnique = !(await storage.get(code));
+        } catch (err) {
+            console.warn('Trip code uniqueness check failed:', err.message);
         }
-
-        isUnique = jsonUnique && mongoUnique;
         attempts++;
     }
 
+    if (!isUnique) {
+        throw new Error('Could not generate a unique trip code');
+    }
+
     console.log(`Generated trip code: ${code} (attempts: ${attempts})`);
     return code;
 };
 
-// Read data from JSON file (PRIMARY STORAGE)
-const readData = () => {
-    if (!fs.existsSync(DATA_FILE)) {
-        return {
-            tripName: "",
-            tripCode: "",
-            budget: 0,
-            memberCount: 0,
-            tripDate: "",
-            adminPin: "",
-            members: [],
-            expenses: [],
-            pendingExpenses: [],
-            pendingMembers: [],
-            pendingContributions: [],
-            pendingBudgetRequests: [],
-            pendingDeletions: []
-        };
+// Move the old single-trip data.json into per-trip storage (runs once)
+const migrateLegacyDataFile = async () => {
+    if (!fs.existsSync(LEGACY_DATA_FILE)) return;
+
+    const legacy = JSON.parse(fs.readFileSync(LEGACY_DATA_FILE, 'utf8'));
+    if (legacy.tripCode && !(await storage.get(legacy.tripCode))) {
+        // schemaVersion 0 so the trip gets upgraded (ledger etc.) when first loaded
+        await storage.save({ ...emptyTrip(), schemaVersion: 0, ...legacy });
+        console.log(`📦 Migrated legacy data.json into trip ${legacy.tripCode}`);
     }
-    const raw = fs.readFileSync(DATA_FILE);
-    return JSON.parse(raw);
+    fs.renameSync(LEGACY_DATA_FILE, `${LEGACY_DATA_FILE}.migrated`);
 };
 
-// Write data to JSON file (PRIMARY STORAGE)
-const writeData = (data) => {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-    // Sync to MongoDB in background (non-blocking)
-    syncToMongoDB(data);
-};
+// Recalculate state: member totals and budget are derived from the ledger
+const recalculateState = (data) => {
+    if (!data.members) data.members = [];
+    if (!data.ledger) data.ledger = [];
 
-// Sync to MongoDB (BACKUP STORAGE - non-blocking)
-const syncToMongoDB = async (data) => {
-    if (!mongoConnected) return;
+    const state = replayLedger(data);
+    data.budget = state.budget;
 
-    try {
-        // Find existing trip or create new one
-        let trip = await Trip.findOne();
-        if (!trip) {
-            trip = new Trip(data);
-        } else {
-            // Update all fields
-            Object.assign(trip, data);
+    // Foreign-currency expenses follow the current exchange rates
+    [...(data.expenses || []), ...(data.pendingExpenses || [])].forEach(e => {
+        e.amount = baseAmount(data, e);
+    });
+
+    // Budget split in whole paise - the first members cover any remainder
+    const expectedShares = splitAmount(data.budget, data.members.length);
+
+    data.members.forEach((m, i) => {
+        if (!m.id) m.id = Date.now().toString() + Math.random().toString(36).substr(2, 5);
+
+        if (!m.customExpected) {
+            m.expectedContribution = expectedShares[i];
         }
-        await trip.save();
-        console.log('📦 Synced to MongoDB backup');
-    } catch (error) {
-        console.warn('⚠️  MongoDB sync failed:', error.message);
-    }
+
+        const totals = state.members[m.id];
+        m.actualContribution = totals.actualContribution;
+        m.personal = totals.personal;
+        m.reimbursed = totals.reimbursed;
+        m.expenseShare = totals.expenseShare;
+        m.paymentsSent = totals.paymentsSent;
+        m.paymentsReceived = totals.paymentsReceived;
+        m.balance = totals.balance;
+        m.remainingContribution = Math.max(m.expectedContribution - m.actualContribution, 0);
+    });
 };
 
-// Load from MongoDB on startup (if JSON is empty)
-const loadFromMongoDBOnStartup = async () => {
-    try {
-        const jsonData = readData();
-        // Only load from MongoDB if JSON is empty
-        if (!jsonData.tripName && !jsonData.tripCode) {
-            const trip = await Trip.findOne();
-            if (trip) {
-                console.log('📥 Loading data from MongoDB backup...');
-                const mongoData = trip.toObject();
-                delete mongoData._id;
-                delete mongoData.__v;
-                delete mongoData.createdAt;
-                delete mongoData.updatedAt;
-                writeData(mongoData);
-                console.log('✅ Data restored from MongoDB');
-            }
-        }
-    } catch (error) {
-        console.warn('⚠️  MongoDB load failed:', error.message);
-    }
+// Trip as it was loaded, so saveTrip can audit what the route changed
+const loadedSnapshots = new WeakMap();
+
+// Helper function to get trip by code
+const getTripByCode = async (tripCode) => {
+    if (!tripCode) return null;
+    const trip = await storage.get(tripCode);
+    if (!trip) return null;
+    if (upgradeTrip(trip)) recalculateState(trip);
+    loadedSnapshots.set(trip, clone(trip));
+    return trip;
 };
 
-// Recalculate state
-const recalculateState = (data) => {
-    if (!data.members) data.members = [];
-    const actualMemberCount = data.members.length;
+// Member making the request, from their session token
+const getActorId = (req) => (req.session ? req.session.memberId : null);
 
-    console.log('>>> recalculateState called');
-    console.log('>>> Budget:', data.budget);
-    console.log('>>> Member count:', actualMemberCount);
+// Member making the request, or null if their session is for another trip, they have left
+// or an admin has reset their login since
+const findCaller = (trip, req) => {
+    if (!req.session || req.session.tripCode !== trip.tripCode) return null;
+    const member = trip.members.find(m => m.id === req.session.memberId);
+    return member && (member.sessionGeneration || 0) === req.session.generation ? member : null;
+};
 
-    const expected = actualMemberCount > 0 ? data.budget / actualMemberCount : 0;
+// Session token for a member, valid until their login is reset
+const sessionFor = (trip, member) => createSessionToken(trip.tripCode, member.id, member.sessionGeneration || 0);
 
-    console.log('>>> Expected per member:', expected);
+// Give a member a PIN or passphrase hash. The time is kept so the audit log shows when a
+// login was set up (the hash itself is never logged).
+const setCredential = (member, credential) => {
+    member.credential = credential;
+    member.credentialSetAt = new Date().toISOString();
+};
 
-    // Initialize member stats
-    data.members.forEach(m => {
-        if (!m.id) m.id = Date.now().toString() + Math.random().toString(36).substr(2, 5);
+// Members log in by name, so names are unique in a trip, ignoring case
+const nameTaken = (trip, name, exceptId = null) => trip.members.some(m => m.id !== exceptId
+    && typeof m.name === 'string' && m.name.toLowerCase() === name.trim().toLowerCase());
 
-        if (!m.customExpected) {
-            m.expectedContribution = expected;
-        }
+const NOT_LOGGED_IN = 'Your session has expired. Please log in again.';
+const LOGIN_RESET = 'Your login was reset by a trip admin. Ask them for a new invite link.';
 
-        if (!m.customPersonal) {
-            m.personal = 0;
-        }
+// Who a PIN or passphrase attempt counts against (see attempts.js)
+const attemptKey = (req, tripCode) => ({ tripCode, ip: req.ip });
 
-        if (typeof m.reimbursed !== 'number') m.reimbursed = 0;
-        if (typeof m.actualContribution !== 'number') m.actualContribution = 0;
-    });
+// Answer 429 while the trip or the caller's IP is locked out. Returns true if it did.
+const rejectIfLockedOut = (req, res, tripCode) => {
+    const wait = lockedFor(attemptKey(req, tripCode));
+    if (!wait) return false;
+    res.set('Retry-After', String(Math.ceil(wait / 1000)));
+    res.status(429).json({ message: lockoutMessage(wait) });
+    return true;
+};
 
-    // Calculate individual expense shares for each member
-    data.members.forEach(m => {
-        m.expenseShare = 0; // Initialize expense share (what they owe)
-        if (!m.customPersonal) {
-            m.personal = 0; // Initialize personal (what they paid from pocket - needs reimbursement)
-        }
+// e.g. "POST /api/members/update"
+const describeRoute = (req) => `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+
+// Trip dates from the setup or edit form: tripDate is the start date-time, endDate the
+// last day. Returns an error message or null.
+const setTripDates = (trip, { tripDate, endDate, dailyAllowance, timeZone }) => {
+    const startDate = (tripDate || '').slice(0, 10);
+    const lastDay = endDate || startDate;
+    if (startDate && !isDayKey(startDate)) return 'Invalid start date';
+    if (lastDay && !isDayKey(lastDay)) return 'Invalid end date';
+    if (lastDay < startDate) return 'The trip cannot end before it starts';
+
+    const allowance = parseAmount(dailyAllowance) || 0;
+    if (allowance < 0) return 'Invalid daily allowance';
+    if (timeZone && !isValidTimeZone(timeZone)) return `Unknown time zone: ${timeZone}`;
+
+    trip.tripDate = tripDate;
+    trip.startDate = startDate;
+    trip.endDate = lastDay;
+    trip.dailyAllowance = allowance;
+    if (timeZone) trip.timeZone = timeZone;
+    return null;
+};
+
+// Record a budget change in the ledger if the total actually changed
+const changeBudget = (trip, newBudget, note) => {
+    const delta = newBudget - (trip.budget || 0);
+    if (delta === 0) return null;
+    return appendEntry(trip, { type: 'budget_change', amount: delta, budget: newBudget, note });
+};
+
+// Add an expense to the trip and the ledger
+const addExpense = (trip, expense) => {
+    trip.expenses.push(expense);
+    recordExpense(trip, expense);
+};
+
+const PAYMENT_METHODS = ['cash', 'upi', 'bank', 'card', 'other'];
+
+// Record a direct payment between two members in the trip and the ledger
+const addPayment = (trip, payment) => {
+    if (!trip.payments) trip.payments = [];
+    trip.payments.push(payment);
+    appendEntry(trip, {
+        type: 'payment',
+        paymentId: payment.id,
+        from: payment.from,
+        to: payment.to,
+        amount: payment.amount,
+        note: payment.note
     });
+};
 
-    data.expenses.forEach(e => {
-        const amount = parseFloat(e.amount) || 0;
+const removePayment = (trip, paymentId) => {
+    trip.payments = trip.payments.filter(p => p.id !== paymentId);
+    const entry = trip.ledger.find(e => e.type === 'payment' && e.paymentId === paymentId && !e.reverses
+        && !trip.ledger.some(r => r.reverses === e.id));
+    if (entry) reverseEntry(trip, entry.id, 'Payment deleted');
+};
 
-        // Track who paid for this expense (for reimbursement)
-        if (e.paidBy && e.paidBy !== 'pool') {
-            const payer = data.members.find(m => m.id === e.paidBy);
-            if (payer && !payer.customPersonal) {
-                payer.personal += amount; // They paid from pocket, need reimbursement
-            }
-        }
+const tripCurrency = (trip) => trip.baseCurrency || DEFAULT_CURRENCY;
 
-        // Determine which members to split this expense between (who owes)
-        let splitMembers = [];
-        if (e.splitBetween && Array.isArray(e.splitBetween) && e.splitBetween.length > 0) {
-            // New format: explicit splitBetween array
-            splitMembers = e.splitBetween;
-        } else if (e.paidBy) {
-            // Legacy format: convert paidBy to splitBetween
-            if (e.paidBy === 'all_members' || e.paidBy === 'pool') {
-                splitMembers = data.members.map(m => m.id);
-            } else {
-                splitMembers = [e.paidBy];
-            }
-        }
+// Error message if the trip can't take money in this currency yet, otherwise null
+const checkCurrency = (trip, currency) => {
+    if (!currency || currency === tripCurrency(trip)) return null;
+    if (!isCurrency(currency)) return `Unknown currency: ${currency}`;
+    if (!((trip.exchangeRates || {})[currency] > 0)) return `Ask the admin to set an exchange rate for ${currency} first`;
+    return null;
+};
 
-        // Split expense among selected members
-        if (splitMembers.length > 0) {
-            const sharePerMember = amount / splitMembers.length;
-            splitMembers.forEach(memberId => {
-                const member = data.members.find(m => m.id === memberId);
-                if (member) {
-                    member.expenseShare += sharePerMember;
-                }
-            });
-        }
-    });
+// Amount fields for money paid in `currency`: the amount in base currency and, for a
+// foreign currency, the original amount the ledger converts again when rates change
+const moneyFields = (trip, amount, currency) => {
+    if (!currency || currency === tripCurrency(trip)) return { amount };
+    return {
+        amount: convertAmount(amount, currency, tripCurrency(trip), trip.exchangeRates),
+        currency,
+        originalAmount: amount
+    };
+};
 
-    // Finalize member balances
-    data.members.forEach(m => {
-        const actual = m.actualContribution || 0;
-        m.remainingContribution = Math.max(m.expectedContribution - actual, 0);
+// Currencies the trip's money was recorded in - their exchange rates can't be removed
+const currenciesInUse = (trip) => {
+    const records = [
+        ...(trip.ledger || []),
+        ...(trip.ledger || []).map(e => e.expense || {}),
+        ...(trip.expenses || []),
+        ...(trip.pendingExpenses || []),
+        ...(trip.pendingContributions || []),
+        ...(trip.trash || []).map(t => t.item)
+    ];
+    return new Set(records.map(r => r.currency).filter(Boolean));
+};
 
-        const netPersonal = Math.max(m.personal - (m.reimbursed || 0), 0);
+// When an expense was spent as an ISO string (now if not given), or null if it isn't a date
+const parseSpentAt = (value) => {
+    const date = value ? new Date(value) : new Date();
+    return isNaN(date.getTime()) ? null : date.toISOString();
+};
 
-        if (!m.customBalance) {
-            const balance = actual + netPersonal - m.expenseShare;
-            m.balance = Math.round(balance * 100) / 100;
+// Check a submitted expense's amount and split. Returns an error message or null.
+const prepareExpense = (trip, expense) => {
+    const { currency } = expense;
+    const amount = parseAmount(expense.amount);
+    if (amount === null || amount <= 0) return 'Invalid amount';
+    const badCurrency = checkCurrency(trip, currency);
+    if (badCurrency) return badCurrency;
+    if (!findCategory(trip, expense.category)) return 'Choose one of the trip\'s categories';
+    const spentOn = parseSpentAt(expense.spentAt || expense.timestamp);
+    if (!spentOn) return 'Invalid spent-on date';
+
+    const badReceipts = validateReceipts(trip.tripCode, expense.receipts);
+    if (badReceipts) return badReceipts;
+
+    expense.spentAt = spentOn;
+    if (!expense.timestamp) expense.timestamp = new Date().toISOString();
+    // Worked out for every response (see withShares), never stored
+    delete expense.shares;
+    delete expense.itemShares;
+
+    delete expense.currency;
+    delete expense.originalAmount;
+    Object.assign(expense, moneyFields(trip, amount, currency));
+    normalizeSplit(expense);
+    return validateSplit(expense, trip.members.map(m => m.id));
+};
+
+// Remove an expense from the trip and reverse it in the ledger
+const removeExpense = (trip, expenseId) => {
+    trip.expenses = trip.expenses.filter(e => e.id !== expenseId);
+    reverseExpense(trip, expenseId, 'Expense deleted');
+};
+
+// Replace an expense with an edited copy and re-record it in the ledger
+const updateExpense = (trip, expense, note) => {
+    trip.expenses = trip.expenses.map(e => (e.id === expense.id ? expense : e));
+    reverseExpense(trip, expense.id, note);
+    recordExpense(trip, expense, note);
+};
+
+// Keep a deleted expense or member in the trip's trash so it can be restored
+const moveToTrash = (trip, type, item, req, extra = {}) => {
+    if (!trip.trash) trip.trash = [];
+    const entry = {
+        id: Date.now().toString() + Math.random().toString(36).substr(2, 5),
+        type,
+        item,
+        deletedAt: new Date().toISOString(),
+        deletedBy: getActorId(req),
+        ...extra
+    };
+    trip.trash.push(entry);
+    return entry;
+};
+
+const findInTrash = (trip, type, itemId) => (trip.trash || []).find(t => t.type === type && t.item.id === itemId);
+
+const removeFromTrash = (trip, trashId) => {
+    trip.trash = trip.trash.filter(t => t.id !== trashId);
+};
+
+// Soft-delete a member: take them out of expense splits (remembering their part) and move them to the trash
+const trashMember = (trip, memberIdx, req) => {
+    const member = trip.members[memberIdx];
+    const splits = [];
+
+    trip.expenses.forEach(e => {
+        if (Array.isArray(e.splitBetween) && e.splitBetween.includes(member.id)) {
+            const { [member.id]: value, ...otherDetails } = e.splitDetails || {};
+            const items = (e.items || []).map((item, i) => (item.members.includes(member.id) ? i : -1)).filter(i => i !== -1);
+            splits.push({ expenseId: e.id, value, items });
+
+            const updated = { ...e, splitBetween: e.splitBetween.filter(id => id !== member.id) };
+            if (e.splitDetails) updated.splitDetails = otherDetails;
+            if (e.items) updated.items = e.items.map(item => ({ ...item, members: item.members.filter(id => id !== member.id) }));
+            updateExpense(trip, updated, `${member.name} removed from split`);
         }
     });
 
-    console.log('>>> After recalc, members:', data.members.map(m => ({ name: m.name, expected: m.expectedContribution })));
-    console.log('>>> Total expected:', data.members.reduce((sum, m) => sum + m.expectedContribution, 0));
+    trip.members.splice(memberIdx, 1);
+    return moveToTrash(trip, 'member', member, req, { splits });
 };
 
-// Helper function to get trip by code (MongoDB or fallback to data.json)
-const getTripByCode = async (tripCode) => {
-    if (!tripCode) {
-        // Fallback to data.json for backward compatibility
-        return readData();
-    }
+// Version the client last saw, from an If-Match header (null when absent or "*")
+const parseIfMatch = (req) => {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return null;
+    const version = parseInt(header.replace(/^W\//, '').replace(/"/g, ''), 10);
+    return isNaN(version) ? null : version;
+};
 
-    if (mongoConnected) {
-        const trip = await Trip.findOne({ tripCode });
-        return trip;
+// Helper function to save trip. Bumps the version and refuses to overwrite
+// changes made since the trip was loaded (or since the client's If-Match).
+// Open event streams hear about the change once it is stored.
+const saveTrip = async (trip, req = null) => {
+    const loadedVersion = trip.version || 0;
+
+    const clientVersion = req ? parseIfMatch(req) : null;
+    if (clientVersion !== null && clientVersion !== loadedVersion) {
+        throw new VersionConflictError(await storage.get(trip.tripCode));
     }
 
-    // If MongoDB not connected, check data.json
-    const data = readData();
-    if (data.tripCode === tripCode) {
-        return data;
+    trip.version = loadedVersion + 1;
+    const entry = req
+        ? recordAudit(trip, loadedSnapshots.get(trip) || {}, { actorId: getActorId(req), route: describeRoute(req) })
+        : null;
+    // Older entries go to the audit history first - if the save then fails they are only
+    // stored twice, which reading the log copes with
+    const olderEntries = trimAuditLog(trip);
+
+    try {
+        if (olderEntries.length > 0) await storage.appendAuditHistory(trip.tripCode, olderEntries);
+        await storage.save(trip, { expectedVersion: loadedVersion });
+    } catch (error) {
+        trip.version = loadedVersion;
+        trip.auditLog = [...olderEntries, ...trip.auditLog];
+        if (req) trip.auditLog.pop();
+        throw error;
     }
+    loadedSnapshots.set(trip, clone(trip));
+    publishTripChange(trip, entry);
+    return trip;
+};
 
-    return null;
+// The trip's audit log including the entries moved out of the trip document
+const fullAuditLog = async (trip) => mergeAuditLog(await storage.getAuditHistory(trip.tripCode), trip.auditLog);
+
+// Trip version as an ETag, e.g. "12"
+const setTripETag = (res, trip) => {
+    if (trip && trip.tripCode) res.set('ETag', `"${trip.version || 0}"`);
 };
 
-// Helper function to save trip (MongoDB and data.json)
-const saveTrip = async (trip) => {
-    if (mongoConnected && trip._id) {
-        // It's a Mongoose document
-        await trip.save();
+// Error response for a route: stale writes get 409 with the current trip, anything else 500
+const sendRouteError = (res, error, body = { message: 'Server error' }) => {
+    if (error instanceof VersionConflictError) {
+        const current = error.currentTrip;
+        setTripETag(res, current);
+        return res.status(409).json({
+            message: 'This trip was changed by someone else. Review the latest data and try again.',
+            data: current,
+            tripCode: current ? current.tripCode : undefined
+        });
     }
+    res.status(500).json(body);
+};
+
+// Route guard: loads the trip (from :tripCode or the body's tripCode) and lets the call
+// through only if the caller's session gives them one of `roles` in it. The trip, the
+// caller and their role are left on req for the route.
+const authorize = (roles) => async (req, res, next) => {
+    try {
+        const trip = await getTripByCode(req.params.tripCode || req.body.tripCode);
+        if (!trip) return res.status(404).json({ message: 'Trip not found' });
 
-    // Also save to data.json for backward compatibility
-    const tripData = trip.toObject ? trip.toObject() : trip;
-    writeData(tripData);
+        if (!req.session) return res.status(401).json({ message: NOT_LOGGED_IN });
+        const caller = findCaller(trip, req);
+        if (!caller && req.session.tripCode === trip.tripCode && trip.members.some(m => m.id === req.session.memberId)) {
+            return res.status(401).json({ message: LOGIN_RESET });
+        }
+        const role = roleOf(trip, caller);
+        if (!role || !roles.includes(role)) {
+            return res.status(403).json({ message: role ? forbiddenMessage(roles) : 'You are not a member of this trip' });
+        }
 
-    return trip;
+        req.trip = trip;
+        req.caller = caller;
+        req.role = role;
+        next();
+    } catch (error) {
+        sendRouteError(res, error);
+    }
 };
 
+// For routes that also work without a trip (e.g. creating one): guard only when a trip is named
+const authorizeIfTrip = (roles) => (req, res, next) => (
+    req.params.tripCode || req.body.tripCode ? authorize(roles)(req, res, next) : next()
+);
+
 // ---------- API Endpoints ---------- //
 
 // Get trip data by tripCode
-app.get('/api/trip/:tripCode?', async (req, res) => {
+app.get('/api/trip/:tripCode?', authorizeIfTrip(ANY_MEMBER), async (req, res) => {
+    try {
+        // No tripCode (e.g. keep-alive ping or logged-out client) - return an empty trip
+        if (!req.params.tripCode) {
+            return res.json(emptyTrip());
+        }
+
+        const { trip } = req;
+        setTripETag(res, trip);
+        res.json(publicTrip(trip));
+    } catch (error) {
+        console.error('Error fetching trip:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Replay the trip's ledger up to a point in time (?at=ISO date, default now)
+app.get('/api/trip/:tripCode/ledger', authorize(ANY_MEMBER), async (req, res) => {
     try {
         const { tripCode } = req.params;
+        const { at } = req.query;
 
-        // If no tripCode provided, try to get from data.json (backward compatibility)
-        if (!tripCode) {
-            const data = readData();
-            return res.json(data);
+        if (at && isNaN(new Date(at).getTime())) {
+            return res.status(400).json({ message: 'Invalid date for "at"' });
         }
 
-        // Query MongoDB for specific trip
-        const trip = await Trip.findOne({ tripCode });
+        const { trip } = req;
 
-        if (!trip) {
-            return res.status(404).json({ message: 'Trip not found' });
+        const state = replayLedger(trip, { until: at || null });
+        const currency = tripCurrency(trip);
+        const members = trip.members.map(m => {
+            const { balanceAdjustment, ...memberTotals } = state.members[m.id];
+            return { id: m.id, name: m.name, ...memberTotals, formattedBalance: formatMoney(memberTotals.balance, currency) };
+        });
+        const totals = {
+            collected: members.reduce((sum, m) => sum + m.actualContribution, 0),
+            spent: state.expenses.reduce((sum, e) => sum + (e.amount || 0), 0)
+        };
+
+        res.json({
+            tripCode,
+            at: at ? new Date(at).toISOString() : new Date().toISOString(),
+            budget: state.budget,
+            totals,
+            formatted: {
+                budget: formatMoney(state.budget, currency),
+                collected: formatMoney(totals.collected, currency),
+                spent: formatMoney(totals.spent, currency)
+            },
+            members,
+            expenses: state.expenses,
+            entries: state.entries
+        });
+    } catch (error) {
+        console.error('Error replaying ledger:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Audit log, newest first. Filters: ?actor=&entity=&entityId=&route=&since=&until=&limit=
+app.get('/api/trip/:tripCode/audit', authorize(ANY_MEMBER), async (req, res) => {
+    try {
+        const { trip } = req;
+
+        const { since, until } = req.query;
+        if ((since && isNaN(new Date(since).getTime())) || (until && isNaN(new Date(until).getTime()))) {
+            return res.status(400).json({ message: 'Invalid date filter' });
         }
 
-        res.json(trip);
+        const entries = queryAudit(await fullAuditLog(trip), req.query);
+        res.json({ tripCode: trip.tripCode, count: entries.length, entries });
     } catch (error) {
-        console.error('Error fetching trip:', error);
+        console.error('Error reading audit log:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Who pays whom to settle up, as a checklist
+app.get('/api/trip/:tripCode/settlement-plan', authorize(ANY_MEMBER), async (req, res) => {
+    try {
+        const { trip } = req;
+
+        const { balances, transfers } = buildSettlementPlan(trip);
+        const name = (id) => (trip.members.find(m => m.id === id) || {}).name;
+
+        setTripETag(res, trip);
+        res.json({
+            tripCode: trip.tripCode,
+            poolHolder: owner(trip) ? owner(trip).id : null,
+            settled: transfers.every(t => t.done),
+            balances: balances.map(b => ({ ...b, formattedNet: formatMoney(b.net, tripCurrency(trip)) })),
+            transfers: transfers.map(t => ({
+                ...t,
+                fromName: name(t.from),
+                toName: name(t.to),
+                formattedAmount: formatMoney(t.amount, tripCurrency(trip))
+            }))
+        });
+    } catch (error) {
+        console.error('Error building settlement plan:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
+// Tick a transfer in the settlement plan on or off. A tick is only a note that the money
+// changed hands - balances only move once the transfer is recorded as a payment.
+app.post('/api/trip/:tripCode/settlement-plan/check', authorize(PARTICIPANTS), async (req, res) => {
+    try {
+        const { transferId, done } = req.body;
+        const { trip, caller, role } = req;
+
+        const { transfers } = buildSettlementPlan(trip);
+        const transfer = transfers.find(t => t.id === transferId);
+        if (!transfer) {
+            return res.status(404).json({ message: 'This transfer is no longer part of the plan' });
+        }
+        if (!isAdminRole(role) && caller.id !== transfer.from && caller.id !== transfer.to) {
+            return res.status(403).json({ message: 'Only the payer, the receiver or an admin can tick this transfer' });
+        }
+
+        // Ticks for transfers that dropped out of the plan (balances changed) are discarded
+        const checks = {};
+        transfers.filter(t => t.done && t.id !== transferId).forEach(t => {
+            checks[t.id] = { doneAt: t.doneAt, doneBy: t.doneBy };
+        });
+        if (done) {
+            checks[transferId] = { doneAt: new Date().toISOString(), doneBy: getActorId(req) };
+        }
+        trip.settlementChecks = checks;
+
+        await saveTrip(trip, req);
+        res.json({
+            message: done ? 'Ticked as paid - record it as a payment to update the balances' : 'Tick removed',
+            data: trip,
+            tripCode: trip.tripCode
+        });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Spending per day against the daily plan, with the burn rate and projected trip total
+app.get('/api/trip/:tripCode/daily', authorize(ANY_MEMBER), async (req, res) => {
+    try {
+        const { trip } = req;
+
+        const { days, summary } = buildDailyReport(trip);
+        const format = (amount) => formatMoney(amount, tripCurrency(trip));
+
+        setTripETag(res, trip);
+        res.json({
+            tripCode: trip.tripCode,
+            days,
+            summary,
+            formatted: {
+                spent: format(summary.spent),
+                plannedToDate: format(summary.plannedToDate),
+                plannedTotal: format(summary.plannedTotal),
+                averageDaily: format(summary.averageDaily),
+                projectedTotal: format(summary.projectedTotal),
+                projectedDifference: format(summary.projectedDifference)
+            }
+        });
+    } catch (error) {
+        console.error('Error building daily report:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Replace the trip's expense categories (Admin only). Categories still used by an
+// expense can't be removed.
+app.post('/api/trip/:tripCode/categories', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { trip } = req;
+
+        const categories = normalizeCategories(req.body.categories);
+        const invalid = validateCategories(categories);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const inUse = [...trip.expenses, ...trip.pendingExpenses]
+            .map(e => e.category)
+            .filter(id => !categories.some(c => c.id === id));
+        if (inUse.length > 0) {
+            const name = (findCategory(trip, inUse[0]) || { name: inUse[0] }).name;
+            return res.status(400).json({ message: `${name} still has expenses - move or delete them first` });
+        }
+
+        trip.categories = categories;
+        await saveTrip(trip, req);
+        res.json({ message: 'Categories updated', data: trip, tripCode: trip.tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Spending per category against its budget cap
+app.get('/api/trip/:tripCode/category-spending', authorize(ANY_MEMBER), async (req, res) => {
+    try {
+        const { trip } = req;
+
+        const currency = tripCurrency(trip);
+        setTripETag(res, trip);
+        res.json({
+            tripCode: trip.tripCode,
+            warningRatio: CATEGORY_WARNING_RATIO,
+            categories: getCategorySpending(trip).map(c => ({
+                ...c,
+                formattedSpent: formatMoney(c.spent, currency),
+                formattedBudget: c.budget ? formatMoney(c.budget, currency) : null
+            }))
+        });
+    } catch (error) {
+        console.error('Error reading category spending:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Replace the trip's exchange rate table (Admin only).
+// rates: { THB: 2.35 } means one baht is worth 2.35 in the trip's base currency.
+app.post('/api/trip/:tripCode/exchange-rates', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { trip } = req;
+
+        const rates = {};
+        for (const [code, value] of Object.entries(req.body.rates || {})) {
+            const rate = Number(value);
+            if (!isCurrency(code)) return res.status(400).json({ message: `Unknown currency: ${code}` });
+            if (code === tripCurrency(trip)) continue;
+            if (!Number.isFinite(rate) || rate <= 0) return res.status(400).json({ message: `Invalid rate for ${code}` });
+            rates[code] = rate;
+        }
+
+        const missing = [...currenciesInUse(trip)].filter(code => code !== tripCurrency(trip) && !rates[code]);
+        if (missing.length > 0) {
+            return res.status(400).json({ message: `Amounts are recorded in ${missing.join(', ')} - keep a rate for them` });
+        }
+
+        trip.exchangeRates = rates;
+        recalculateState(trip);
+        await saveTrip(trip, req);
+        res.json({ message: 'Exchange rates updated', data: trip, tripCode: trip.tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
 // Create or update trip details (setup)
-app.post('/api/trip', async (req, res) => {
+app.post('/api/trip', authorizeIfTrip(ADMIN_ONLY), async (req, res) => {
     try {
-        const { tripName, budget, memberCount, tripDate, adminPin, clearData, tripCode } = req.body;
+        const { tripName, budget, memberCount, adminPin, adminName, clearData, tripCode, baseCurrency } = req.body;
 
-        console.log('>>> Setup Trip:', { tripName, adminPin, tripCode, clearData });
+        console.log('>>> Setup Trip:', { tripName, tripCode, clearData });
 
         // If tripCode is provided, update existing trip
         if (tripCode && !clearData) {
-            const trip = await Trip.findOne({ tripCode });
-            if (!trip) {
-                return res.status(404).json({ message: 'Trip not found' });
+            const { trip } = req;
+
+            if (baseCurrency && baseCurrency !== tripCurrency(trip)) {
+                if (!isCurrency(baseCurrency)) return res.status(400).json({ message: `Unknown currency: ${baseCurrency}` });
+                if (trip.ledger.some(e => e.type !== 'budget_change')) {
+                    return res.status(400).json({ message: 'The base currency can only be changed before any money is recorded' });
+                }
+                trip.baseCurrency = baseCurrency;
+                delete trip.exchangeRates[baseCurrency];
             }
 
+            const badDates = setTripDates(trip, req.body);
+            if (badDates) return res.status(400).json({ message: badDates });
+
             trip.tripName = tripName;
-            trip.budget = parseFloat(budget) || 0;
+            changeBudget(trip, parseAmount(budget) || 0, 'Trip budget edited');
             trip.memberCount = parseInt(memberCount) || 0;
-            trip.tripDate = tripDate;
-            if (adminPin) trip.adminPin = adminPin;
+            if (req.body.allowJoinRequests !== undefined) trip.allowJoinRequests = Boolean(req.body.allowJoinRequests);
 
             recalculateState(trip);
-            await trip.save();
-
-            // Also update data.json for backward compatibility
-            writeData(trip.toObject());
+            await saveTrip(trip, req);
 
             return res.json({ message: 'Trip updated', data: trip });
         }
 
-        // Create NEW trip
+        // Create NEW trip - the creator is its first member and owner
+        if (baseCurrency && !isCurrency(baseCurrency)) {
+            return res.status(400).json({ message: `Unknown currency: ${baseCurrency}` });
+        }
+        if (typeof adminName !== 'string' || !adminName.trim()) {
+            return res.status(400).json({ message: 'Enter your name to create a trip' });
+        }
+        // The owner logs back in with the admin PIN, so a trip can't be created without one
+        const badPin = checkSecret(adminPin);
+        if (badPin) return res.status(400).json({ message: badPin });
         const newTripCode = await generateTripCode();
         console.log('>>> New trip code generated:', newTripCode);
 
-        const newTrip = new Trip({
+        const newTrip = {
+            ...emptyTrip(),
             tripCode: newTripCode,
             tripName,
-            budget: parseFloat(budget) || 0,
             memberCount: parseInt(memberCount) || 0,
-            tripDate,
-            adminPin: adminPin || '',
-            members: [],
-            expenses: [],
-            pendingExpenses: [],
-            pendingMembers: [],
-            pendingContributions: [],
-            pendingBudgetRequests: [],
-            pendingDeletions: []
+            adminPinHash: hashSecret(adminPin),
+            baseCurrency: baseCurrency || DEFAULT_CURRENCY,
+            members: [{ id: Date.now().toString(), name: adminName.trim(), role: OWNER }]
+        };
+        const badDates = setTripDates(newTrip, req.body);
+        if (badDates) return res.status(400).json({ message: badDates });
+        changeBudget(newTrip, parseAmount(budget) || 0, 'Initial budget');
+        recalculateState(newTrip);
+
+        await saveTrip(newTrip, req);
+        console.log(`>>> New trip created in ${storage.name} storage:`, newTripCode);
+
+        const admin = newTrip.members[0];
+        res.json({
+            message: 'Trip created',
+            member: admin,
+            token: sessionFor(newTrip, admin),
+            data: newTrip,
+            tripCode: newTripCode
         });
+    } catch (error) {
+        console.error('Error creating/updating trip:', error);
+        sendRouteError(res, error, { message: 'Server error', error: error.message });
+    }
+});
 
-        await newTrip.save();
-        console.log('>>> New trip created in MongoDB:', newTripCode);
+// Change the admin PIN. The current PIN is required (wrong guesses count towards a lockout,
+// like logins), unless the trip never had one.
+app.post('/api/trip/:tripCode/admin-pin', authorize(OWNER_ONLY), async (req, res) => {
+    try {
+        const { trip } = req;
+        const { currentPin, newPin } = req.body;
+
+        if (trip.adminPinHash) {
+            if (rejectIfLockedOut(req, res, trip.tripCode)) return;
+            if (!verifySecret(currentPin, trip.adminPinHash)) {
+                console.log(`🔒 Wrong current admin PIN on trip ${trip.tripCode}`);
+                recordFailure(attemptKey(req, trip.tripCode));
+                return res.status(400).json({ message: 'The current admin PIN is wrong' });
+            }
+            recordSuccess(attemptKey(req, trip.tripCode));
+        }
 
-        // Also write to data.json for backward compatibility
-        writeData(newTrip.toObject());
+        const invalid = checkSecret(newPin);
+        if (invalid) return res.status(400).json({ message: invalid });
 
-        res.json({ message: 'Trip created', data: newTrip, tripCode: newTripCode });
+        trip.adminPinHash = hashSecret(newPin);
+        await saveTrip(trip, req);
+        console.log(`🔑 Admin PIN changed on trip ${trip.tripCode}`);
+
+        res.json({ message: 'Admin PIN changed', data: trip, tripCode: trip.tripCode });
     } catch (error) {
-        console.error('Error creating/updating trip:', error);
-        res.status(500).json({ message: 'Server error', error: error.message });
+        sendRouteError(res, error);
     }
 });
 
-// Join trip
+// Join or log in. Members prove who they are with their PIN or passphrase (the owner with
+// the admin PIN). Members without one - added by an admin, imported or from before logins
+// existed - can't be claimed here by whoever knows their name: they get an invite link for
+// their slot from an admin. New names can only ask to join if the trip allows join requests.
+// Answers with a session token.
 app.post('/api/join', async (req, res) => {
     try {
-        const { code, name, pin } = req.body;
-
-        console.log('>>> Join Request:', { code, name, pin });
-
+        const { code, name, secret } = req.body;
+        if (rejectIfLockedOut(req, res, code)) return;
         const trip = await getTripByCode(code);
 
         if (!trip) {
+            // Guessing trip codes counts against the IP
+            recordFailure(attemptKey(req, null));
             return res.status(400).json({ message: 'Invalid Trip Code' });
         }
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ message: 'Enter your name' });
+        }
+        const tripCode = trip.tripCode;
 
-        console.log('>>> Stored Admin PIN:', trip.adminPin);
-
-        const isAdmin = trip.members.length > 0 && trip.members[0].name.toLowerCase() === name.toLowerCase();
-        console.log('>>> Is Admin?', isAdmin);
+        const existing = trip.members.find(m => m.name.toLowerCase() === name.trim().toLowerCase());
+        if (existing) {
+            const usesAdminPin = roleOf(trip, existing) === OWNER && Boolean(trip.adminPinHash);
+            if (!usesAdminPin && !existing.credential) {
+                return res.status(403).json({
+                    status: 'needs_invite',
+                    message: `${existing.name} has no PIN or passphrase yet. Ask the trip admin for an invite link to set one up.`
+                });
+            }
+            if (!secret) {
+                return res.json(usesAdminPin
+                    ? { status: 'require_pin', message: 'Admin PIN required' }
+                    : { status: 'require_secret', message: 'Enter your PIN or passphrase' });
+            }
 
-        if (isAdmin) {
-            if (!trip.adminPin) {
-                console.log('>>> No Admin PIN stored (Legacy)');
-            } else if (!pin) {
-                console.log('>>> PIN required but not provided');
-                return res.json({ status: 'require_pin', message: 'Admin PIN required' });
-            } else if (pin !== trip.adminPin) {
-                console.log('>>> Invalid PIN provided');
-                return res.status(401).json({ message: 'Invalid Admin PIN' });
-            } else {
-                console.log('>>> PIN verified successfully');
+            const valid = verifySecret(secret, usesAdminPin ? trip.adminPinHash : existing.credential);
+            if (!valid) {
+                console.log(`🔒 Failed login as ${existing.name} on trip ${tripCode}`);
+                recordFailure(attemptKey(req, tripCode));
+                return res.status(401).json({ message: usesAdminPin ? 'Invalid Admin PIN' : 'Wrong PIN or passphrase' });
             }
+            recordSuccess(attemptKey(req, tripCode));
+
+            return res.json({
+                message: 'Welcome back!',
+                member: existing,
+                token: sessionFor(trip, existing),
+                data: trip,
+                tripCode
+            });
         }
 
-        const existing = trip.members.find(m => m.name.toLowerCase() === name.toLowerCase());
-        if (existing) {
-            return res.json({ message: 'Welcome back!', member: existing, data: trip, tripCode: code });
-        }
+        const adminName = owner(trip) ? owner(trip).name : 'Admin';
 
-        const adminName = trip.members.length > 0 ? trip.members[0].name : 'Admin';
+        if (!trip.allowJoinRequests) {
+            return res.status(403).json({
+                status: 'invite_only',
+                message: `This trip only takes new members through invite links. Ask ${adminName} for one.`
+            });
+        }
 
         if (trip.members.length >= trip.memberCount) {
             return res.status(400).json({
@@ -399,118 +999,379 @@ app.post('/api/join', async (req, res) => {
             });
         }
 
-        const pending = trip.pendingMembers.find(m => m.name.toLowerCase() === name.toLowerCase());
+        const pending = trip.pendingMembers.find(m => m.name.toLowerCase() === name.trim().toLowerCase());
         if (pending) {
-            return res.json({ message: 'Join request already pending', status: 'pending', tripCode: code });
+            return res.json({ message: 'Join request already pending', status: 'pending', tripCode });
         }
 
-        const request = { id: Date.now().toString(), name, status: 'pending' };
+        // New members choose their credential with the request, so they can log in once approved
+        if (!secret) {
+            return res.json({ status: 'set_secret', message: 'Choose a PIN or passphrase to log in with once you are approved' });
+        }
+        const invalid = checkSecret(secret);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const request = { id: Date.now().toString(), name: name.trim(), status: 'pending', credential: hashSecret(secret) };
         trip.pendingMembers.push(request);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
 
-        res.json({ message: 'Join request sent to Admin', status: 'pending', data: trip, tripCode: code });
+        res.json({ message: 'Join request sent to Admin', status: 'pending', data: trip, tripCode });
     } catch (error) {
         console.error('Error joining trip:', error);
-        res.status(500).json({ message: 'Server error', error: error.message });
+        sendRouteError(res, error, { message: 'Server error', error: error.message });
     }
 });
 
-// Admin adds a member directly
-app.post('/api/members', async (req, res) => {
+// Invite links (admins). Newest first; the tokens themselves are only in the create response.
+app.get('/api/trip/:tripCode/invites', authorize(ADMIN_ONLY), async (req, res) => {
     try {
-        const { tripCode, ...newMember } = req.body;
-        const trip = await getTripByCode(tripCode);
+        const { trip } = req;
+        setTripETag(res, trip);
+        res.json({ tripCode: trip.tripCode, invites: (trip.invites || []).map(i => describeInvite(trip, i)).reverse() });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
 
-        if (!trip) {
-            return res.status(404).json({ message: 'Trip not found' });
+// Create an invite: { expiresInHours, maxUses, memberId } - memberId reserves an existing
+// member (a member or viewer) for whoever opens the link, e.g. someone the admin added by name
+app.post('/api/trip/:tripCode/invites', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { trip, caller } = req;
+        const options = {
+            expiresInHours: req.body.expiresInHours === undefined ? undefined : Number(req.body.expiresInHours),
+            maxUses: req.body.maxUses === undefined ? undefined : Number(req.body.maxUses),
+            memberId: req.body.memberId || null
+        };
+        const invalid = checkInviteOptions(trip, options);
+        if (invalid) return res.status(400).json({ message: invalid });
+        if (options.memberId && isAdminRole(roleOf(trip, { id: options.memberId }))) {
+            return res.status(400).json({ message: 'Admins log in with their own PIN or passphrase - invites are for members and viewers' });
+        }
+        const slot = trip.members.find(m => m.id === options.memberId);
+        if (slot && slot.credential) {
+            return res.status(409).json({ message: `${slot.name} already has a login. Reset it first to send them a new invite.` });
+        }
+
+        const { invite, token } = createInvite(trip, options, caller.id);
+        await saveTrip(trip, req);
+        console.log(`🎟️ Invite created on trip ${trip.tripCode} by ${caller.name}`);
+
+        res.json({ message: 'Invite created', invite: describeInvite(trip, invite), token, data: trip, tripCode: trip.tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+app.delete('/api/trip/:tripCode/invites/:inviteId', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { trip } = req;
+        const invite = (trip.invites || []).find(i => i.id === req.params.inviteId);
+        if (!invite) return res.status(404).json({ message: 'Invite not found' });
+
+        if (!invite.revokedAt) {
+            invite.revokedAt = new Date().toISOString();
+            await saveTrip(trip, req);
+        }
+        res.json({ message: 'Invite revoked', invite: describeInvite(trip, invite), data: trip, tripCode: trip.tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Trip and invite for the :token in the URL. Answers the request itself and returns null if
+// the token is unknown (that counts as a failed login), no longer usable, or the IP is locked out.
+const loadInvite = async (req, res) => {
+    if (rejectIfLockedOut(req, res, null)) return null;
+
+    const parsed = parseInviteToken(req.params.token);
+    const trip = parsed ? await getTripByCode(parsed.tripCode) : null;
+    const invite = trip ? findInvite(trip, parsed.secret) : null;
+    if (!invite) {
+        recordFailure(attemptKey(req, null));
+        res.status(404).json({ message: 'This invite link is not valid' });
+        return null;
+    }
+
+    const status = inviteStatus(invite);
+    if (status !== 'active') {
+        res.status(410).json({ message: INACTIVE_MESSAGES[status] });
+        return null;
+    }
+    if (invite.memberId && !trip.members.some(m => m.id === invite.memberId)) {
+        res.status(410).json({ message: 'The member this invite was for is no longer in the trip' });
+        return null;
+    }
+    return { trip, invite };
+};
+
+// What an invite link is for, to fill in the join form
+app.get('/api/invites/:token', async (req, res) => {
+    try {
+        const loaded = await loadInvite(req, res);
+        if (!loaded) return;
+        const { trip, invite } = loaded;
+
+        const member = trip.members.find(m => m.id === invite.memberId);
+        res.json({
+            invite: {
+                tripCode: trip.tripCode,
+                tripName: trip.tripName,
+                memberName: member ? member.name : null,
+                expiresAt: invite.expiresAt
+            }
+        });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Join with an invite: { name, secret }. No approval needed - an admin sent the link. With a
+// member slot the name is the slot's, and the secret becomes that member's credential - unless
+// they set one up in the meantime: only an admin resetting their login replaces it.
+app.post('/api/invites/:token/redeem', async (req, res) => {
+    try {
+        const loaded = await loadInvite(req, res);
+        if (!loaded) return;
+        const { trip, invite } = loaded;
+        const { name, secret } = req.body;
+
+        const invalid = checkSecret(secret);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        let member = trip.members.find(m => m.id === invite.memberId);
+        if (member && member.credential) {
+            return res.status(409).json({ message: `${member.name} already has a login. Ask the trip admin to reset it if you can't log in.` });
+        }
+        if (member) {
+            setCredential(member, hashSecret(secret));
+        } else {
+            if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ message: 'Enter your name' });
+            if (nameTaken(trip, name)) {
+                return res.status(400).json({ message: 'Someone in this trip already has that name. Choose another one.' });
+            }
+            if (trip.members.length >= trip.memberCount) {
+                return res.status(400).json({ message: 'This trip is full. Ask the trip admin to allow more members.' });
+            }
+            member = { id: Date.now().toString(), name: name.trim(), role: MEMBER };
+            setCredential(member, hashSecret(secret));
+            trip.members.push(member);
+            trip.pendingMembers = trip.pendingMembers.filter(m => m.name.toLowerCase() !== member.name.toLowerCase());
+            recalculateState(trip);
         }
 
-        if (!newMember.id) newMember.id = Date.now().toString();
+        invite.uses += 1;
+        await saveTrip(trip, req);
+        console.log(`🎟️ ${member.name} joined trip ${trip.tripCode} with an invite`);
+
+        res.json({
+            message: `Welcome to ${trip.tripName}!`,
+            member,
+            token: sessionFor(trip, member),
+            data: trip,
+            tripCode: trip.tripCode
+        });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Admin adds a member directly: { name, expectedContribution, customExpected } plus an optional
+// first contribution { actualContribution, currency }, which goes in the ledger. Everything
+// else about the member - id, role, balances, login - is the server's to set.
+app.post('/api/members', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { tripCode, name, expectedContribution, customExpected, actualContribution, currency } = req.body;
+        const { trip } = req;
+        if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ message: 'Enter the member\'s name' });
+        if (nameTaken(trip, name)) return res.status(400).json({ message: 'Someone in this trip already has that name' });
+        const badCurrency = checkCurrency(trip, currency);
+        if (badCurrency) return res.status(400).json({ message: badCurrency });
+
+        const newMember = {
+            id: Date.now().toString(),
+            name: name.trim(),
+            role: MEMBER,
+            expectedContribution: parseAmount(expectedContribution) || 0,
+            customExpected: Boolean(customExpected)
+        };
         trip.members.push(newMember);
+
+        const initial = parseAmount(actualContribution) || 0;
+        if (initial > 0) {
+            appendEntry(trip, {
+                type: 'contribution',
+                memberId: newMember.id,
+                ...moneyFields(trip, initial, currency),
+                note: 'Initial contribution'
+            });
+        }
+
         recalculateState(trip);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: 'Member added', member: newMember, data: trip, tripCode });
     } catch (error) {
         console.error('Error adding member:', error);
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Update member details (Admin only)
-app.post('/api/members/update', async (req, res) => {
+app.post('/api/members/update', authorize(ADMIN_ONLY), async (req, res) => {
     try {
-        const { tripCode, id, name, expectedContribution, actualContribution, personal, balance, customExpected, customPersonal, customBalance } = req.body;
-        const trip = await getTripByCode(tripCode);
-
-        if (!trip) {
-            return res.status(404).json({ message: 'Trip not found' });
-        }
+        const { tripCode, id, name, expectedContribution, actualContribution, personal, balance, customExpected } = req.body;
+        const { trip } = req;
 
         const member = trip.members.find(m => m.id === id);
-
-        console.log('>>> Member Update Request:', { id, name, expectedContribution, actualContribution, personal, balance, customExpected, customPersonal, customBalance });
-
         if (!member) return res.status(404).json({ message: 'Member not found' });
 
-        console.log('>>> Before update - Member name:', member.name);
-
-        if (name && name.trim()) {
+        if (typeof name === 'string' && name.trim()) {
+            if (nameTaken(trip, name, member.id)) return res.status(400).json({ message: 'Someone in this trip already has that name' });
             member.name = name.trim();
-            console.log('>>> After update - Member name:', member.name);
         }
 
         if (customExpected) {
             member.customExpected = true;
-            member.expectedContribution = parseFloat(expectedContribution) || 0;
+            member.expectedContribution = parseAmount(expectedContribution) || 0;
         } else {
             member.customExpected = false;
         }
 
-        if (customPersonal) {
-            member.customPersonal = true;
-            member.personal = parseFloat(personal) || 0;
-        } else {
-            member.customPersonal = false;
+        // Edited amounts are recorded as ledger adjustments of the difference.
+        // Balance goes last so it lands on the requested value after the others.
+        const previousBalance = member.balance;
+        const adjust = (field, requested, current) => {
+            const amount = parseAmount(requested);
+            if (amount === null) return;
+            const diff = amount - current;
+            if (diff !== 0) {
+                appendEntry(trip, { type: 'adjustment', memberId: member.id, field, amount: diff, note: 'Edited by admin' });
+                recalculateState(trip);
+            }
+        };
+        adjust('contribution', actualContribution, member.actualContribution);
+        adjust('personal', personal, member.personal);
+        if (parseAmount(balance) !== previousBalance) {
+            adjust('balance', balance, member.balance);
         }
 
-        if (customBalance) {
-            member.customBalance = true;
-            member.balance = parseFloat(balance) || 0;
-        } else {
-            member.customBalance = false;
+        recalculateState(trip);
+        await saveTrip(trip, req);
+        res.json({ message: 'Member updated successfully', member, data: trip, tripCode });
+    } catch (error) {
+        console.error('Error updating member:', error);
+        sendRouteError(res, error);
+    }
+});
+
+// Promote or demote a member. There is only one owner - see /owner to hand the trip over.
+app.post('/api/trip/:tripCode/members/:memberId/role', authorize(OWNER_ONLY), async (req, res) => {
+    try {
+        const { trip, caller } = req;
+        const { role } = req.body;
+
+        if (!ASSIGNABLE_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+        }
+        const member = trip.members.find(m => m.id === req.params.memberId);
+        if (!member) return res.status(404).json({ message: 'Member not found' });
+        if (member.id === caller.id) {
+            return res.status(400).json({ message: 'Hand the trip over to someone else to change your own role' });
         }
 
-        member.actualContribution = parseFloat(actualContribution) || 0;
+        member.role = role;
+        await saveTrip(trip, req);
+        console.log(`👤 ${member.name} is now ${role} on trip ${trip.tripCode}`);
 
-        recalculateState(trip);
-        await saveTrip(trip);
+        res.json({ message: `${member.name} is now a ${role}`, member, data: trip, tripCode: trip.tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
 
-        console.log('>>> Final member data:', member);
-        res.json({ message: 'Member updated successfully', member, data: trip, tripCode });
+// Hand the trip over to another member. The old owner stays on as a co-admin.
+app.post('/api/trip/:tripCode/owner', authorize(OWNER_ONLY), async (req, res) => {
+    try {
+        const { trip, caller } = req;
+        const { memberId } = req.body;
+
+        const member = trip.members.find(m => m.id === memberId);
+        if (!member) return res.status(404).json({ message: 'Member not found' });
+        if (member.id === caller.id) return res.status(400).json({ message: 'You already own this trip' });
+        // Owners can't be sent invites or have their login reset, so the new one must already have a login
+        if (!member.credential) {
+            return res.status(409).json({ message: `${member.name} has no PIN or passphrase yet. Send them an invite link and hand the trip over once they have joined.` });
+        }
+
+        // The admin PIN is how the owner logs in, so the old owner keeps it as their own
+        // credential and the new owner goes on using theirs until they set a PIN
+        if (trip.adminPinHash) {
+            setCredential(caller, trip.adminPinHash);
+            trip.adminPinHash = null;
+        }
+        caller.role = CO_ADMIN;
+        member.role = OWNER;
+        await saveTrip(trip, req);
+        console.log(`👑 Trip ${trip.tripCode} handed over from ${caller.name} to ${member.name}`);
+
+        res.json({ message: `${member.name} now owns this trip`, data: trip, tripCode: trip.tripCode });
     } catch (error) {
-        console.error('Error updating member:', error);
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
+    }
+});
+
+// Reset a member's login: their PIN or passphrase is cleared, every session they have ends and
+// the answer carries an invite link for their slot, so the admin can hand it to the right person.
+// The owner's login is the admin PIN; co-admins' logins are reset by the owner only.
+app.post('/api/trip/:tripCode/members/:memberId/reset-login', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { trip, caller } = req;
+
+        const member = trip.members.find(m => m.id === req.params.memberId);
+        if (!member) return res.status(404).json({ message: 'Member not found' });
+        const role = roleOf(trip, member);
+        if (role === OWNER) return res.status(400).json({ message: 'The owner logs in with the admin PIN - change it instead' });
+        if (role === CO_ADMIN && req.role !== OWNER) return res.status(403).json({ message: 'Only the trip owner can reset a co-admin\'s login' });
+
+        delete member.credential;
+        member.credentialSetAt = null;
+        member.sessionGeneration = (member.sessionGeneration || 0) + 1;
+        // Links already handed out for this slot would let someone else claim it
+        const now = new Date().toISOString();
+        (trip.invites || []).filter(i => i.memberId === member.id && !i.revokedAt).forEach(i => {
+            i.revokedAt = now;
+        });
+        const { invite, token } = createInvite(trip, { memberId: member.id }, caller.id);
+        await saveTrip(trip, req);
+        console.log(`🔑 Login of ${member.name} on trip ${trip.tripCode} reset by ${caller.name}`);
+
+        res.json({
+            message: `${member.name}'s login was reset`,
+            invite: describeInvite(trip, invite),
+            token,
+            data: trip,
+            tripCode: trip.tripCode
+        });
+    } catch (error) {
+        sendRouteError(res, error);
     }
 });
 
-// Update member activity (lastActive timestamp)
-app.post('/api/members/activity', async (req, res) => {
+// Live updates for the trip as Server-Sent Events (see events.js). EventSource can't send
+// headers, so the session token comes as ?token=.
+app.get('/api/trip/:tripCode/events', authorize(ANY_MEMBER), (req, res) => {
+    const { trip, caller } = req;
+    subscribe(req, res, trip.tripCode, caller.id, caller.sessionGeneration || 0, trip.version || 0);
+});
+
+// Update member activity (lastActive timestamp) - the fallback when there is no event stream
+app.post('/api/members/activity', authorize(ANY_MEMBER), async (req, res) => {
     try {
-        const { tripCode, memberId } = req.body;
-        const trip = await getTripByCode(tripCode);
+        const { trip, caller } = req;
 
-        if (!trip) {
-            return res.status(404).json({ message: 'Trip not found' });
-        }
-
-        const member = trip.members.find(m => m.id === memberId);
-
-        if (member) {
-            member.lastActive = new Date().toISOString();
-            await saveTrip(trip);
-        }
-
-        res.json({ success: true, tripCode });
+        // Presence is kept in memory (see events.js) - pings don't rewrite the trip
+        markSeen(trip.tripCode, caller.id);
+        res.json({ success: true, tripCode: trip.tripCode });
     } catch (error) {
         console.error('Error updating activity:', error);
         res.status(500).json({ message: 'Server error' });
@@ -518,23 +1379,18 @@ app.post('/api/members/activity', async (req, res) => {
 });
 
 // Member contribution update
-app.post('/api/members/contribute', async (req, res) => {
+app.post('/api/members/contribute', authorize(ADMIN_ONLY), async (req, res) => {
     try {
-        const { tripCode, id, amount, isAdmin } = req.body;
-        const trip = await getTripByCode(tripCode);
-
-        if (!trip) {
-            return res.status(404).json({ message: 'Trip not found' });
-        }
+        const { tripCode, id, amount, currency } = req.body;
+        const { trip } = req;
 
         const member = trip.members.find(m => m.id === id);
         if (!member) return res.status(404).json({ message: 'Member not found' });
-        const contrib = parseFloat(amount);
-        if (isNaN(contrib)) return res.status(400).json({ message: 'Invalid amount' });
-
-        if (!isAdmin) {
-            return res.status(403).json({ message: 'Members must request contribution approval' });
-        }
+        const paid = parseAmount(amount);
+        if (paid === null) return res.status(400).json({ message: 'Invalid amount' });
+        const badCurrency = checkCurrency(trip, currency);
+        if (badCurrency) return res.status(400).json({ message: badCurrency });
+        const contrib = moneyFields(trip, paid, currency).amount;
 
         // Calculate remaining contribution needed
         const remaining = Math.max(member.expectedContribution - (member.actualContribution || 0), 0);
@@ -542,51 +1398,62 @@ app.post('/api/members/contribute', async (req, res) => {
         // If paying more than remaining, add excess to personal
         if (contrib > remaining && remaining > 0) {
             const excess = contrib - remaining;
-            member.actualContribution = (member.actualContribution || 0) + remaining;
-            member.personal = (member.personal || 0) + excess;
-            console.log(`>>> Overpayment detected: ₹${excess} added to personal expenses`);
+            // Foreign payments are split the same way, so both parts keep their original amount
+            const [paidRemaining, paidExcess] = allocateAmount(paid, [remaining, excess]);
+            appendEntry(trip, { type: 'contribution', memberId: member.id, ...moneyFields(trip, paidRemaining, currency) });
+            appendEntry(trip, {
+                type: 'adjustment',
+                memberId: member.id,
+                field: 'personal',
+                ...moneyFields(trip, paidExcess, currency),
+                note: 'Overpayment'
+            });
+            console.log(`>>> Overpayment detected: ${formatMoney(excess, tripCurrency(trip))} added to personal expenses`);
         } else {
-            member.actualContribution = (member.actualContribution || 0) + contrib;
+            appendEntry(trip, { type: 'contribution', memberId: member.id, ...moneyFields(trip, paid, currency) });
         }
 
         recalculateState(trip);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: 'Contribution updated', member, data: trip, tripCode });
     } catch (error) {
         console.error('Error updating contribution:', error);
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Member requests to add contribution
-app.post('/api/contributions/request', async (req, res) => {
+app.post('/api/contributions/request', authorize(PARTICIPANTS), async (req, res) => {
     try {
-        const { tripCode, memberId, amount, memberName } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { tripCode, amount, currency } = req.body;
+        const { trip, caller } = req;
+
+        const contribution = parseAmount(amount);
+        if (contribution === null || contribution <= 0) return res.status(400).json({ message: 'Invalid amount' });
+        const badCurrency = checkCurrency(trip, currency);
+        if (badCurrency) return res.status(400).json({ message: badCurrency });
 
         const request = {
             id: Date.now().toString(),
-            memberId,
-            memberName,
-            amount: parseFloat(amount),
+            memberId: caller.id,
+            memberName: caller.name,
+            ...moneyFields(trip, contribution, currency),
             timestamp: new Date().toISOString()
         };
 
         trip.pendingContributions.push(request);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: 'Contribution request sent for approval', data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Admin approves or rejects contribution request
-app.post('/api/contributions/approve', async (req, res) => {
+app.post('/api/contributions/approve', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { tripCode, id, action } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
         const requestIndex = trip.pendingContributions.findIndex(r => r.id === id);
         if (requestIndex === -1) return res.status(404).json({ message: 'Request not found' });
@@ -596,229 +1463,558 @@ app.post('/api/contributions/approve', async (req, res) => {
         if (action === 'approve') {
             const member = trip.members.find(m => m.id === request.memberId);
             if (member) {
-                member.actualContribution = (member.actualContribution || 0) + request.amount;
+                const paid = request.currency ? request.originalAmount : request.amount;
+                appendEntry(trip, {
+                    type: 'contribution',
+                    memberId: member.id,
+                    ...moneyFields(trip, paid, request.currency),
+                    note: 'Approved request'
+                });
                 recalculateState(trip);
             }
         }
 
         trip.pendingContributions.splice(requestIndex, 1);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: `Contribution ${action}d`, data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Settle/Reimburse a member's personal expenses
-app.post('/api/members/reimburse', async (req, res) => {
+app.post('/api/members/reimburse', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { tripCode, id, amount } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
         const member = trip.members.find(m => m.id === id);
         if (!member) return res.status(404).json({ message: 'Member not found' });
 
-        const reimburseAmount = parseFloat(amount);
-        if (isNaN(reimburseAmount) || reimburseAmount <= 0) {
+        const reimburseAmount = parseAmount(amount);
+        if (reimburseAmount === null || reimburseAmount <= 0) {
             return res.status(400).json({ message: 'Invalid amount' });
         }
 
-        member.reimbursed = (member.reimbursed || 0) + reimburseAmount;
+        appendEntry(trip, { type: 'reimbursement', memberId: member.id, amount: reimburseAmount });
         recalculateState(trip);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: 'Member reimbursed', member, data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Refund a member's overpaid contribution
-app.post('/api/members/refund', async (req, res) => {
+app.post('/api/members/refund', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { tripCode, id, amount } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
         const member = trip.members.find(m => m.id === id);
         if (!member) return res.status(404).json({ message: 'Member not found' });
 
-        const refundAmount = parseFloat(amount);
-        if (isNaN(refundAmount) || refundAmount <= 0) {
+        const refundAmount = parseAmount(amount);
+        if (refundAmount === null || refundAmount <= 0) {
             return res.status(400).json({ message: 'Invalid amount' });
         }
 
-        member.actualContribution = (member.actualContribution || 0) - refundAmount;
+        appendEntry(trip, { type: 'refund', memberId: member.id, amount: refundAmount });
         recalculateState(trip);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: 'Member refunded', member, data: trip, tripCode });
     } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Spreadsheet download: ?type=expenses (default), members or payments
+app.get('/api/trip/:tripCode/export.csv', authorize(ANY_MEMBER), async (req, res) => {
+    try {
+        const { tripCode } = req.params;
+        const type = req.query.type || 'expenses';
+        if (!CSV_EXPORTS.includes(type)) {
+            return res.status(400).json({ message: `Export type must be one of: ${CSV_EXPORTS.join(', ')}` });
+        }
+
+        const { trip } = req;
+
+        const fileName = `${(trip.tripName || trip.tripCode).replace(/[^A-Za-z0-9]+/g, '-')}-${type}.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(buildCsv(trip, type));
+    } catch (error) {
+        console.error('Error exporting CSV:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Printable PDF report of the trip
+app.get('/api/trip/:tripCode/report.pdf', authorize(ANY_MEMBER), async (req, res) => {
+    try {
+        const { trip } = req;
+
+        const pdf = await renderTripReport(trip);
+        const fileName = `${(trip.tripName || trip.tripCode).replace(/[^A-Za-z0-9]+/g, '-')}-report.pdf`;
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error building PDF report:', error);
+        // Too late for an error response once the file has started
+        if (res.headersSent) return res.destroy(error);
+        sendRouteError(res, error);
+    }
+});
+
+// Uploads that aren't JSON (images, CSV files), with a JSON error when they are too big
+const readUpload = (parser, tooLarge) => (req, res, next) => parser(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === 'entity.too.large') return res.status(413).json({ message: tooLarge });
+    res.status(400).json({ message: 'Could not read the upload' });
+});
+
+const readReceipt = readUpload(
+    express.raw({ type: () => true, limit: MAX_RECEIPT_BYTES }),
+    `Receipts can be at most ${MAX_RECEIPT_BYTES / (1024 * 1024)} MB`
+);
+const readCsv = readUpload(express.text({ type: () => true, limit: '2mb' }), 'CSV files can be at most 2 MB');
+const readBackup = readUpload(
+    express.text({ type: () => true, limit: MAX_ARCHIVE_BYTES }),
+    `Backups can be at most ${MAX_ARCHIVE_BYTES / (1024 * 1024)} MB`
+);
+
+// Upload a receipt image. The returned id goes in the expense's receipts list - uploads no
+// expense refers to within the hour are deleted.
+app.post('/api/trip/:tripCode/receipts', authorize(PARTICIPANTS), readReceipt, async (req, res) => {
+    try {
+        const { tripCode } = req.params;
+        const { trip } = req;
+
+        const type = detectReceiptType(req.body);
+        if (!type) return res.status(415).json({ message: 'Receipts must be JPEG, PNG or WebP images' });
+
+        const full = checkReceiptQuota(trip, pruneReceipts(trip), req.body.length);
+        if (full) return res.status(413).json({ message: full });
+
+        const receiptId = saveReceipt(trip.tripCode, req.body, type);
+        console.log(`🧾 Receipt ${receiptId} uploaded to trip ${trip.tripCode} (${req.body.length} bytes)`);
+        res.json({ message: 'Receipt uploaded', receiptId });
+    } catch (error) {
+        console.error('Error uploading receipt:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// A receipt image, for members of the trip only
+app.get('/api/trip/:tripCode/receipts/:receiptId', authorize(ANY_MEMBER), async (req, res) => {
+    try {
+        const { tripCode, receiptId } = req.params;
+        const { trip } = req;
+
+        const file = receiptPath(trip.tripCode, receiptId);
+        if (!file || !fs.existsSync(file)) return res.status(404).json({ message: 'Receipt not found' });
+
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.type(receiptType(receiptId));
+        res.sendFile(file);
+    } catch (error) {
+        console.error('Error sending receipt:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Full backup of the trip (admin only), to restore later or move to another server
+app.get('/api/trip/:tripCode/archive', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { trip } = req;
+
+        const date = new Date().toISOString().slice(0, 10);
+        const fileName = `${(trip.tripName || trip.tripCode).replace(/[^A-Za-z0-9]+/g, '-')}-backup-${date}.json`;
+        res.set('Content-Type', 'application/json; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        const archive = buildArchive({ ...trip, auditLog: await fullAuditLog(trip) });
+        res.send(JSON.stringify(archive, null, 2));
+        console.log(`📦 Backup of trip ${trip.tripCode} downloaded`);
+    } catch (error) {
+        console.error('Error building backup:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
+// Backups carry no secrets (see archive.js). When one replaces a trip, members who are in both
+// keep their logins and sessions, the admin PIN stays - even if the backup names another owner,
+// so whoever owns the trip can still log in - and the trip's invite links stay as they are.
+const keepLogins = (trip, existing) => {
+    trip.members.forEach(member => {
+        const before = existing.members.find(m => m.id === member.id);
+        if (!before) return;
+        ['credential', 'credentialSetAt', 'sessionGeneration'].forEach(field => {
+            if (before[field] === undefined) delete member[field];
+            else member[field] = before[field];
+        });
+    });
+    trip.adminPinHash = existing.adminPinHash || null;
+    trip.invites = existing.invites || [];
+};
+
+// Restore a backup. Without ?tripCode= it becomes a new trip under a freshly generated code
+// (a few per hour per IP). With it, it replaces that trip - only with ?replace=true, by its
+// owner, and If-Match must name the version they were shown - otherwise 409 describing both trips.
+app.post('/api/restore', readBackup, async (req, res) => {
+    try {
+        const replacing = req.query.tripCode !== undefined;
+        const targetCode = replacing ? String(req.query.tripCode).toUpperCase() : null;
+        if (replacing && !TRIP_CODE_PATTERN.test(targetCode)) return res.status(400).json({ message: 'Invalid trip code' });
+
+        const existing = replacing ? await getTripByCode(targetCode) : null;
+        if (replacing && !existing) return res.status(404).json({ message: 'Trip not found' });
+        if (replacing && !req.session) return res.status(401).json({ message: NOT_LOGGED_IN });
+
+        let archive = req.body;
+        if (typeof archive === 'string') {
+            try {
+                archive = JSON.parse(archive);
+            } catch (err) {
+                return res.status(400).json({ message: 'The backup file is not valid JSON' });
+            }
+        }
+
+        const { error, trip: restored, receipts, missingReceipts } = readArchive(archive);
+        if (error) return res.status(400).json({ message: error });
+
+        if (existing) {
+            const conflict = {
+                existing: describeTrip(existing),
+                backup: describeTrip(restored),
+                sameTrip: restored.tripCode === targetCode,
+                newerChanges: restored.tripCode === targetCode && (existing.version || 0) > (restored.version || 0)
+            };
+            setTripETag(res, existing);
+            if (req.query.replace !== 'true') {
+                return res.status(409).json({ message: `Trip ${targetCode} already exists on this server`, ...conflict });
+            }
+            if (roleOf(existing, findCaller(existing, req)) !== OWNER) {
+                return res.status(403).json({ message: forbiddenMessage(OWNER_ONLY) });
+            }
+            if (parseIfMatch(req) !== (existing.version || 0)) {
+                return res.status(409).json({ message: `Trip ${targetCode} has changed since you checked it. Review it and try again.`, ...conflict });
+            }
+        } else {
+            const wait = takeAction('restore', req.ip);
+            if (wait > 0) {
+                res.set('Retry-After', String(Math.ceil(wait / 1000)));
+                const minutes = Math.ceil(wait / 60000);
+                return res.status(429).json({ message: `Too many backups restored from here. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.` });
+            }
+        }
+
+        const tripCode = existing ? targetCode : await generateTripCode();
+        const trip = { ...emptyTrip(), ...restored, tripCode, version: existing ? existing.version || 0 : 0 };
+        if (existing) keepLogins(trip, existing);
+        recalculateState(trip);
+        recordAudit(trip, clone(trip), { actorId: getActorId(req), route: describeRoute(req) });
+        await saveTrip(trip);
+
+        deleteTripReceipts(tripCode);
+        Object.entries(receipts).forEach(([id, buffer]) => writeReceipt(tripCode, id, buffer));
+
+        console.log(`📦 Restored trip ${tripCode} from a backup of ${restored.tripCode}${existing ? ' (replaced)' : ''}`);
+        const message = `Trip restored as ${tripCode}`
+            + (missingReceipts > 0 ? ` (${missingReceipts} receipt${missingReceipts === 1 ? ' was' : 's were'} missing from the backup)` : '');
+        // Nobody has a login to a new trip yet, and a backup naming another owner leaves the one
+        // restoring it without theirs - either way they carry on as the trip's owner
+        const tripOwner = owner(trip);
+        if (existing) {
+            const ownerChanged = Boolean(tripOwner) && tripOwner.id !== (owner(existing) || {}).id;
+            return res.json({
+                message,
+                replaced: true,
+                ...(ownerChanged && { member: tripOwner, token: sessionFor(trip, tripOwner) }),
+                data: trip,
+                tripCode
+            });
+        }
+
+        res.json({
+            message,
+            replaced: false,
+            member: tripOwner,
+            token: tripOwner ? sessionFor(trip, tripOwner) : null,
+            data: trip,
+            tripCode
+        });
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        sendRouteError(res, error);
+    }
+});
+
+// Import expenses from a CSV file (a spreadsheet or a Splitwise export). Without ?commit=true
+// it only returns the preview; with it the valid rows are added and rows with errors skipped.
+app.post('/api/trip/:tripCode/import', authorize(ADMIN_ONLY), readCsv, async (req, res) => {
+    try {
+        const commit = req.query.commit === 'true';
+        const { trip } = req;
+
+        const plan = planImport(trip, req.body);
+        if (plan.error) return res.status(400).json({ message: plan.error });
+
+        // New members join first so rows can be checked exactly like expenses entered by hand
+        const newIds = new Set(plan.newMembers.map(m => m.id));
+        plan.newMembers.forEach(m => trip.members.push({ ...m, role: MEMBER }));
+        plan.rows.filter(row => row.errors.length === 0 && row.kind === 'expense').forEach(row => {
+            const invalid = prepareExpense(trip, row.record);
+            if (invalid) row.errors.push(invalid);
+        });
+
+        const valid = plan.rows.filter(row => row.errors.length === 0);
+        const used = new Set(valid.flatMap(row => [row.record.paidBy, row.record.from, row.record.to, ...(row.record.splitBetween || [])]));
+        trip.members = trip.members.filter(m => !newIds.has(m.id) || used.has(m.id));
+
+        const preview = {
+            layout: plan.layout,
+            rows: plan.rows.map(({ line, kind, display, errors, warnings }) => ({ line, kind, ...display, errors, warnings })),
+            newMembers: plan.newMembers.filter(m => used.has(m.id)).map(m => m.name),
+            counts: {
+                expenses: valid.filter(row => row.kind === 'expense').length,
+                payments: valid.filter(row => row.kind === 'payment').length,
+                skipped: plan.rows.length - valid.length
+            }
+        };
+        if (!commit) return res.json(preview);
+        if (valid.length === 0) return res.status(400).json({ message: 'Nothing to import', ...preview });
+
+        trip.memberCount = Math.max(trip.memberCount || 0, trip.members.length);
+        valid.forEach(row => {
+            const record = { ...row.record, id: Date.now().toString() + Math.random().toString(36).substr(2, 5) };
+            if (row.kind === 'payment') {
+                addPayment(trip, { ...record, recordedBy: getActorId(req), timestamp: new Date().toISOString() });
+            } else {
+                addExpense(trip, record);
+            }
+        });
+        recalculateState(trip);
+        await saveTrip(trip, req);
+
+        console.log(`📥 Imported ${valid.length} rows into trip ${trip.tripCode} (${plan.layout} layout)`);
+        const { expenses, payments } = preview.counts;
+        const message = `Imported ${expenses} expense${expenses === 1 ? '' : 's'}`
+            + (payments > 0 ? ` and ${payments} payment${payments === 1 ? '' : 's'}` : '');
+        res.json({ message, ...preview, data: trip, tripCode: trip.tripCode });
+    } catch (error) {
+        console.error('Error importing CSV:', error);
+        sendRouteError(res, error);
+    }
+});
+
 // Admin adds an expense directly
-app.post('/api/expenses', async (req, res) => {
+app.post('/api/expenses', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { tripCode, ...newExpense } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
+
+        const invalid = prepareExpense(trip, newExpense);
+        if (invalid) return res.status(400).json({ message: invalid });
 
         if (!newExpense.id) newExpense.id = Date.now().toString();
-        trip.expenses.push(newExpense);
+        addExpense(trip, newExpense);
         recalculateState(trip);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: 'Expense added', expense: newExpense, data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Member requests an expense
-app.post('/api/expenses/request', async (req, res) => {
+app.post('/api/expenses/request', authorize(PARTICIPANTS), async (req, res) => {
     try {
         const { tripCode, ...newExpense } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
+
+        const invalid = prepareExpense(trip, newExpense);
+        if (invalid) return res.status(400).json({ message: invalid });
 
         if (!newExpense.id) newExpense.id = Date.now().toString();
         newExpense.status = 'pending';
         trip.pendingExpenses.push(newExpense);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: 'Expense request sent to Admin', expense: newExpense, data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Approve or reject a pending expense
-app.post('/api/expenses/approve', async (req, res) => {
+app.post('/api/expenses/approve', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { tripCode, id, action } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
         const idx = trip.pendingExpenses.findIndex(e => e.id === id);
         if (idx === -1) return res.status(404).json({ message: 'Request not found' });
         const expense = trip.pendingExpenses[idx];
         if (action === 'approve') {
+            // Members may have left since the request was made
+            const invalid = validateSplit(expense, trip.members.map(m => m.id));
+            if (invalid) return res.status(400).json({ message: `Cannot approve: ${invalid}` });
+
             delete expense.status;
-            trip.expenses.push(expense);
+            addExpense(trip, expense);
             recalculateState(trip);
         }
         trip.pendingExpenses.splice(idx, 1);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
+        // A rejected expense's receipts go with it
+        if (action !== 'approve') pruneReceipts(trip, expense.receipts || []);
         res.json({ message: `Expense ${action}d`, data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Approve or reject a pending member
-app.post('/api/members/approve', async (req, res) => {
+app.post('/api/members/approve', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { tripCode, id, action, memberDetails } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
         const idx = trip.pendingMembers.findIndex(m => m.id === id);
         if (idx === -1) return res.status(404).json({ message: 'Request not found' });
 
-        console.log('=== MEMBER APPROVAL DEBUG ===');
-        console.log('Before approval - Member count:', trip.members.length);
-        console.log('Before approval - Members:', trip.members.map(m => ({ name: m.name, expected: m.expectedContribution })));
-
         if (action === 'approve') {
-            const memberName = memberDetails?.name || trip.pendingMembers[idx].name;
+            const requested = memberDetails && typeof memberDetails.name === 'string' && memberDetails.name.trim();
+            const memberName = requested || trip.pendingMembers[idx].name;
+            if (nameTaken(trip, memberName)) return res.status(400).json({ message: 'Someone in this trip already has that name' });
 
             const newMember = {
                 id: Date.now().toString(),
                 name: memberName,
+                role: MEMBER,
                 expectedContribution: 0,
                 actualContribution: 0,
                 remainingContribution: 0,
                 balance: 0,
                 personal: 0
             };
+            if (trip.pendingMembers[idx].credential) setCredential(newMember, trip.pendingMembers[idx].credential);
 
             trip.members.push(newMember);
-
-            console.log('After adding member - Member count:', trip.members.length);
-
             recalculateState(trip);
-
-            console.log('After recalculation - Members:', trip.members.map(m => ({ name: m.name, expected: m.expectedContribution })));
-            console.log('Budget:', trip.budget);
         }
         trip.pendingMembers.splice(idx, 1);
-        await saveTrip(trip);
-
-        console.log('=== END DEBUG ===');
+        await saveTrip(trip, req);
         res.json({ message: `Member ${action}d`, data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
+// Why the caller may not remove this member, or null. The owner has to hand the trip over
+// first, and only the owner removes co-admins - otherwise co-admins could remove each other.
+const removalBlocked = (trip, member, callerRole) => {
+    const role = roleOf(trip, member);
+    if (role === OWNER) return 'The trip owner cannot be removed. Hand the trip over to someone else first.';
+    if (role === CO_ADMIN && callerRole !== OWNER) return 'Only the trip owner can remove a co-admin';
+    return null;
+};
+
+// Records that still point at a member and would be left dangling if they were removed:
+// expenses they paid for, payments to or from them and requests waiting for approval.
+// Expense splits are fine - trashMember takes them out and restoring puts them back.
+const openReferences = (trip, member) => {
+    const money = (amount) => formatMoney(amount, tripCurrency(trip));
+    const nameOf = (id) => (trip.members.find(m => m.id === id) || {}).name || 'someone';
+    return [
+        ...trip.expenses.filter(e => e.paidBy === member.id)
+            .map(e => ({ type: 'expense', id: e.id, description: `Paid for "${e.title}" (${money(e.amount)})` })),
+        ...trip.payments.filter(p => p.from === member.id || p.to === member.id)
+            .map(p => ({ type: 'payment', id: p.id, description: `Payment of ${money(p.amount)} from ${nameOf(p.from)} to ${nameOf(p.to)}` })),
+        ...trip.pendingExpenses.filter(e => e.paidBy === member.id || (e.splitBetween || []).includes(member.id))
+            .map(e => ({ type: 'pendingExpense', id: e.id, description: `Expense "${e.title}" waiting for approval` })),
+        ...trip.pendingContributions.filter(r => r.memberId === member.id)
+            .map(r => ({ type: 'pendingContribution', id: r.id, description: `Contribution of ${money(r.amount)} waiting for approval` })),
+        ...trip.pendingBudgetRequests.filter(r => r.memberId === member.id)
+            .map(r => ({ type: 'pendingBudgetRequest', id: r.id, description: 'Budget request waiting for approval' }))
+    ];
+};
+
+// 409 for restoring an expense or payment that names members who have been removed since -
+// they have to be restored first
+const sendMissingMembers = (res, trip, what, memberIds) => {
+    const isMember = (id) => id === 'pool' || id === 'all_members' || trip.members.some(m => m.id === id);
+    const missing = [...new Set(memberIds.filter(id => id && !isMember(id)))];
+    if (missing.length === 0) return false;
+    const names = missing.map(id => (findInTrash(trip, 'member', id) || { item: { name: 'a removed member' } }).item.name);
+    res.status(409).json({ message: `This ${what} involves ${names.join(', ')}, who ${missing.length === 1 ? 'is' : 'are'} no longer in the trip. Restore them first.` });
+    return true;
+};
+
+// 409 listing what has to be dealt with before the member can be removed
+const sendOpenReferences = (res, member, references) => res.status(409).json({
+    message: `${member.name} can't be removed yet: ${references.length} record${references.length === 1 ? ' still refers' : 's still refer'} to them. Delete or settle ${references.length === 1 ? 'it' : 'them'} first.`,
+    references
+});
+
 // Delete a member
-app.delete('/api/members/:id', async (req, res) => {
+app.delete('/api/members/:id', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { id } = req.params;
         const { tripCode } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
         const memberIdx = trip.members.findIndex(m => m.id === id);
         if (memberIdx === -1) return res.status(404).json({ message: 'Member not found' });
 
-        // Prevent deleting admin (first member)
-        if (memberIdx === 0) {
-            return res.status(403).json({ message: 'Cannot delete admin' });
-        }
+        const blocked = removalBlocked(trip, trip.members[memberIdx], req.role);
+        if (blocked) return res.status(403).json({ message: blocked });
+        const references = openReferences(trip, trip.members[memberIdx]);
+        if (references.length > 0) return sendOpenReferences(res, trip.members[memberIdx], references);
 
-        trip.members.splice(memberIdx, 1);
+        trashMember(trip, memberIdx, req);
         recalculateState(trip);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
 
         res.json({ message: 'Member deleted', data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Member requests account deletion
-app.post('/api/members/delete-request', async (req, res) => {
+app.post('/api/members/delete-request', authorize(PARTICIPANTS), async (req, res) => {
     try {
-        const { tripCode, memberId, memberName } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { tripCode } = req.body;
+        const { trip, caller } = req;
 
-        const exists = trip.pendingDeletions.find(d => d.memberId === memberId);
+        const exists = trip.pendingDeletions.find(d => d.memberId === caller.id);
         if (exists) {
             return res.status(400).json({ message: 'Deletion request already pending' });
         }
+        const references = openReferences(trip, caller);
+        if (references.length > 0) return sendOpenReferences(res, caller, references);
 
         const request = {
             id: Date.now().toString(),
-            memberId,
-            memberName,
+            memberId: caller.id,
+            memberName: caller.name,
             timestamp: new Date().toISOString()
         };
 
         trip.pendingDeletions.push(request);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: 'Deletion request sent for approval', data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Admin approves or rejects member deletion request
-app.post('/api/members/delete-approve', async (req, res) => {
+app.post('/api/members/delete-approve', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { tripCode, id, action } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
         const requestIndex = trip.pendingDeletions.findIndex(r => r.id === id);
         if (requestIndex === -1) return res.status(404).json({ message: 'Request not found' });
@@ -827,96 +2023,253 @@ app.post('/api/members/delete-approve', async (req, res) => {
 
         if (action === 'approve') {
             const memberIndex = trip.members.findIndex(m => m.id === request.memberId);
-            if (memberIndex !== -1 && memberIndex !== 0) { // Don't delete admin
-                trip.members.splice(memberIndex, 1);
+            if (memberIndex !== -1 && roleOf(trip, trip.members[memberIndex]) === OWNER) {
+                return res.status(400).json({ message: 'The trip owner cannot leave. Hand the trip over to someone else first.' });
+            }
+            const references = memberIndex !== -1 ? openReferences(trip, trip.members[memberIndex]) : [];
+            if (references.length > 0) return sendOpenReferences(res, trip.members[memberIndex], references);
+            if (memberIndex !== -1) {
+                trashMember(trip, memberIndex, req);
                 recalculateState(trip);
             }
         }
 
         trip.pendingDeletions.splice(requestIndex, 1);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
         res.json({ message: `Deletion ${action}d`, data: trip, tripCode, deletedMemberId: action === 'approve' ? request.memberId : null });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Delete an expense
-app.delete('/api/expenses/:id', async (req, res) => {
+app.delete('/api/expenses/:id', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { id } = req.params;
         const { tripCode } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
-        trip.expenses = trip.expenses.filter(e => e.id !== id);
+        const expense = trip.expenses.find(e => e.id === id);
+        if (!expense) return res.status(404).json({ message: 'Expense not found' });
+
+        removeExpense(trip, id);
+        moveToTrash(trip, 'expense', expense, req);
         recalculateState(trip);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
 
         res.json({ message: 'Expense deleted', data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
-// Reset the entire app state
-app.post('/api/reset', async (req, res) => {
+// Change when an expense was spent (Admin only)
+app.post('/api/expenses/:id/spent-at', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { tripCode } = req.body;
+        const { trip } = req;
+
+        const expense = trip.expenses.find(e => e.id === id);
+        if (!expense) return res.status(404).json({ message: 'Expense not found' });
+
+        const spentAt = req.body.spentAt && parseSpentAt(req.body.spentAt);
+        if (!spentAt) return res.status(400).json({ message: 'Invalid spent-on date' });
+
+        expense.spentAt = spentAt;
+        await saveTrip(trip, req);
+        res.json({ message: 'Expense date updated', expense, data: trip, tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Restore a deleted expense from the trash
+app.post('/api/expenses/:id/restore', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { tripCode } = req.body;
+        const { trip } = req;
+
+        const trashed = findInTrash(trip, 'expense', id);
+        if (!trashed) return res.status(404).json({ message: 'Expense not found in trash' });
+        if (sendMissingMembers(res, trip, 'expense', [trashed.item.paidBy, ...(trashed.item.splitBetween || [])])) return;
+
+        addExpense(trip, trashed.item);
+        removeFromTrash(trip, trashed.id);
+        recalculateState(trip);
+        await saveTrip(trip, req);
+
+        res.json({ message: 'Expense restored', data: trip, tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Restore a deleted member, including their share of the expenses they were split into
+app.post('/api/members/:id/restore', authorize(ADMIN_ONLY), async (req, res) => {
     try {
+        const { id } = req.params;
         const { tripCode } = req.body;
+        const { trip } = req;
+
+        const trashed = findInTrash(trip, 'member', id);
+        if (!trashed) return res.status(404).json({ message: 'Member not found in trash' });
+
+        const member = trashed.item;
+        if (trip.members.some(m => m.name.toLowerCase() === member.name.toLowerCase())) {
+            return res.status(400).json({ message: `A member named ${member.name} already exists` });
+        }
+
+        trip.members.push(member);
+        (trashed.splits || []).forEach(split => {
+            // Older trash entries only kept the expense id
+            const { expenseId, value, items = [] } = typeof split === 'string' ? { expenseId: split } : split;
+            const expense = trip.expenses.find(e => e.id === expenseId);
+            if (!expense || (expense.splitBetween || []).includes(member.id)) return;
+
+            const restored = { ...expense, splitBetween: [...(expense.splitBetween || []), member.id] };
+            if (value !== undefined) restored.splitDetails = { ...expense.splitDetails, [member.id]: value };
+            if (expense.items) {
+                restored.items = expense.items.map((item, i) => (items.includes(i) ? { ...item, members: [...item.members, member.id] } : item));
+            }
+            updateExpense(trip, restored, `${member.name} restored to split`);
+        });
+        removeFromTrash(trip, trashed.id);
+        recalculateState(trip);
+        await saveTrip(trip, req);
+
+        res.json({ message: 'Member restored', data: trip, tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Record a direct payment from one member to another (e.g. paying someone back in cash)
+app.post('/api/payments', authorize(PARTICIPANTS), async (req, res) => {
+    try {
+        const { tripCode, from, to, amount, method, note, date } = req.body;
+        const { trip, caller, role } = req;
 
-        if (!tripCode) {
-            return res.status(400).json({ message: 'Trip code required' });
+        const memberIds = trip.members.map(m => m.id);
+        if (!memberIds.includes(from) || !memberIds.includes(to)) {
+            return res.status(400).json({ message: 'Both people must be members of this trip' });
+        }
+        if (from === to) return res.status(400).json({ message: 'A member cannot pay themselves' });
+        if (!isAdminRole(role) && caller.id !== from && caller.id !== to) {
+            return res.status(403).json({ message: 'Members can only record payments they made or received' });
         }
 
-        // Delete the specific trip from MongoDB
-        if (mongoConnected) {
-            await Trip.deleteOne({ tripCode });
+        const paymentAmount = parseAmount(amount);
+        if (paymentAmount === null || paymentAmount <= 0) return res.status(400).json({ message: 'Invalid amount' });
+
+        const paymentMethod = method || 'cash';
+        if (!PAYMENT_METHODS.includes(paymentMethod)) {
+            return res.status(400).json({ message: `Method must be one of: ${PAYMENT_METHODS.join(', ')}` });
         }
+        if (date && isNaN(new Date(date).getTime())) return res.status(400).json({ message: 'Invalid date' });
 
-        // Clear data.json
-        const emptyData = {
-            tripName: "",
-            tripCode: "",
-            budget: 0,
-            memberCount: 0,
-            tripDate: "",
-            adminPin: "",
-            members: [],
-            expenses: [],
-            pendingExpenses: [],
-            pendingMembers: [],
-            pendingContributions: [],
-            pendingBudgetRequests: [],
-            pendingDeletions: []
+        const payment = {
+            id: Date.now().toString(),
+            from,
+            to,
+            amount: paymentAmount,
+            method: paymentMethod,
+            note: (note || '').trim(),
+            date: date || new Date().toISOString().slice(0, 10),
+            recordedBy: getActorId(req),
+            timestamp: new Date().toISOString()
         };
-        writeData(emptyData);
-        res.json({ message: 'Trip deleted successfully', data: emptyData });
+
+        addPayment(trip, payment);
+        recalculateState(trip);
+        await saveTrip(trip, req);
+
+        res.json({ message: 'Payment recorded', payment, data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
+    }
+});
+
+// Delete a payment (kept in the trash so it can be restored)
+app.delete('/api/payments/:id', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { tripCode } = req.body;
+        const { trip } = req;
+
+        const payment = (trip.payments || []).find(p => p.id === id);
+        if (!payment) return res.status(404).json({ message: 'Payment not found' });
+
+        removePayment(trip, id);
+        moveToTrash(trip, 'payment', payment, req);
+        recalculateState(trip);
+        await saveTrip(trip, req);
+
+        res.json({ message: 'Payment deleted', data: trip, tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Restore a deleted payment from the trash
+app.post('/api/payments/:id/restore', authorize(ADMIN_ONLY), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { tripCode } = req.body;
+        const { trip } = req;
+
+        const trashed = findInTrash(trip, 'payment', id);
+        if (!trashed) return res.status(404).json({ message: 'Payment not found in trash' });
+        if (sendMissingMembers(res, trip, 'payment', [trashed.item.from, trashed.item.to])) return;
+
+        addPayment(trip, trashed.item);
+        removeFromTrash(trip, trashed.id);
+        recalculateState(trip);
+        await saveTrip(trip, req);
+
+        res.json({ message: 'Payment restored', data: trip, tripCode });
+    } catch (error) {
+        sendRouteError(res, error);
+    }
+});
+
+// Reset the entire app state
+app.post('/api/reset', authorize(OWNER_ONLY), async (req, res) => {
+    try {
+        const { tripCode } = req.body;
+        const { trip } = req;
+
+        // Don't delete a trip the client hasn't seen the latest version of
+        const clientVersion = parseIfMatch(req);
+        if (clientVersion !== null && clientVersion !== (trip.version || 0)) {
+            throw new VersionConflictError(trip);
+        }
+
+        await storage.delete(tripCode);
+        deleteTripReceipts(trip.tripCode);
+        publishTripDeleted(trip.tripCode);
+        res.json({ message: 'Trip deleted successfully', data: emptyTrip() });
+    } catch (error) {
+        sendRouteError(res, error);
     }
 });
 
 // Reset member data (keep trip and admin)
 // Reset member data (keep trip and admin)
-app.post('/api/reset-data', async (req, res) => {
+app.post('/api/reset-data', authorize(OWNER_ONLY), async (req, res) => {
     try {
         const { tripCode } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
-        // Keep admin (first member) but reset their stats
-        if (trip.members.length > 0) {
-            const admin = trip.members[0];
-            admin.actualContribution = 0;
-            admin.expectedContribution = 0;
-            admin.remainingContribution = 0;
-            admin.balance = 0;
-            admin.personal = 0;
-            admin.reimbursed = 0;
-            trip.members = [admin];
-        } else {
-            trip.members = [];
-        }
+        // Keep only the owner; their stats reset with the ledger below
+        trip.members = trip.members.filter(m => roleOf(trip, m) === OWNER);
+
+        // Cancel every money movement in the ledger - only the budget carries over
+        const reversed = new Set(trip.ledger.filter(e => e.reverses).map(e => e.reverses));
+        trip.ledger
+            .filter(e => e.type !== 'budget_change' && !e.reverses && !reversed.has(e.id))
+            .forEach(e => reverseEntry(trip, e.id, 'Member data reset'));
 
         // Clear all other data
         trip.expenses = [];
@@ -925,60 +2278,60 @@ app.post('/api/reset-data', async (req, res) => {
         trip.pendingContributions = [];
         trip.pendingBudgetRequests = [];
         trip.pendingDeletions = [];
+        trip.payments = [];
+        trip.trash = [];
 
         recalculateState(trip);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
+        deleteTripReceipts(trip.tripCode);
 
         res.json({ message: 'Member data reset successfully', data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Budget Increase Request
-app.post('/api/budget/request', async (req, res) => {
+app.post('/api/budget/request', authorize(PARTICIPANTS), async (req, res) => {
     try {
-        const { tripCode, memberId, amount, reason } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
-
-        const member = trip.members.find(m => m.id === memberId);
+        const { tripCode, amount, reason } = req.body;
+        const { trip, caller: member } = req;
 
-        if (!member) return res.status(404).json({ message: 'Member not found' });
+        const increase = parseAmount(amount);
+        if (increase === null || increase <= 0) return res.status(400).json({ message: 'Invalid amount' });
 
         const request = {
             id: Date.now().toString(),
-            memberId,
+            memberId: member.id,
             memberName: member.name,
-            amount: parseFloat(amount),
+            amount: increase,
             reason: reason || 'Extra contribution',
             timestamp: new Date().toISOString()
         };
 
         trip.pendingBudgetRequests.push(request);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
 
         res.json({ message: 'Budget increase request sent to Admin', data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
 // Delete/Handle Budget Request
 // Delete/Handle Budget Request
-app.delete('/api/budget/request/:id', async (req, res) => {
+app.delete('/api/budget/request/:id', authorize(ADMIN_ONLY), async (req, res) => {
     try {
         const { id } = req.params;
         const { tripCode } = req.body;
-        const trip = await getTripByCode(tripCode);
-        if (!trip) return res.status(404).json({ message: 'Trip not found' });
+        const { trip } = req;
 
         trip.pendingBudgetRequests = trip.pendingBudgetRequests.filter(r => r.id !== id);
-        await saveTrip(trip);
+        await saveTrip(trip, req);
 
         res.json({ message: 'Request processed', data: trip, tripCode });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        sendRouteError(res, error);
     }
 });
 
@@ -1007,17 +2360,22 @@ function startKeepAlive() {
     console.log(`📍 Target URL: ${RENDER_URL}`);
 }
 
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
     console.log(`Server running on http://localhost:${PORT}`);
-    console.log('💾 Storage: JSON (primary) + MongoDB (backup)');
+    console.log(`💾 Storage: ${storage.name}`);
 
-    // Force recalculation on startup
+    // Move old data.json in, then force recalculation of every trip on startup
     try {
-        const data = readData();
+        await migrateLegacyDataFile();
         console.log('Performing startup recalculation...');
-        recalculateState(data);
-        writeData(data);
-        console.log('Startup recalculation complete.');
+        const tripCodes = await storage.list();
+        for (const code of tripCodes) {
+            const trip = await getTripByCode(code);
+            if (!trip) continue;
+            recalculateState(trip);
+            await storage.save(trip);
+        }
+        console.log(`Startup recalculation complete (${tripCodes.length} trips).`);
     } catch (error) {
         console.error('Startup recalculation failed:', error);
     }
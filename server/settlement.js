@@ -0,0 +1,67 @@
+// settlement.js - "Who pays whom": net everyone's balance into as few transfers as possible.
+//
+// A positive member balance means the group owes them, negative means they owe the group.
+// Whatever is left in the pool is cash the trip owner is holding, so it is counted against
+// the owner - that makes the balances add up to zero.
+const { OWNER } = require('./roles');
+
+// Stable id for a transfer, so a checklist tick survives reloads while the plan is unchanged
+const transferKey = (t) => `${t.from}:${t.to}:${t.amount}`;
+
+// Net balance per member in paise, in trip order
+const netBalances = (trip) => {
+    const members = trip.members || [];
+    const balances = members.map(m => ({ memberId: m.id, name: m.name, net: m.balance || 0 }));
+    if (balances.length === 0) return balances;
+
+    const poolCash = balances.reduce((sum, b) => sum + b.net, 0);
+    const holder = Math.max(members.findIndex(m => m.role === OWNER), 0);
+    balances[holder].net -= poolCash;
+    return balances;
+};
+
+// Greedy netting: settle exact matches first (one transfer clears two people), then
+// always move money from the largest debtor to the largest creditor. With n people
+// this never needs more than n - 1 transfers.
+const planTransfers = (balances) => {
+    const debtors = balances.filter(b => b.net < 0).map(b => ({ id: b.memberId, amount: -b.net }));
+    const creditors = balances.filter(b => b.net > 0).map(b => ({ id: b.memberId, amount: b.net }));
+    const transfers = [];
+
+    const pay = (debtor, creditor, amount) => {
+        transfers.push({ from: debtor.id, to: creditor.id, amount });
+        debtor.amount -= amount;
+        creditor.amount -= amount;
+    };
+
+    debtors.forEach(debtor => {
+        const match = creditors.find(c => c.amount === debtor.amount && c.amount > 0);
+        if (match) pay(debtor, match, debtor.amount);
+    });
+
+    const largest = (list) => list.filter(p => p.amount > 0).sort((a, b) => b.amount - a.amount)[0];
+    let debtor = largest(debtors);
+    let creditor = largest(creditors);
+    while (debtor && creditor) {
+        pay(debtor, creditor, Math.min(debtor.amount, creditor.amount));
+        debtor = largest(debtors);
+        creditor = largest(creditors);
+    }
+
+    return transfers;
+};
+
+// The plan for a trip, with checklist state from trip.settlementChecks
+const buildSettlementPlan = (trip) => {
+    const balances = netBalances(trip);
+    const checks = trip.settlementChecks || {};
+
+    const transfers = planTransfers(balances).map(t => {
+        const id = transferKey(t);
+        return { id, ...t, done: Boolean(checks[id]), ...(checks[id] || {}) };
+    });
+
+    return { balances, transfers };
+};
+
+module.exports = { buildSettlementPlan, transferKey };
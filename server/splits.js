@@ -0,0 +1,181 @@
+// splits.js - How an expense is divided between members.
+//
+//   equal    everyone in splitBetween pays the same
+//   shares   splitDetails[memberId] is a weight, e.g. 2 for a double order or 0.5 for a kid
+//   percent  splitDetails[memberId] is a percentage; they must add up to 100
+//   exact    splitDetails[memberId] is an amount in paise; they must add up to the expense amount
+//   items    itemized bill: items [{ name, price, members }] plus optional tax, serviceCharge and tip.
+//            Each item is split equally between its members; the charges follow each person's subtotal.
+//
+// Exact amounts and bill prices are in the expense's own currency (see billAmount).
+// Every mode ends up as whole paise per member that add up exactly to the expense amount.
+const { formatMoney, allocateAmount } = require('./money');
+
+const SPLIT_MODES = ['equal', 'shares', 'percent', 'exact', 'items'];
+const BILL_CHARGES = ['tax', 'serviceCharge', 'tip'];
+
+// What the receipt says: the original amount for a foreign-currency expense, otherwise amount
+const billAmount = (expense) => (typeof expense.originalAmount === 'number' ? expense.originalAmount : expense.amount);
+
+const billCharges = (expense) => BILL_CHARGES.reduce((sum, field) => sum + (expense[field] || 0), 0);
+
+// Which members share an expense (legacy expenses only have paidBy)
+const getSplitMembers = (expense, memberIds) => {
+    if (expense.splitBetween && Array.isArray(expense.splitBetween) && expense.splitBetween.length > 0) {
+        return expense.splitBetween;
+    }
+    if (expense.paidBy === 'all_members' || expense.paidBy === 'pool') {
+        return memberIds;
+    }
+    return expense.paidBy ? [expense.paidBy] : [];
+};
+
+// Members in trip order, so rounding leftovers always go to the same people
+const orderByTrip = (memberIds, splitMembers) => [...splitMembers].sort((a, b) => {
+    const ia = memberIds.indexOf(a);
+    const ib = memberIds.indexOf(b);
+    return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+});
+
+// Tidy a submitted expense: default to an equal split, and for the other modes keep
+// only members with a value above 0 (splitBetween then lists exactly those members)
+const normalizeSplit = (expense) => {
+    expense.splitMode = expense.splitMode || 'equal';
+    if (expense.splitMode === 'items') {
+        delete expense.splitDetails;
+        expense.items = (Array.isArray(expense.items) ? expense.items : []).map(item => ({
+            name: String(item.name || '').trim(),
+            price: Number(item.price),
+            members: Array.isArray(item.members) ? [...new Set(item.members)] : []
+        }));
+        BILL_CHARGES.forEach(field => {
+            expense[field] = Number(expense[field]) || 0;
+        });
+        expense.splitBetween = [...new Set(expense.items.flatMap(item => item.members))];
+        return expense;
+    }
+    delete expense.items;
+    BILL_CHARGES.forEach(field => delete expense[field]);
+    if (expense.splitMode === 'equal') {
+        delete expense.splitDetails;
+        return expense;
+    }
+
+    const selected = Array.isArray(expense.splitBetween) && expense.splitBetween.length > 0 ? expense.splitBetween : null;
+    const details = {};
+    Object.entries(expense.splitDetails || {}).forEach(([memberId, value]) => {
+        if ((!selected || selected.includes(memberId)) && Number(value) > 0) details[memberId] = Number(value);
+    });
+    expense.splitDetails = details;
+    expense.splitBetween = Object.keys(details);
+    return expense;
+};
+
+const validateItems = (expense) => {
+    if (!expense.items || expense.items.length === 0) return 'Add at least one item to the bill';
+    for (const item of expense.items) {
+        if (!item.name) return 'Every item needs a name';
+        if (!Number.isInteger(item.price) || item.price <= 0) return `Invalid price for ${item.name}`;
+        if (item.members.length === 0) return `Choose who had ${item.name}`;
+    }
+    if (BILL_CHARGES.some(field => !Number.isInteger(expense[field]) || expense[field] < 0)) {
+        return 'Tax, service charge and tip must be whole paise of 0 or more';
+    }
+
+    const total = expense.items.reduce((sum, item) => sum + item.price, 0) + billCharges(expense);
+    if (total !== billAmount(expense)) {
+        return `Items and charges add up to ${formatMoney(total, expense.currency)}, not ${formatMoney(billAmount(expense), expense.currency)}`;
+    }
+    return null;
+};
+
+// Check an expense's split against the trip's members. Returns an error message or null.
+const validateSplit = (expense, memberIds) => {
+    const mode = expense.splitMode || 'equal';
+    if (!SPLIT_MODES.includes(mode)) return `Unknown split mode: ${mode}`;
+
+    const splitMembers = getSplitMembers(expense, memberIds);
+    if (splitMembers.length === 0) return 'Select at least one member to split with';
+    if (splitMembers.some(id => !memberIds.includes(id))) return 'The split includes someone who is not in this trip';
+    if (mode === 'equal') return null;
+    if (mode === 'items') return validateItems(expense);
+
+    const values = splitMembers.map(id => Number((expense.splitDetails || {})[id]));
+    if (values.some(v => !Number.isFinite(v) || v <= 0)) return 'Every member in the split needs a value above 0';
+    const sum = values.reduce((total, v) => total + v, 0);
+
+    if (mode === 'percent' && Math.round(sum * 100) !== 10000) {
+        return `Percentages add up to ${Math.round(sum * 100) / 100}%, not 100%`;
+    }
+    if (mode === 'exact') {
+        if (values.some(v => !Number.isInteger(v))) return 'Exact amounts must be whole paise';
+        if (sum !== billAmount(expense)) {
+            return `Exact amounts add up to ${formatMoney(sum, expense.currency)}, not ${formatMoney(billAmount(expense), expense.currency)}`;
+        }
+    }
+    return null;
+};
+
+// Per-member view of an itemized bill, in the bill's currency:
+// { memberId: { items: [{ name, price, share }], subtotal, charges, total } }
+const getItemizedBreakdown = (expense, memberIds) => {
+    const billMembers = orderByTrip(memberIds, getSplitMembers(expense, memberIds));
+    const breakdown = {};
+    billMembers.forEach(memberId => {
+        breakdown[memberId] = { items: [], subtotal: 0, charges: 0, total: 0 };
+    });
+
+    (expense.items || []).forEach(item => {
+        // Items whose eaters have all left the trip are shared by the rest of the bill
+        const eaters = orderByTrip(memberIds, item.members.length > 0 ? item.members : billMembers)
+            .filter(id => breakdown[id]);
+        const shares = allocateAmount(item.price, eaters.map(() => 1));
+        eaters.forEach((memberId, i) => {
+            breakdown[memberId].items.push({ name: item.name, price: item.price, share: shares[i] });
+            breakdown[memberId].subtotal += shares[i];
+        });
+    });
+
+    const charges = allocateAmount(billCharges(expense), billMembers.map(id => breakdown[id].subtotal));
+    billMembers.forEach((memberId, i) => {
+        breakdown[memberId].charges = charges[i];
+        breakdown[memberId].total = breakdown[memberId].subtotal + charges[i];
+    });
+    return breakdown;
+};
+
+// Paise owed by each member for an expense, e.g. { a: 3334, b: 3333, c: 3333 }
+const getExpenseShares = (expense, memberIds) => {
+    const mode = expense.splitMode || 'equal';
+    if (mode === 'items') {
+        // Bill totals are in the bill's currency - scale them to the expense amount
+        const parts = Object.entries(getItemizedBreakdown(expense, memberIds));
+        const amounts = allocateAmount(expense.amount || 0, parts.map(([, part]) => part.total));
+        const shares = {};
+        parts.forEach(([memberId], i) => {
+            shares[memberId] = amounts[i];
+        });
+        return shares;
+    }
+
+    const splitMembers = orderByTrip(memberIds, getSplitMembers(expense, memberIds));
+    const weights = splitMembers.map(id => (mode === 'equal' ? 1 : Number((expense.splitDetails || {})[id]) || 0));
+    const amounts = allocateAmount(expense.amount || 0, weights);
+
+    const shares = {};
+    splitMembers.forEach((memberId, i) => {
+        shares[memberId] = amounts[i];
+    });
+    return shares;
+};
+
+module.exports = {
+    SPLIT_MODES,
+    billAmount,
+    getSplitMembers,
+    orderByTrip,
+    normalizeSplit,
+    validateSplit,
+    getItemizedBreakdown,
+    getExpenseShares
+};
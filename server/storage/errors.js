@@ -0,0 +1,12 @@
+// errors.js - Errors raised by trip storage backends
+
+// Thrown when a save was based on an older version of the trip than the one stored
+class VersionConflictError extends Error {
+    constructor(currentTrip) {
+        super('Trip was modified by another request');
+        this.name = 'VersionConflictError';
+        this.currentTrip = currentTrip;
+    }
+}
+
+module.exports = { VersionConflictError };
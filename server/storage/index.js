@@ -0,0 +1,99 @@
+// storage/index.js - Trip storage interface: get / save / list / delete by tripCode
+//
+// save(trip, { expectedVersion }) only writes if the stored trip is still at
+// expectedVersion, otherwise it throws VersionConflictError.
+//
+// Audit entries too old to stay in the trip (see audit.js) are kept apart from it with
+// appendAuditHistory(tripCode, entries) / getAuditHistory(tripCode); delete removes them too.
+//
+// Backends:
+//   json   - one JSON file per trip (server/data/trips, audit history in server/data/audit)
+//   mongo  - one MongoDB document per trip
+//   hybrid - JSON is primary, MongoDB is a backup mirror when connected (default)
+const path = require('path');
+const createJsonStorage = require('./jsonStorage');
+const createMongoStorage = require('./mongoStorage');
+const { VersionConflictError } = require('./errors');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data', 'trips');
+const DEFAULT_AUDIT_DIR = path.join(__dirname, '..', 'data', 'audit');
+
+// JSON primary with a non-blocking MongoDB mirror
+const createHybridStorage = (primary, backup) => ({
+    name: 'hybrid',
+
+    isAvailable: () => true,
+
+    async get(tripCode) {
+        const trip = await primary.get(tripCode);
+        if (trip || !backup.isAvailable()) return trip;
+
+        // Not on disk (e.g. fresh deploy) - restore it from the backup
+        const restored = await backup.get(tripCode);
+        if (restored) {
+            console.log(`📥 Restored trip ${tripCode} from MongoDB backup`);
+            await primary.save(restored);
+        }
+        return restored;
+    },
+
+    async save(trip, options) {
+        await primary.save(trip, options);
+        if (backup.isAvailable()) {
+            backup.save(trip)
+                .then(() => console.log(`📦 Synced trip ${trip.tripCode} to MongoDB backup`))
+                .catch(err => console.warn('⚠️  MongoDB sync failed:', err.message));
+        }
+        return trip;
+    },
+
+    async list() {
+        const codes = new Set(await primary.list());
+        if (backup.isAvailable()) {
+            try {
+                (await backup.list()).forEach(code => codes.add(code));
+            } catch (err) {
+                console.warn('⚠️  MongoDB list failed:', err.message);
+            }
+        }
+        return [...codes];
+    },
+
+    async delete(tripCode) {
+        const deleted = await primary.delete(tripCode);
+        let backupDeleted = false;
+        if (backup.isAvailable()) {
+            backupDeleted = await backup.delete(tripCode);
+        }
+        return deleted || backupDeleted;
+    },
+
+    async appendAuditHistory(tripCode, entries) {
+        await primary.appendAuditHistory(tripCode, entries);
+        if (backup.isAvailable()) {
+            backup.appendAuditHistory(tripCode, entries)
+                .catch(err => console.warn('⚠️  MongoDB audit history sync failed:', err.message));
+        }
+    },
+
+    async getAuditHistory(tripCode) {
+        const history = await primary.getAuditHistory(tripCode);
+        if (history.length > 0 || !backup.isAvailable()) return history;
+        return backup.getAuditHistory(tripCode);
+    }
+});
+
+const createStorage = ({ backend = 'hybrid', dataDir = DEFAULT_DATA_DIR, auditDir = DEFAULT_AUDIT_DIR } = {}) => {
+    switch (backend) {
+        case 'json':
+            return createJsonStorage(dataDir, auditDir);
+        case 'mongo':
+            return createMongoStorage();
+        case 'hybrid':
+            return createHybridStorage(createJsonStorage(dataDir, auditDir), createMongoStorage());
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+};
+
+module.exports = { createStorage, VersionConflictError };
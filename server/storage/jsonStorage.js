@@ -0,0 +1,79 @@
+// jsonStorage.js - File-per-trip JSON storage (one <TRIPCODE>.json per trip), with each
+// trip's older audit entries appended to <TRIPCODE>.jsonl in a separate directory
+const fs = require('fs');
+const path = require('path');
+const { VersionConflictError } = require('./errors');
+
+const TRIP_CODE_PATTERN = /^[A-Z0-9]+$/;
+
+const createJsonStorage = (dataDir, auditDir) => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.mkdirSync(auditDir, { recursive: true });
+
+    // Trip codes end up in file names, so only allow the generated alphabet
+    const fileFor = (tripCode, dir = dataDir, extension = 'json') => {
+        if (!tripCode || !TRIP_CODE_PATTERN.test(tripCode)) return null;
+        return path.join(dir, `${tripCode}.${extension}`);
+    };
+    const historyFileFor = (tripCode) => fileFor(tripCode, auditDir, 'jsonl');
+
+    return {
+        name: 'json',
+
+        isAvailable: () => true,
+
+        async get(tripCode) {
+            const file = fileFor(tripCode);
+            if (!file || !fs.existsSync(file)) return null;
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        },
+
+        async save(trip, { expectedVersion } = {}) {
+            const file = fileFor(trip.tripCode);
+            if (!file) throw new Error(`Invalid trip code: ${trip.tripCode}`);
+
+            // Compare-and-swap: reads and writes are synchronous, so nothing can slip in between
+            if (expectedVersion !== undefined) {
+                const current = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+                const currentVersion = current ? (current.version || 0) : 0;
+                if (currentVersion !== expectedVersion) throw new VersionConflictError(current);
+            }
+
+            // Write to a temp file first so a crash never leaves half a trip on disk
+            const tmpFile = `${file}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(trip, null, 2));
+            fs.renameSync(tmpFile, file);
+            return trip;
+        },
+
+        async list() {
+            return fs.readdirSync(dataDir)
+                .filter(f => f.endsWith('.json'))
+                .map(f => f.slice(0, -'.json'.length));
+        },
+
+        async delete(tripCode) {
+            const file = fileFor(tripCode);
+            if (!file || !fs.existsSync(file)) return false;
+            fs.unlinkSync(file);
+            const historyFile = historyFileFor(tripCode);
+            if (fs.existsSync(historyFile)) fs.unlinkSync(historyFile);
+            return true;
+        },
+
+        // One JSON line per entry, so adding entries never rewrites the older ones
+        async appendAuditHistory(tripCode, entries) {
+            const file = historyFileFor(tripCode);
+            if (!file) throw new Error(`Invalid trip code: ${tripCode}`);
+            fs.appendFileSync(file, entries.map(e => JSON.stringify(e) + '\n').join(''));
+        },
+
+        async getAuditHistory(tripCode) {
+            const file = historyFileFor(tripCode);
+            if (!file || !fs.existsSync(file)) return [];
+            return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+        }
+    };
+};
+
+module.exports = createJsonStorage;
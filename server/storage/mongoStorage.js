@@ -0,0 +1,86 @@
+// mongoStorage.js - MongoDB storage, one Trip document per trip code, with older audit
+// entries as AuditEntry documents
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const AuditEntry = require('../models/AuditEntry');
+const { VersionConflictError } = require('./errors');
+
+const DUPLICATE_KEY = 11000;
+
+// Bookkeeping fields Mongo adds to a document (timestamps: true) and to its subdocuments.
+// Only the document's own createdAt is Mongo's - invites and others have one of their own.
+const DOCUMENT_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const SUBDOCUMENT_FIELDS = ['_id'];
+
+// Remove Mongo bookkeeping fields so callers get plain trip JSON
+const stripMongoFields = (value, fields = DOCUMENT_FIELDS) => {
+    if (Array.isArray(value)) return value.map(item => stripMongoFields(item, SUBDOCUMENT_FIELDS));
+    if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+    const plain = {};
+    Object.keys(value).forEach(key => {
+        if (fields.includes(key)) return;
+        plain[key] = stripMongoFields(value[key], SUBDOCUMENT_FIELDS);
+    });
+    return plain;
+};
+
+const createMongoStorage = () => ({
+    name: 'mongo',
+
+    isAvailable: () => mongoose.connection.readyState === 1,
+
+    async get(tripCode) {
+        if (!tripCode) return null;
+        const doc = await Trip.findOne({ tripCode }).lean();
+        return doc ? stripMongoFields(doc) : null;
+    },
+
+    async save(trip, { expectedVersion } = {}) {
+        const filter = { tripCode: trip.tripCode };
+        if (expectedVersion !== undefined) {
+            // Trips saved before versioning have no version field - treat them as version 0
+            filter.version = expectedVersion === 0 ? { $in: [0, null] } : expectedVersion;
+        }
+
+        try {
+            await Trip.replaceOne(filter, trip, { upsert: true });
+        } catch (error) {
+            // Version didn't match, so the upsert tried to insert a second document with this tripCode
+            if (error.code === DUPLICATE_KEY && expectedVersion !== undefined) {
+                throw new VersionConflictError(await this.get(trip.tripCode));
+            }
+            throw error;
+        }
+        return trip;
+    },
+
+    async list() {
+        const docs = await Trip.find({}, { tripCode: 1 }).lean();
+        return docs.map(d => d.tripCode);
+    },
+
+    async delete(tripCode) {
+        const result = await Trip.deleteOne({ tripCode });
+        await AuditEntry.deleteMany({ tripCode });
+        return result.deletedCount > 0;
+    },
+
+    // Entries already stored (from a save that failed afterwards) are skipped
+    async appendAuditHistory(tripCode, entries) {
+        try {
+            await AuditEntry.insertMany(entries.map(e => ({ ...e, tripCode })), { ordered: false });
+        } catch (error) {
+            const errors = error.writeErrors || [];
+            if (errors.length === 0 || errors.some(e => e.code !== DUPLICATE_KEY)) throw error;
+        }
+    },
+
+    async getAuditHistory(tripCode) {
+        const docs = await AuditEntry.find({ tripCode }).sort({ timestamp: 1 }).lean();
+        return docs.map(({ tripCode: code, ...entry }) => stripMongoFields(entry));
+    }
+});
+
+module.exports = createMongoStorage;
+module.exports.stripMongoFields = stripMongoFields;
@@ -0,0 +1,53 @@
+// archive.test.js - Backups must never carry PIN, passphrase or invite token hashes
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashSecret } = require('../auth');
+const { buildArchive, readArchive } = require('../archive');
+const { CURRENT_SCHEMA_VERSION } = require('../migrations');
+
+const SECRET_FIELDS = ['adminPin', 'adminPinHash', 'credential', 'tokenHash'];
+
+// Every key in a JSON value, at any depth
+const keysOf = (value) => {
+    if (Array.isArray(value)) return value.flatMap(keysOf);
+    if (!value || typeof value !== 'object') return [];
+    return Object.entries(value).flatMap(([key, v]) => [key, ...keysOf(v)]);
+};
+
+const tripWithSecrets = () => ({
+    tripCode: 'ABC123',
+    tripName: 'Goa',
+    version: 3,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    adminPinHash: hashSecret('1234'),
+    members: [
+        { id: 'm1', name: 'Ann', role: 'owner', credential: hashSecret('annpass') },
+        { id: 'm2', name: 'Bo', role: 'member', credential: hashSecret('bopass') }
+    ],
+    pendingMembers: [{ id: 'p1', name: 'Cy', status: 'pending', credential: hashSecret('cypass') }],
+    trash: [{ id: 't1', type: 'member', item: { id: 'm3', name: 'Di', role: 'member', credential: hashSecret('dipass') } }],
+    invites: [{ id: 'i1', tokenHash: 'f'.repeat(64), memberId: null, expiresAt: '2999-01-01T00:00:00.000Z', maxUses: 1, uses: 0, revokedAt: null }],
+    expenses: [],
+    payments: [],
+    ledger: [],
+    auditLog: []
+});
+
+test('the archive contains no admin PIN hash, credentials or invite token hashes', () => {
+    const json = JSON.stringify(buildArchive(tripWithSecrets()));
+    const keys = keysOf(JSON.parse(json));
+    SECRET_FIELDS.forEach(field => assert.ok(!keys.includes(field), `archive contains ${field}`));
+    assert.deepStrictEqual(JSON.parse(json).trip.members.map(m => m.name), ['Ann', 'Bo']);
+});
+
+test('secrets in an uploaded archive are dropped and its invites revoked', () => {
+    const archive = buildArchive(tripWithSecrets());
+    archive.trip.adminPinHash = hashSecret('0000');
+    archive.trip.members[1].credential = hashSecret('planted');
+
+    const { error, trip } = readArchive(archive);
+    assert.strictEqual(error, undefined);
+    assert.ok(!trip.adminPinHash);
+    ['adminPin', 'credential', 'tokenHash'].forEach(field => assert.ok(!keysOf(trip).includes(field), `restored trip has ${field}`));
+    assert.ok(trip.invites.every(i => i.revokedAt));
+});
@@ -0,0 +1,36 @@
+// auth.test.js - Credential hashes and signed session tokens
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SESSION_SECRET = 'test-secret';
+const { checkSecret, hashSecret, verifySecret, createSessionToken, readSessionToken } = require('../auth');
+
+test('secrets are stored salted and checked against the hash', () => {
+    const credential = hashSecret('correct horse');
+    const again = hashSecret('correct horse');
+    assert.notStrictEqual(credential.hash, again.hash);
+    assert.ok(verifySecret('correct horse', credential));
+    assert.ok(!verifySecret('wrong horse', credential));
+    assert.ok(!verifySecret('correct horse', null));
+});
+
+test('checkSecret enforces the length limits', () => {
+    assert.match(checkSecret('123'), /at least 4/);
+    assert.match(checkSecret('x'.repeat(129)), /at most 128/);
+    assert.strictEqual(checkSecret('1234'), null);
+});
+
+test('session tokens carry the trip, member and generation until they expire', () => {
+    const now = Date.now();
+    const token = createSessionToken('ABC123', 'm1', 2, now);
+    assert.deepStrictEqual(readSessionToken(token, now), { tripCode: 'ABC123', memberId: 'm1', generation: 2 });
+    assert.strictEqual(readSessionToken(token, now + 31 * 24 * 60 * 60 * 1000), null);
+});
+
+test('tampered tokens are refused', () => {
+    const [payload, signature] = createSessionToken('ABC123', 'm1').split('.');
+    const forged = Buffer.from(JSON.stringify({ t: 'ABC123', m: 'owner', g: 0, exp: Date.now() + 1000 })).toString('base64url');
+    assert.strictEqual(readSessionToken(`${forged}.${signature}`), null);
+    assert.strictEqual(readSessionToken(`${payload}.`), null);
+    assert.strictEqual(readSessionToken('garbage'), null);
+});
@@ -0,0 +1,71 @@
+// importer.test.js - Splitwise and spreadsheet CSVs mapped onto a trip
+const test = require('node:test');
+const assert = require('node:assert');
+const { planImport } = require('../importer');
+
+const trip = () => ({
+    baseCurrency: 'INR',
+    timeZone: 'Asia/Kolkata',
+    members: [{ id: 'a', name: 'Ann' }, { id: 'b', name: 'Bo' }]
+});
+
+const SPLITWISE = [
+    'Date,Description,Category,Cost,Currency,Ann,Bo,Cy',
+    '2026-01-05,Dinner,Dining out,90.00,INR,60.00,-30.00,-30.00',
+    '2026-01-06,Settle up,Payment,30.00,INR,-30.00,30.00,0.00',
+    ',Total balance,,,INR,30.00,0.00,-30.00'
+].join('\n');
+
+test('Splitwise rows become exact splits and payments', () => {
+    const { layout, rows, newMembers } = planImport(trip(), SPLITWISE);
+    assert.strictEqual(layout, 'splitwise');
+    assert.deepStrictEqual(newMembers.map(m => m.name), ['Cy']);
+    assert.strictEqual(rows.length, 2);
+
+    const [dinner, payment] = rows;
+    const cy = newMembers[0].id;
+    assert.deepStrictEqual(dinner.errors, []);
+    assert.strictEqual(dinner.record.amount, 9000);
+    assert.strictEqual(dinner.record.paidBy, 'a');
+    assert.strictEqual(dinner.record.splitMode, 'exact');
+    assert.deepStrictEqual(dinner.record.splitDetails, { a: 3000, b: 3000, [cy]: 3000 });
+    assert.strictEqual(dinner.record.category, 'food');
+
+    assert.strictEqual(payment.kind, 'payment');
+    assert.deepStrictEqual(
+        { from: payment.record.from, to: payment.record.to, amount: payment.record.amount },
+        { from: 'b', to: 'a', amount: 3000 }
+    );
+});
+
+test('simple spreadsheets split between the named members or everyone', () => {
+    const csv = [
+        'Date,Title,Amount,Paid By,Split Between',
+        '2026-01-05 19:30,Taxi,450,bo,Ann; Bo',
+        '2026-01-06,Snacks,120,,'
+    ].join('\n');
+    const { layout, rows, newMembers } = planImport(trip(), csv);
+    assert.strictEqual(layout, 'simple');
+    assert.deepStrictEqual(newMembers, []);
+
+    assert.strictEqual(rows[0].record.amount, 45000);
+    assert.strictEqual(rows[0].record.paidBy, 'b');
+    assert.deepStrictEqual(rows[0].record.splitBetween, ['a', 'b']);
+    assert.strictEqual(rows[0].display.date, '2026-01-05 19:30');
+
+    assert.strictEqual(rows[1].record.paidBy, 'pool');
+    assert.deepStrictEqual(rows[1].record.splitBetween, ['a', 'b']);
+    assert.ok(rows[1].warnings.some(w => /No payer/.test(w)));
+});
+
+test('bad rows are reported, not dropped', () => {
+    const csv = 'Title,Amount,Currency\nHotel,abc,INR\nMuseum,10,XXX';
+    const { rows } = planImport(trip(), csv);
+    assert.match(rows[0].errors[0], /Invalid amount/);
+    assert.match(rows[1].errors[0], /Unknown currency: XXX/);
+});
+
+test('files without known columns are refused', () => {
+    assert.match(planImport(trip(), '').error, /empty/);
+    assert.match(planImport(trip(), 'Foo,Bar\n1,2').error, /Could not find the columns/);
+});
@@ -0,0 +1,87 @@
+// ledger.test.js - Balances come from replaying the ledger; reversals cancel entries
+const test = require('node:test');
+const assert = require('node:assert');
+const { appendEntry, reverseEntry, recordExpense, reverseExpense, replayLedger } = require('../ledger');
+
+const newTrip = () => ({
+    baseCurrency: 'INR',
+    exchangeRates: {},
+    members: [{ id: 'a', name: 'Ann' }, { id: 'b', name: 'Bo' }],
+    ledger: []
+});
+
+test('contributions and pool expenses give each member their balance', () => {
+    const trip = newTrip();
+    appendEntry(trip, { type: 'budget_change', amount: 20000, budget: 20000 });
+    appendEntry(trip, { type: 'contribution', memberId: 'a', amount: 10000 });
+    appendEntry(trip, { type: 'contribution', memberId: 'b', amount: 4000 });
+    recordExpense(trip, { id: 'e1', amount: 6001, paidBy: 'pool', splitMode: 'equal', splitBetween: ['a', 'b'] });
+
+    const { budget, members, expenses } = replayLedger(trip);
+    assert.strictEqual(budget, 20000);
+    assert.strictEqual(expenses.length, 1);
+    assert.strictEqual(members.a.expenseShare, 3001);
+    assert.strictEqual(members.b.expenseShare, 3000);
+    assert.strictEqual(members.a.balance, 6999);
+    assert.strictEqual(members.b.balance, 1000);
+});
+
+test('an expense paid from pocket is owed back until it is reimbursed', () => {
+    const trip = newTrip();
+    recordExpense(trip, { id: 'e1', amount: 1000, paidBy: 'a', splitMode: 'equal', splitBetween: ['a', 'b'] });
+
+    let { members } = replayLedger(trip);
+    assert.strictEqual(members.a.personal, 1000);
+    assert.strictEqual(members.a.balance, 500);
+    assert.strictEqual(members.b.balance, -500);
+
+    appendEntry(trip, { type: 'reimbursement', memberId: 'a', amount: 1000 });
+    ({ members } = replayLedger(trip));
+    assert.strictEqual(members.a.balance, -500);
+});
+
+test('payments between members move their balances', () => {
+    const trip = newTrip();
+    recordExpense(trip, { id: 'e1', amount: 1000, paidBy: 'a', splitMode: 'equal', splitBetween: ['a', 'b'] });
+    appendEntry(trip, { type: 'payment', paymentId: 'p1', from: 'b', to: 'a', amount: 500 });
+
+    const { members } = replayLedger(trip);
+    assert.strictEqual(members.a.balance, 0);
+    assert.strictEqual(members.b.balance, 0);
+});
+
+test('reversed entries no longer count', () => {
+    const trip = newTrip();
+    const contribution = appendEntry(trip, { type: 'contribution', memberId: 'a', amount: 5000 });
+    recordExpense(trip, { id: 'e1', amount: 1000, paidBy: 'pool', splitBetween: ['a', 'b'] });
+    reverseEntry(trip, contribution.id);
+    reverseExpense(trip, 'e1');
+
+    const { members, expenses } = replayLedger(trip);
+    assert.strictEqual(expenses.length, 0);
+    assert.strictEqual(members.a.actualContribution, 0);
+    assert.strictEqual(members.a.balance, 0);
+    assert.strictEqual(trip.ledger.length, 4);
+    assert.strictEqual(reverseExpense(trip, 'e1'), null);
+});
+
+test('foreign-currency entries follow the current exchange rate', () => {
+    const trip = { ...newTrip(), exchangeRates: { THB: 2 } };
+    appendEntry(trip, { type: 'contribution', memberId: 'a', amount: 20000, currency: 'THB', originalAmount: 10000 });
+    assert.strictEqual(replayLedger(trip).members.a.actualContribution, 20000);
+
+    trip.exchangeRates.THB = 2.5;
+    assert.strictEqual(replayLedger(trip).members.a.actualContribution, 25000);
+});
+
+test('replaying until a time leaves out later entries', () => {
+    const trip = newTrip();
+    appendEntry(trip, { type: 'contribution', memberId: 'a', amount: 100, timestamp: '2026-01-01T00:00:00.000Z' });
+    appendEntry(trip, { type: 'contribution', memberId: 'a', amount: 200, timestamp: '2026-01-03T00:00:00.000Z' });
+    assert.strictEqual(replayLedger(trip, { until: '2026-01-02T00:00:00.000Z' }).members.a.actualContribution, 100);
+});
+
+test('appendEntry refuses unknown types and adjustment fields', () => {
+    assert.throws(() => appendEntry(newTrip(), { type: 'gift', amount: 1 }), /Unknown ledger entry type/);
+    assert.throws(() => appendEntry(newTrip(), { type: 'adjustment', field: 'budget', amount: 1 }), /Unknown adjustment field/);
+});
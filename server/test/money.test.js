@@ -0,0 +1,63 @@
+// money.test.js - Minor-unit conversion, formatting and exact splitting
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseAmount, toMinor, toMajor, formatMoney, convertAmount, splitAmount, allocateAmount
+} = require('../money');
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+test('parseAmount accepts whole numbers only', () => {
+    assert.strictEqual(parseAmount('1500'), 1500);
+    assert.strictEqual(parseAmount(-25), -25);
+    assert.strictEqual(parseAmount('12.5'), null);
+    assert.strictEqual(parseAmount(''), null);
+    assert.strictEqual(parseAmount(undefined), null);
+    assert.strictEqual(parseAmount('abc'), null);
+});
+
+test('toMinor rounds half away from zero', () => {
+    assert.strictEqual(toMinor(10.005), 1001);
+    assert.strictEqual(toMinor(-10.005), -1001);
+    assert.strictEqual(toMinor('19.99'), 1999);
+    assert.strictEqual(toMinor('not a number'), 0);
+});
+
+test('toMajor and formatMoney follow the currency', () => {
+    assert.strictEqual(toMajor(150050), '1500.50');
+    assert.strictEqual(toMajor(1000, 'JPY'), '1000');
+    assert.strictEqual(formatMoney(150000), '₹1,500');
+    assert.strictEqual(formatMoney(150050), '₹1,500.50');
+    assert.strictEqual(formatMoney(-2500), '-₹25');
+    assert.strictEqual(formatMoney(1050, 'USD'), '$10.50');
+    assert.strictEqual(formatMoney(1000, 'XYZ'), '₹10');
+});
+
+test('convertAmount uses the rate for one whole unit', () => {
+    assert.strictEqual(convertAmount(10000, 'THB', 'INR', { THB: 2.35 }), 23500);
+    assert.strictEqual(convertAmount(1000, 'JPY', 'INR', { JPY: 0.56 }), 56000);
+    assert.strictEqual(convertAmount(-10000, 'THB', 'INR', { THB: 2.355 }), -convertAmount(10000, 'THB', 'INR', { THB: 2.355 }));
+    assert.strictEqual(convertAmount(500, 'INR', 'INR'), 500);
+    assert.throws(() => convertAmount(100, 'USD', 'INR', {}), /No exchange rate set for USD/);
+});
+
+test('splitAmount gives the remainder to the first shares', () => {
+    assert.deepStrictEqual(splitAmount(10000, 3), [3334, 3333, 3333]);
+    assert.deepStrictEqual(splitAmount(10001, 3), [3334, 3334, 3333]);
+    assert.deepStrictEqual(splitAmount(-10000, 3), [-3334, -3333, -3333]);
+    assert.deepStrictEqual(splitAmount(100, 0), []);
+});
+
+test('allocateAmount splits by weight and always adds up', () => {
+    assert.deepStrictEqual(allocateAmount(10000, [2, 1, 1]), [5000, 2500, 2500]);
+    assert.deepStrictEqual(allocateAmount(100, [1, 1, 1]), [34, 33, 33]);
+    assert.deepStrictEqual(allocateAmount(-100, [1, 1, 1]), [-34, -33, -33]);
+    // Leftovers skip members with no weight
+    assert.deepStrictEqual(allocateAmount(101, [0, 1, 1]), [0, 51, 50]);
+    // No weight at all falls back to an equal split
+    assert.deepStrictEqual(allocateAmount(10, [0, 0]), [5, 5]);
+
+    [[99999, [33.3, 33.3, 33.4]], [12345, [0.5, 1, 2.5, 1]], [1, [1, 1, 1]], [7, [3, 0, 2]]].forEach(([total, weights]) => {
+        assert.strictEqual(sum(allocateAmount(total, weights)), total, `${total} over ${weights}`);
+    });
+});
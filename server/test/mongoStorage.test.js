@@ -0,0 +1,24 @@
+// mongoStorage.test.js - Reading a trip back from Mongo keeps the trip's own fields
+const test = require('node:test');
+const assert = require('node:assert');
+const { stripMongoFields } = require('../storage/mongoStorage');
+
+test('only the document loses createdAt and updatedAt; subdocuments only lose _id', () => {
+    const doc = {
+        _id: 'doc',
+        __v: 3,
+        createdAt: new Date('2026-01-01T00:00:00Z'),
+        updatedAt: new Date('2026-01-02T00:00:00Z'),
+        tripCode: 'ABC123',
+        members: [{ _id: 'sub1', id: 'a', name: 'Ann' }],
+        invites: [{ _id: 'sub2', id: 'i1', createdAt: '2026-01-01T10:00:00.000Z', expiresAt: '2026-01-04T10:00:00.000Z' }],
+        auditLog: [{ _id: 'sub3', id: 'x', changes: [{ after: { createdAt: '2026-01-01T10:00:00.000Z' } }] }]
+    };
+
+    assert.deepStrictEqual(stripMongoFields(doc), {
+        tripCode: 'ABC123',
+        members: [{ id: 'a', name: 'Ann' }],
+        invites: [{ id: 'i1', createdAt: '2026-01-01T10:00:00.000Z', expiresAt: '2026-01-04T10:00:00.000Z' }],
+        auditLog: [{ id: 'x', changes: [{ after: { createdAt: '2026-01-01T10:00:00.000Z' } }] }]
+    });
+});
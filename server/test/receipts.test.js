@@ -0,0 +1,37 @@
+// receipts.test.js - Uploads no expense refers to are cleaned up, and trips have a quota
+const test = require('node:test');
+const assert = require('node:assert');
+const { saveReceipt, pruneReceipts, checkReceiptQuota, deleteTripReceipts } = require('../receipts');
+
+const TRIP_CODE = 'TEST00';
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const HOUR = 60 * 60 * 1000;
+
+test.afterEach(() => deleteTripReceipts(TRIP_CODE));
+
+test('unlinked uploads are kept for an hour, receipts on expenses for good', () => {
+    const linked = saveReceipt(TRIP_CODE, PNG, 'png');
+    const fresh = saveReceipt(TRIP_CODE, PNG, 'png');
+    const trip = { tripCode: TRIP_CODE, expenses: [{ id: 'e1', receipts: [linked] }] };
+
+    assert.deepStrictEqual(pruneReceipts(trip).map(r => r.id).sort(), [linked, fresh].sort());
+    assert.deepStrictEqual(pruneReceipts(trip, [], Date.now() + 2 * HOUR).map(r => r.id), [linked]);
+});
+
+test('released receipts are deleted straight away unless another expense uses them', () => {
+    const shared = saveReceipt(TRIP_CODE, PNG, 'png');
+    const rejected = saveReceipt(TRIP_CODE, PNG, 'png');
+    const trip = { tripCode: TRIP_CODE, trash: [{ type: 'expense', item: { id: 'e2', receipts: [shared] } }] };
+
+    assert.deepStrictEqual(pruneReceipts(trip, [shared, rejected]).map(r => r.id), [shared]);
+});
+
+test('the quota counts receipts, unlinked uploads and bytes', () => {
+    const trip = { tripCode: TRIP_CODE, expenses: [{ id: 'e1', receipts: ['a.png'] }] };
+    const receipt = (id, bytes = 1) => ({ id, bytes, uploadedAt: Date.now() });
+
+    assert.strictEqual(checkReceiptQuota(trip, [receipt('a.png')], 1024), null);
+    assert.match(checkReceiptQuota(trip, Array.from({ length: 200 }, (_, i) => receipt(`${i}.png`)), 1), /at most 200/);
+    assert.match(checkReceiptQuota(trip, Array.from({ length: 20 }, (_, i) => receipt(`u${i}.png`)), 1), /waiting to be added/);
+    assert.match(checkReceiptQuota(trip, [receipt('a.png', 100 * 1024 * 1024)], 1), /of the 100 MB allowed/);
+});
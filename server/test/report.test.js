@@ -0,0 +1,27 @@
+// report.test.js - The PDF report is built in full before anything is sent
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderTripReport } = require('../report');
+
+const trip = () => ({
+    tripCode: 'ABC123',
+    tripName: 'Goa',
+    baseCurrency: 'INR',
+    startDate: '2026-01-05',
+    endDate: '2026-01-08',
+    members: [{ id: 'a', name: 'Ann', role: 'owner', balance: 500 }, { id: 'b', name: 'Bo', role: 'member', balance: -500 }],
+    expenses: [{ id: 'e1', title: 'Dinner', amount: 1000, category: 'food', paidBy: 'a', splitBetween: ['a', 'b'], spentAt: '2026-01-05T14:00:00.000Z' }],
+    payments: [],
+    ledger: []
+});
+
+test('renderTripReport resolves with a PDF', async () => {
+    const pdf = await renderTripReport(trip());
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.strictEqual(pdf.toString('ascii', 0, 5), '%PDF-');
+});
+
+test('renderTripReport rejects instead of sending half a file', async () => {
+    const broken = { ...trip(), expenses: {} };
+    await assert.rejects(renderTripReport(broken));
+});
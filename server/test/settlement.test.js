@@ -0,0 +1,48 @@
+// settlement.test.js - Who pays whom
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSettlementPlan, transferKey } = require('../settlement');
+
+const tripWith = (balances, checks = {}) => ({
+    members: Object.entries(balances).map(([id, balance], i) => ({ id, name: id, balance, role: i === 0 ? 'owner' : 'member' })),
+    settlementChecks: checks
+});
+
+const net = (plan) => {
+    const totals = {};
+    plan.balances.forEach(b => {
+        totals[b.memberId] = b.net;
+    });
+    plan.transfers.forEach(t => {
+        totals[t.from] += t.amount;
+        totals[t.to] -= t.amount;
+    });
+    return totals;
+};
+
+test('exact matches settle in one transfer', () => {
+    const { transfers } = buildSettlementPlan(tripWith({ a: 500, b: -500, c: 300, d: -300 }));
+    assert.deepStrictEqual(transfers.map(({ from, to, amount }) => ({ from, to, amount })), [
+        { from: 'b', to: 'a', amount: 500 },
+        { from: 'd', to: 'c', amount: 300 }
+    ]);
+});
+
+test('the plan clears every balance in at most n - 1 transfers', () => {
+    const plan = buildSettlementPlan(tripWith({ a: 1000, b: -333, c: -333, d: -334 }));
+    assert.ok(plan.transfers.length <= 3);
+    Object.values(net(plan)).forEach(v => assert.strictEqual(v, 0));
+});
+
+test('cash left in the pool is counted against the owner', () => {
+    const plan = buildSettlementPlan(tripWith({ a: 200, b: 300 }));
+    assert.strictEqual(plan.balances[0].net, -300);
+    assert.deepStrictEqual(plan.transfers.map(({ from, to, amount }) => ({ from, to, amount })), [{ from: 'a', to: 'b', amount: 300 }]);
+});
+
+test('ticks are kept by transfer key', () => {
+    const key = transferKey({ from: 'b', to: 'a', amount: 500 });
+    const plan = buildSettlementPlan(tripWith({ a: 500, b: -500 }, { [key]: { doneAt: '2026-01-01T00:00:00.000Z' } }));
+    assert.strictEqual(plan.transfers[0].id, key);
+    assert.strictEqual(plan.transfers[0].done, true);
+});
@@ -0,0 +1,110 @@
+// splits.test.js - Every split mode must come out in whole paise that add up to the expense
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeSplit, validateSplit, getItemizedBreakdown, getExpenseShares } = require('../splits');
+
+const MEMBERS = ['a', 'b', 'c', 'd'];
+
+const total = (shares) => Object.values(shares).reduce((sum, v) => sum + v, 0);
+
+test('equal splits give leftovers to members in trip order', () => {
+    const shares = getExpenseShares({ amount: 10000, splitMode: 'equal', splitBetween: ['c', 'a', 'b'] }, MEMBERS);
+    assert.deepStrictEqual(shares, { a: 3334, b: 3333, c: 3333 });
+});
+
+test('legacy expenses are split between everyone when the pool paid, else charged to the payer', () => {
+    assert.deepStrictEqual(getExpenseShares({ amount: 400, paidBy: 'pool' }, MEMBERS), { a: 100, b: 100, c: 100, d: 100 });
+    assert.deepStrictEqual(getExpenseShares({ amount: 400, paidBy: 'b' }, MEMBERS), { b: 400 });
+});
+
+test('shares splits follow the weights', () => {
+    const expense = { amount: 10001, splitMode: 'shares', splitBetween: ['a', 'b', 'c'], splitDetails: { a: 2, b: 1, c: 1 } };
+    const shares = getExpenseShares(expense, MEMBERS);
+    assert.deepStrictEqual(shares, { a: 5001, b: 2500, c: 2500 });
+    assert.strictEqual(total(shares), 10001);
+});
+
+test('percent splits add up even when the percentages round', () => {
+    const expense = { amount: 10000, splitMode: 'percent', splitBetween: ['a', 'b', 'c'], splitDetails: { a: 33.33, b: 33.33, c: 33.34 } };
+    assert.strictEqual(validateSplit(expense, MEMBERS), null);
+    const shares = getExpenseShares(expense, MEMBERS);
+    assert.deepStrictEqual(shares, { a: 3333, b: 3333, c: 3334 });
+
+    assert.match(validateSplit({ ...expense, splitDetails: { a: 50, b: 30, c: 10 } }, MEMBERS), /add up to 90%/);
+});
+
+test('exact splits must match the amount', () => {
+    const expense = { amount: 1000, splitMode: 'exact', splitBetween: ['a', 'b'], splitDetails: { a: 700, b: 300 } };
+    assert.strictEqual(validateSplit(expense, MEMBERS), null);
+    assert.deepStrictEqual(getExpenseShares(expense, MEMBERS), { a: 700, b: 300 });
+
+    assert.match(validateSplit({ ...expense, splitDetails: { a: 700, b: 200 } }, MEMBERS), /add up to/);
+    assert.match(validateSplit({ ...expense, splitDetails: { a: 700.5, b: 299.5 } }, MEMBERS), /whole paise/);
+});
+
+test('exact amounts of a foreign-currency expense are scaled to its base amount', () => {
+    const expense = {
+        amount: 23500, currency: 'THB', originalAmount: 10000,
+        splitMode: 'exact', splitBetween: ['a', 'b'], splitDetails: { a: 7500, b: 2500 }
+    };
+    assert.strictEqual(validateSplit(expense, MEMBERS), null);
+    const shares = getExpenseShares(expense, MEMBERS);
+    assert.deepStrictEqual(shares, { a: 17625, b: 5875 });
+});
+
+test('validateSplit refuses unknown modes and members outside the trip', () => {
+    assert.match(validateSplit({ amount: 100, splitMode: 'halves', splitBetween: ['a'] }, MEMBERS), /Unknown split mode/);
+    assert.match(validateSplit({ amount: 100, splitMode: 'equal', splitBetween: ['a', 'z'] }, MEMBERS), /not in this trip/);
+    assert.match(validateSplit({ amount: 100, splitMode: 'equal', splitBetween: [] }, MEMBERS), /at least one member/);
+});
+
+test('normalizeSplit keeps only selected members with a value above 0', () => {
+    const expense = normalizeSplit({ splitMode: 'shares', splitBetween: ['a', 'b', 'c'], splitDetails: { a: '2', b: 0, c: 1, d: 5 } });
+    assert.deepStrictEqual(expense.splitDetails, { a: 2, c: 1 });
+    assert.deepStrictEqual(expense.splitBetween, ['a', 'c']);
+    assert.strictEqual(normalizeSplit({}).splitMode, 'equal');
+});
+
+const bill = () => normalizeSplit({
+    amount: 1100,
+    splitMode: 'items',
+    items: [
+        { name: 'Pizza', price: 600, members: ['a', 'b', 'c'] },
+        { name: 'Beer', price: 300, members: ['a'] }
+    ],
+    tax: 100,
+    tip: 100
+});
+
+test('itemized bills split each item and spread the charges by subtotal', () => {
+    const expense = bill();
+    assert.strictEqual(validateSplit(expense, MEMBERS), null);
+    assert.deepStrictEqual(expense.splitBetween, ['a', 'b', 'c']);
+
+    const breakdown = getItemizedBreakdown(expense, MEMBERS);
+    assert.deepStrictEqual(breakdown.a, {
+        items: [{ name: 'Pizza', price: 600, share: 200 }, { name: 'Beer', price: 300, share: 300 }],
+        subtotal: 500,
+        charges: 112,
+        total: 612
+    });
+    assert.strictEqual(breakdown.b.total, 244);
+    assert.strictEqual(breakdown.c.total, 244);
+
+    const shares = getExpenseShares(expense, MEMBERS);
+    assert.deepStrictEqual(shares, { a: 612, b: 244, c: 244 });
+    assert.strictEqual(total(shares), 1100);
+});
+
+test('itemized bills in another currency are scaled to the base amount', () => {
+    const expense = { ...bill(), amount: 2585, currency: 'THB', originalAmount: 1100 };
+    const shares = getExpenseShares(expense, MEMBERS);
+    assert.strictEqual(total(shares), 2585);
+    assert.ok(shares.a > shares.b);
+});
+
+test('itemized bills must add up to the amount', () => {
+    const expense = { ...bill(), tip: 0 };
+    assert.match(validateSplit(expense, MEMBERS), /add up to/);
+    assert.match(validateSplit({ ...bill(), items: [] }, MEMBERS), /at least one item/);
+});